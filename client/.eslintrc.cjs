@@ -0,0 +1,26 @@
+module.exports = {
+  root: true,
+  env: { browser: true, es2020: true },
+  extends: [
+    'eslint:recommended',
+    'plugin:react/recommended',
+    'plugin:react-hooks/recommended',
+  ],
+  ignorePatterns: ['dist', '.eslintrc.cjs'],
+  parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
+  settings: { react: { version: '18.2' } },
+  plugins: ['react-refresh'],
+  rules: {
+    // Components are plain functions without PropTypes
+    'react/prop-types': 'off',
+    // Effects run on mount or on one key on purpose and call handlers declared in the render
+    'react-hooks/exhaustive-deps': 'off',
+    'react-refresh/only-export-components': ['warn', { allowConstantExport: true }],
+  },
+  overrides: [
+    {
+      files: ['*.config.js', '*.config.cjs'],
+      env: { node: true },
+    },
+  ],
+}
@@ -0,0 +1,49 @@
+// Service worker: shows Web Push request notices and brings the SPOC page to the request on click.
+// Payloads come from pushRequestNotice on the server: { kind, requestId, category, title, body, url }.
+
+self.addEventListener('install', () => self.skipWaiting())
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()))
+
+async function windowClients() {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+}
+
+self.addEventListener('push', (event) => {
+  let data = {}
+  try {
+    data = event.data ? event.data.json() : {}
+  } catch (e) {
+    data = { body: event.data ? event.data.text() : '' }
+  }
+
+  event.waitUntil((async () => {
+    // A page the user is looking at already alerted through its socket and sound
+    const windows = await windowClients()
+    if (windows.some(c => c.visibilityState === 'visible')) return
+
+    await self.registration.showNotification(data.title || 'New service request', {
+      body: data.body || '',
+      tag: data.requestId,
+      renotify: Boolean(data.requestId),
+      requireInteraction: data.kind === 'escalated',
+      data: { url: data.url || '/spoc', requestId: data.requestId }
+    })
+  })())
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const { url, requestId } = event.notification.data || {}
+
+  event.waitUntil((async () => {
+    const target = new URL(url || '/spoc', self.location.origin)
+    const windows = await windowClients()
+    const open = windows.find(c => new URL(c.url).pathname === target.pathname)
+    if (open) {
+      await open.focus()
+      open.postMessage({ type: 'focus-request', requestId })
+      return
+    }
+    await self.clients.openWindow(target.href)
+  })())
+})
@@ -3,6 +3,12 @@ import React from 'react'
 import { Routes, Route, Link, Navigate } from 'react-router-dom'
 import RequesterPage from './pages/RequesterPage'
 import SpocPage from './pages/SpocPage'
+import AdminPage from './pages/AdminPage'
+import StatsPage from './pages/StatsPage'
+import InventoryPage from './pages/InventoryPage'
+import WebhooksPage from './pages/WebhooksPage'
+import VenuePage from './pages/VenuePage'
+import TrackPage from './pages/TrackPage'
 
 export default function App() {
   return (
@@ -29,6 +35,7 @@ export default function App() {
     <nav className="flex justify-center gap-3 mt-2 pb-2">
       <Link to="/requester" className="btn-ghost">Requester</Link>
       <Link to="/spoc" className="btn-ghost">SPOC</Link>
+      <Link to="/admin" className="btn-ghost">Organizer</Link>
     </nav>
 
   {/* ---------- MAIN CONTENT ---------- */}
@@ -37,6 +44,12 @@ export default function App() {
         <Route path="/" element={<Navigate to="/requester" replace />} />
         <Route path="/requester" element={<RequesterPage />} />
         <Route path="/spoc" element={<SpocPage />} />
+        <Route path="/admin" element={<AdminPage />} />
+        <Route path="/admin/stats" element={<StatsPage />} />
+        <Route path="/admin/inventory" element={<InventoryPage />} />
+        <Route path="/admin/webhooks" element={<WebhooksPage />} />
+        <Route path="/admin/venue" element={<VenuePage />} />
+        <Route path="/track/:id" element={<TrackPage />} />
       </Routes>
       </main >
     </div >
@@ -0,0 +1,24 @@
+// When this device last read each request's comment thread, for unread markers. The
+// request documents carry lastCommentAt/lastCommentRole, so no thread needs loading.
+const STORAGE_KEY = 'commentsSeen'
+const MAX_ENTRIES = 200
+
+export function getSeenComments() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+  } catch (e) {
+    return {}
+  }
+}
+
+export function markCommentsSeen(requestId, at) {
+  const entries = Object.entries(getSeenComments()).filter(([id]) => id !== requestId)
+  entries.push([requestId, at])
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(entries.slice(-MAX_ENTRIES))))
+}
+
+// Unread: someone other than `ownRole` wrote after we last looked
+export function hasUnreadComments(request, seen, ownRole) {
+  if (!request.lastCommentAt || request.lastCommentRole === ownRole) return false
+  return !seen[request._id] || seen[request._id] < request.lastCommentAt
+}
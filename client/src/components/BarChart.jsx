@@ -0,0 +1,38 @@
+// client/src/components/BarChart.jsx
+import React from 'react';
+
+// Minimal dependency-free SVG bar chart. data: [{ label, value }]; formatValue renders
+// the figure above each bar. Scales to its container width via the viewBox.
+export default function BarChart({ data, height = 160, formatValue = v => v, color = '#3388f0' }) {
+  if (!data || data.length === 0) return <div className="text-sm text-gray-500">No data.</div>;
+
+  const barWidth = 32;
+  const gap = 12;
+  const top = 18;
+  const bottom = 34;
+  const width = data.length * (barWidth + gap) + gap;
+  const max = Math.max(...data.map(d => d.value || 0), 1);
+  const plot = height - top - bottom;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full" style={{ maxHeight: height * 1.5 }} role="img">
+      <line x1="0" y1={top + plot} x2={width} y2={top + plot} stroke="#d1d5db" />
+      {data.map((d, i) => {
+        const h = Math.round(((d.value || 0) / max) * plot);
+        const x = gap + i * (barWidth + gap);
+        return (
+          <g key={`${d.label}-${i}`}>
+            <title>{`${d.label}: ${formatValue(d.value)}`}</title>
+            <rect x={x} y={top + plot - h} width={barWidth} height={h} fill={color} rx="3" />
+            <text x={x + barWidth / 2} y={top + plot - h - 4} textAnchor="middle" fontSize="10" fill="#374151">
+              {d.value === null || d.value === undefined ? '—' : formatValue(d.value)}
+            </text>
+            <text x={x + barWidth / 2} y={top + plot + 14} textAnchor="middle" fontSize="10" fill="#6b7280">
+              {String(d.label).length > 8 ? `${String(d.label).slice(0, 7)}…` : d.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,118 @@
+// client/src/components/CommentThread.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { socket } from '../socket';
+import { markCommentsSeen } from '../comments';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+function authorLabel(author) {
+  if (author.role === 'requester') return author.name ? `${author.name} (team)` : 'Team';
+  return author.name || author.role;
+}
+
+// Conversation on one request. `headers` authenticates the viewer (x-spoc-token for staff,
+// x-team-token for requesters); `ownRole` decides which messages are drawn as ours.
+// While open the thread counts as read: onSeen fires whenever it catches up.
+export default function CommentThread({ requestId, headers, ownRole, requesterName, onSeen }) {
+  const [comments, setComments] = useState(null);
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+  const onSeenRef = useRef(onSeen);
+  onSeenRef.current = onSeen;
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`${API}/api/requests/${requestId}/comments`, { headers });
+        const j = await res.json();
+        if (!res.ok) throw new Error(res.status === 403 ? 'Join your team to see this conversation.' : j.error || 'Failed to load comments');
+        if (cancelled) return;
+        setComments(j);
+        setError('');
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load comments');
+      }
+    })();
+
+    const createdHandler = (payload) => {
+      if (payload?.requestId !== requestId) return;
+      setComments(prev => {
+        if (!prev || prev.some(c => c._id === payload.comment._id)) return prev;
+        return [...prev, payload.comment];
+      });
+    };
+    socket.on('comment:created', createdHandler);
+    return () => {
+      cancelled = true;
+      socket.off('comment:created', createdHandler);
+    };
+  }, [requestId]);
+
+  useEffect(() => {
+    if (!comments?.length) return;
+    markCommentsSeen(requestId, comments[comments.length - 1].createdAt);
+    onSeenRef.current?.();
+  }, [comments]);
+
+  const send = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setSending(true);
+    setError('');
+    try {
+      const res = await fetch(`${API}/api/requests/${requestId}/comments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ text: text.trim(), requester: requesterName || undefined })
+      });
+      const j = await res.json();
+      if (!res.ok) {
+        setError(Object.values(j.fields || {})[0] || j.error || 'Could not send');
+        return;
+      }
+      setText('');
+      // The socket echo may have landed first
+      setComments(prev => ((prev || []).some(c => c._id === j._id) ? prev : [...(prev || []), j]));
+    } catch (err) {
+      console.error('comment send err', err);
+      setError('Could not reach the server.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="border rounded p-2 bg-gray-50 text-sm">
+      {comments === null && !error && <div className="text-gray-500">Loading…</div>}
+      {comments && comments.length === 0 && <div className="text-gray-500">No messages yet.</div>}
+      {comments && comments.length > 0 && (
+        <ul className="space-y-1 max-h-60 overflow-y-auto mb-2">
+          {comments.map(c => (
+            <li key={c._id} className={c.author.role === ownRole ? 'text-right' : ''}>
+              <span className={`inline-block px-2 py-1 rounded ${c.author.role === ownRole ? 'bg-blue-100' : 'bg-white border'}`}>
+                {c.text}
+              </span>
+              <div className="text-xs text-gray-500">
+                {authorLabel(c.author)} • {new Date(c.createdAt).toLocaleTimeString()}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <div className="text-red-600 mb-1">{error}</div>}
+      {comments && (
+        <form className="flex gap-2" onSubmit={send}>
+          <input
+            value={text}
+            onChange={e => setText(e.target.value)}
+            className="border p-1 rounded flex-1"
+            placeholder="Write a message"
+            maxLength={1000}
+          />
+          <button type="submit" className="btn-ghost" disabled={sending || !text.trim()}>Send</button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+// client/src/components/EmergencyBanner.jsx
+import React, { useEffect, useState } from 'react';
+import { socket, onRequestUpdates } from '../socket';
+import { EMERGENCY_CATEGORY } from '../priority';
+import { playSound, soundFor } from '../notifications';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const OPEN_STATUSES = ['pending', 'acknowledged', 'in_progress'];
+
+function ackedBy(doc, identity) {
+  return (doc.emergencyAcks || []).some(a => a.role === identity.role && (a.id ?? null) === (identity.id ?? null));
+}
+
+// Open emergencies this staff member has not acknowledged yet. It stays up until they click
+// Acknowledge (recorded server-side, so a reload doesn't clear it) or the emergency closes.
+// identity: { role, id } as the server records it; onOpen(requestId) jumps to the request,
+// offered for the emergencies canOpen(request) accepts (e.g. those on the page's own list).
+export default function EmergencyBanner({ identity, onOpen, canOpen = () => true }) {
+  const [emergencies, setEmergencies] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const params = new URLSearchParams({ category: EMERGENCY_CATEGORY, status: OPEN_STATUSES.join(','), limit: '50' });
+        const res = await fetch(`${API}/api/requests?${params}`, {
+          headers: { 'x-spoc-token': sessionStorage.getItem('spocToken') || '' }
+        });
+        const j = await res.json();
+        if (!cancelled && res.ok) setEmergencies(j.items);
+      } catch (err) {
+        console.error('emergencies load err', err);
+      }
+    })();
+
+    // Open emergencies go on top; closed or recategorised ones drop off
+    const merge = (list, doc) => {
+      const rest = list.filter(r => r._id !== doc._id);
+      return doc.category === EMERGENCY_CATEGORY && OPEN_STATUSES.includes(doc.status) ? [doc, ...rest] : rest;
+    };
+    // Emergencies sound even under do-not-disturb
+    const createdHandler = (doc) => {
+      if (doc?.category !== EMERGENCY_CATEGORY) return;
+      setEmergencies(prev => merge(prev, doc));
+      playSound(soundFor(EMERGENCY_CATEGORY));
+    };
+    const updatesHandler = (docs) => setEmergencies(prev => docs.reduce(merge, prev));
+    const deletedHandler = (d) => setEmergencies(prev => prev.filter(r => r._id !== d._id));
+
+    socket.on('request:created', createdHandler);
+    const offUpdates = onRequestUpdates(updatesHandler);
+    socket.on('request:deleted', deletedHandler);
+    return () => {
+      cancelled = true;
+      socket.off('request:created', createdHandler);
+      offUpdates();
+      socket.off('request:deleted', deletedHandler);
+    };
+  }, []);
+
+  const acknowledge = async (id) => {
+    setError('');
+    try {
+      const res = await fetch(`${API}/api/requests/${id}/emergency-ack`, {
+        method: 'POST',
+        headers: { 'x-spoc-token': sessionStorage.getItem('spocToken') || '' }
+      });
+      const j = await res.json();
+      if (!res.ok) throw new Error(j.error || 'Acknowledge failed');
+      setEmergencies(prev => prev.map(r => (r._id === j._id ? j : r)));
+    } catch (err) {
+      console.error('emergency ack err', err);
+      setError(err.message || 'Acknowledge failed');
+    }
+  };
+
+  const pending = emergencies.filter(e => !ackedBy(e, identity));
+  if (pending.length === 0) return null;
+
+  return (
+    <div className="sticky top-0 z-10 mb-4 p-3 rounded shadow bg-red-600 text-white" role="alert">
+      <strong className="block mb-1">Emergency{pending.length > 1 ? ` (${pending.length})` : ''}</strong>
+      <ul className="space-y-2">
+        {pending.map(e => (
+          <li key={e._id} className="flex justify-between gap-2 items-start flex-wrap">
+            <div>
+              <div className="font-semibold">{e.location} • team {e.teamId}{e.requester ? ` • ${e.requester}` : ''}</div>
+              {e.details && <div>{e.details}</div>}
+              <div className="text-xs text-red-100">
+                {new Date(e.createdAt).toLocaleTimeString()} • {e.status.replace('_', ' ')}
+                {e.emergencyAcks?.length ? ` • acknowledged by ${e.emergencyAcks.length} other${e.emergencyAcks.length === 1 ? '' : 's'}` : ''}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              {onOpen && canOpen(e) && (
+                <button type="button" className="px-3 py-1 rounded border border-white text-sm" onClick={() => onOpen(e._id)}>Show</button>
+              )}
+              <button type="button" className="px-3 py-1 rounded bg-white text-red-700 font-semibold text-sm" onClick={() => acknowledge(e._id)}>
+                Acknowledge
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      {error && <div className="text-sm mt-1">{error}</div>}
+    </div>
+  );
+}
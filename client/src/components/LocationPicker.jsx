@@ -0,0 +1,52 @@
+// client/src/components/LocationPicker.jsx
+import React, { useEffect, useState } from 'react';
+import { findPlace } from '../venue';
+
+// Hall › zone › table selects over the venue layout. value / onChange use { zoneId, tableId };
+// a zone without a table is a valid pick (e.g. "somewhere in the foyer").
+export default function LocationPicker({ halls, value, onChange, className = 'border p-2 rounded flex-1' }) {
+  const place = findPlace(halls, value);
+  // A hall on its own isn't a place, so the choice lives here until a zone is picked
+  const [hallId, setHallId] = useState(place ? place.hall.id : '');
+
+  useEffect(() => {
+    if (place && place.hall.id !== hallId) setHallId(place.hall.id);
+  }, [place?.hall.id]);
+
+  const hall = halls.find(h => h.id === hallId) || null;
+  const zone = place ? place.zone : null;
+
+  const pickHall = (id) => {
+    setHallId(id);
+    onChange({ zoneId: '', tableId: '' });
+  };
+
+  return (
+    <div className="flex gap-2 flex-wrap">
+      <select value={hallId} onChange={e => pickHall(e.target.value)} className={className} aria-label="Hall">
+        <option value="">Hall…</option>
+        {halls.map(h => <option key={h.id} value={h.id}>{h.name}</option>)}
+      </select>
+      <select
+        value={zone ? zone.id : ''}
+        onChange={e => onChange({ zoneId: e.target.value, tableId: '' })}
+        disabled={!hall}
+        className={className}
+        aria-label="Zone"
+      >
+        <option value="">Zone…</option>
+        {hall && hall.zones.map(z => <option key={z.id} value={z.id}>{z.name}</option>)}
+      </select>
+      <select
+        value={value.tableId || ''}
+        onChange={e => onChange({ zoneId: zone.id, tableId: e.target.value })}
+        disabled={!zone || zone.tables.length === 0}
+        className={className}
+        aria-label="Table"
+      >
+        <option value="">{zone && zone.tables.length === 0 ? 'No tables' : 'Table…'}</option>
+        {zone && zone.tables.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+      </select>
+    </div>
+  );
+}
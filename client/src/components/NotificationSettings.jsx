@@ -0,0 +1,85 @@
+// client/src/components/NotificationSettings.jsx
+import React, { useEffect, useState } from 'react';
+import {
+  SOUND_CHOICES, pushSupported, getNotificationPrefs, saveNotificationPrefs, soundFor,
+  playSound, enablePush, getPushSubscription, setDoNotDisturb
+} from '../notifications';
+
+const CATEGORIES = ['Tea', 'Coffee', 'WiFi', 'Other', 'Emergency'];
+
+// Opt-in for background notifications on this browser, do-not-disturb, and a sound per category
+export default function NotificationSettings({ token }) {
+  const [prefs, setPrefs] = useState(getNotificationPrefs);
+  const [permission, setPermission] = useState(pushSupported() ? Notification.permission : 'unsupported');
+  const [subscribed, setSubscribed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getPushSubscription().then(s => setSubscribed(Boolean(s))).catch(() => {});
+  }, []);
+
+  const enable = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const outcome = await enablePush(token);
+      setPermission(outcome);
+      setSubscribed(outcome === 'granted');
+    } catch (err) {
+      console.error('enablePush err', err);
+      setError(err.message || 'Could not enable notifications');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleDnd = async (dnd) => {
+    setPrefs(prev => ({ ...prev, dnd }));
+    setError('');
+    try {
+      await setDoNotDisturb(dnd, token);
+    } catch (err) {
+      console.error('setDoNotDisturb err', err);
+      setError('Saved on this device, but the server did not get the change.');
+    }
+  };
+
+  const chooseSound = (category, sound) => {
+    const next = { ...prefs, sounds: { ...prefs.sounds, [category]: sound } };
+    setPrefs(next);
+    saveNotificationPrefs(next);
+    playSound(sound);
+  };
+
+  return (
+    <div className="text-sm space-y-2">
+      {permission === 'unsupported' && <div className="text-gray-500">This browser does not support notifications; sounds still play while the page is open.</div>}
+      {permission === 'denied' && <div className="text-gray-500">Notifications are blocked for this site. Allow them in the browser&apos;s site settings, then reload.</div>}
+      {permission !== 'unsupported' && permission !== 'denied' && (
+        subscribed && permission === 'granted'
+          ? <div className="text-green-700">Notifications are on for this browser, even when the tab is in the background.</div>
+          : (
+            <button type="button" className="btn-ghost" onClick={enable} disabled={busy}>
+              {busy ? 'Enabling…' : 'Enable notifications'}
+            </button>
+          )
+      )}
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={prefs.dnd} onChange={e => toggleDnd(e.target.checked)} />
+        Do not disturb (emergencies still come through)
+      </label>
+      <div className="flex gap-3 flex-wrap">
+        {CATEGORIES.map(c => (
+          <label key={c}>
+            {c}{' '}
+            <select value={soundFor(c, prefs)} onChange={e => chooseSound(c, e.target.value)} className="border p-1 rounded">
+              {SOUND_CHOICES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+      {error && <div className="text-red-600">{error}</div>}
+    </div>
+  );
+}
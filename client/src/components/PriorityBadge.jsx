@@ -0,0 +1,18 @@
+// client/src/components/PriorityBadge.jsx
+import React from 'react';
+
+const PRIORITY_STYLES = {
+  low: 'bg-gray-100 text-gray-600',
+  high: 'bg-orange-100 text-orange-800',
+  critical: 'bg-red-600 text-white'
+};
+
+// Normal is the default and draws nothing, so only the exceptions stand out
+export default function PriorityBadge({ priority, className = '' }) {
+  if (!priority || priority === 'normal') return null;
+  return (
+    <span className={`inline-block px-2 py-1 rounded text-sm font-semibold ${PRIORITY_STYLES[priority] || ''} ${className}`}>
+      {priority}
+    </span>
+  );
+}
@@ -0,0 +1,69 @@
+// client/src/components/RequestExport.jsx
+import React, { useState } from 'react';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+// Keep in sync with server/validation.js
+const CATEGORIES = ['Tea', 'Coffee', 'WiFi', 'Other', 'Emergency'];
+const STATUSES = ['pending', 'acknowledged', 'in_progress', 'done', 'cancelled', 'rejected'];
+
+// Organizer download of the request log. The export needs the organizer token header,
+// so the file is fetched as a blob and handed to the browser via an object URL.
+export default function RequestExport() {
+  const [format, setFormat] = useState('csv');
+  const [status, setStatus] = useState('');
+  const [category, setCategory] = useState('');
+  const [since, setSince] = useState('');
+  const [until, setUntil] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const download = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const params = new URLSearchParams({ format, sort: 'createdAt' });
+      if (status) params.set('status', status);
+      if (category) params.set('category', category);
+      if (since) params.set('since', new Date(since).toISOString());
+      if (until) params.set('until', new Date(until).toISOString());
+      const res = await fetch(`${API}/api/requests/export?${params}`, {
+        headers: { 'x-spoc-token': sessionStorage.getItem('spocToken') || '' }
+      });
+      if (!res.ok) {
+        const j = await res.json().catch(() => ({}));
+        throw new Error(Object.values(j.fields || {})[0] || j.error || 'Export failed');
+      }
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `requests-${new Date().toISOString().slice(0, 10)}.${format}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('export err', err);
+      alert(err.message || 'Export failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={download} className="flex gap-2 items-center text-sm flex-wrap">
+      <select value={status} onChange={e => setStatus(e.target.value)} className="border p-1 rounded">
+        <option value="">All statuses</option>
+        {STATUSES.map(s => <option key={s} value={s}>{s.replace('_', ' ')}</option>)}
+      </select>
+      <select value={category} onChange={e => setCategory(e.target.value)} className="border p-1 rounded">
+        <option value="">All categories</option>
+        {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+      </select>
+      <label>From <input type="datetime-local" value={since} onChange={e => setSince(e.target.value)} className="border p-1 rounded" /></label>
+      <label>To <input type="datetime-local" value={until} onChange={e => setUntil(e.target.value)} className="border p-1 rounded" /></label>
+      <select value={format} onChange={e => setFormat(e.target.value)} className="border p-1 rounded">
+        <option value="csv">CSV</option>
+        <option value="json">JSON</option>
+      </select>
+      <button type="submit" className="btn-ghost" disabled={busy}>{busy ? 'Exporting…' : 'Download'}</button>
+    </form>
+  );
+}
@@ -0,0 +1,92 @@
+// client/src/components/RequestHistory.jsx
+import React, { useEffect, useState } from 'react';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+function actorLabel(actor) {
+  if (!actor) return 'unknown';
+  if (actor.role === 'organizer') return 'organizer';
+  if (actor.role === 'system') return 'system';
+  if (actor.role === 'spoc') return `SPOC ${actor.id}`;
+  return actor.name ? `${actor.name} (requester)` : 'requester';
+}
+
+// Fields that change on every write and would only add noise to the timeline
+const HIDDEN_FIELDS = ['updatedAt', 'slaDueAt', 'pinned', 'hallId', 'zoneId', 'tableId', 'routedVia', 'acknowledgedAt', 'startedAt', 'completedAt', 'cancelledAt', 'rejectedAt'];
+
+function describe(ev) {
+  const changes = ev.changes || {};
+  switch (ev.type) {
+    case 'created':
+      return 'Request created';
+    case 'transition':
+      return `Status ${changes.status?.from || '?'} → ${changes.status?.to || '?'}`;
+    case 'reassign':
+      return `Reassigned SPOC ${changes.spocId?.from || '—'} → ${changes.spocId?.to || '—'}`;
+    case 'escalated':
+      return 'Escalated: SLA breached';
+    case 'emergency_ack':
+      return 'Emergency alert acknowledged';
+    case 'plus_one':
+      return `Asked for again (+1)${changes.quantity ? ` (quantity ${changes.quantity.from} → ${changes.quantity.to})` : ''}`;
+    case 'merge': {
+      const merged = changes.mergedFrom?.to?.slice(-1)[0];
+      const quantity = changes.quantity ? ` (quantity ${changes.quantity.from} → ${changes.quantity.to})` : '';
+      return `Merged in request ${merged ? merged.id : '?'}${quantity}`;
+    }
+    case 'duplicate_dismissed':
+      return 'Marked as not a duplicate';
+    case 'deleted':
+      return 'Request deleted';
+    case 'edit': {
+      const fields = Object.keys(changes).filter(k => !HIDDEN_FIELDS.includes(k));
+      return fields.length
+        ? `Edited ${fields.map(f => `${f}: "${changes[f].from ?? ''}" → "${changes[f].to ?? ''}"`).join(', ')}`
+        : 'Edited';
+    }
+    default:
+      return ev.type;
+  }
+}
+
+// Timeline of request_events for one request, including those of requests merged into it.
+// Staff pages only: it is fetched with the session's staff token.
+// `version` (e.g. the request's updatedAt) triggers a refetch when the request changes while expanded.
+export default function RequestHistory({ requestId, version }) {
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`${API}/api/requests/${requestId}/history`, {
+          headers: { 'x-spoc-token': sessionStorage.getItem('spocToken') || '' }
+        });
+        const j = await res.json();
+        if (!res.ok) throw new Error(j.error || 'Failed to load history');
+        if (!cancelled) { setEvents(j); setError(''); }
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load history');
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [requestId, version]);
+
+  if (error) return <div className="text-sm text-red-600">{error}</div>;
+  if (!events) return <div className="text-sm text-gray-500">Loading history…</div>;
+  if (events.length === 0) return <div className="text-sm text-gray-500">No history recorded.</div>;
+
+  return (
+    <ol className="border-l-2 border-gray-200 ml-1 pl-3 space-y-1">
+      {events.map(ev => (
+        <li key={ev._id} className="text-sm">
+          <span className="text-xs text-gray-500 mr-2">{new Date(ev.at).toLocaleTimeString()}</span>
+          <span>{describe(ev)}</span>
+          <span className="text-gray-500"> — {actorLabel(ev.actor)}</span>
+          {ev.reason && <span className="text-gray-500"> ({ev.reason})</span>}
+          {ev.requestId !== requestId && <span className="text-xs text-gray-400"> • merged request {ev.requestId}</span>}
+        </li>
+      ))}
+    </ol>
+  );
+}
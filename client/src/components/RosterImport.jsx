@@ -0,0 +1,122 @@
+// client/src/components/RosterImport.jsx
+import React, { useState } from 'react';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const ACTION_STYLES = {
+  create: 'text-green-700',
+  update: 'text-blue-700',
+  unchanged: 'text-gray-500'
+};
+
+// Roster CSV upload: preview (dry run) first, then import the same file.
+// Columns: team_id, team_name, spoc_id, spoc_name.
+export default function RosterImport({ onImported }) {
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const pickFile = async (e) => {
+    const file = e.target.files?.[0];
+    setReport(null);
+    setError('');
+    if (!file) return;
+    setFileName(file.name);
+    setCsv(await file.text());
+  };
+
+  const send = async (dryRun) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await fetch(`${API}/api/roster/import${dryRun ? '?dryRun=true' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv', 'x-spoc-token': sessionStorage.getItem('spocToken') || '' },
+        body: csv
+      });
+      const j = await res.json();
+      if (j.rows) setReport(j);
+      if (!res.ok) {
+        setError(Object.values(j.fields || {})[0] || j.error || 'Import failed');
+        return;
+      }
+      if (j.applied && onImported) onImported();
+    } catch (err) {
+      console.error('roster import err', err);
+      setError('Could not reach the server.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const s = report?.summary;
+
+  return (
+    <div>
+      <div className="flex gap-2 items-center text-sm flex-wrap">
+        <input type="file" accept=".csv,text/csv" onChange={pickFile} />
+        <button type="button" className="btn-ghost" disabled={!csv || busy} onClick={() => send(true)}>Preview</button>
+        <button
+          type="button"
+          className="btn-ghost"
+          disabled={!report || !report.dryRun || s.invalid > 0 || busy}
+          onClick={() => send(false)}
+        >
+          Import
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">Columns: team_id, team_name, spoc_id, spoc_name. Rows with only SPOC columns add or rename a SPOC.</p>
+
+      {error && <div className="mt-2 p-2 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+
+      {report && (
+        <div className="mt-3 text-sm">
+          <div className="mb-2">
+            {report.applied ? <strong className="text-green-700">Imported {fileName}. </strong> : <strong>Preview of {fileName}: </strong>}
+            {s.rows} rows, {s.invalid} with errors • SPOCs: {s.spocs.create} new, {s.spocs.update} updated • Teams: {s.teams.create} new, {s.teams.update} updated
+          </div>
+          <div className="max-h-64 overflow-y-auto border rounded">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-gray-600 bg-gray-50">
+                  <th className="p-1">Row</th>
+                  <th>Team</th>
+                  <th>SPOC</th>
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(r => (
+                  <tr key={r.row} className={`border-t ${r.errors.length ? 'bg-red-50' : ''}`}>
+                    <td className="p-1">{r.row}</td>
+                    <td>{r.teamId || '—'} {r.teamAction && <span className={ACTION_STYLES[r.teamAction]}>({r.teamAction})</span>}</td>
+                    <td>{r.spocId || '—'} {r.spocAction && <span className={ACTION_STYLES[r.spocAction]}>({r.spocAction})</span>}</td>
+                    <td className={r.errors.length ? 'text-red-700' : 'text-green-700'}>{r.errors.length ? r.errors.join('; ') : 'OK'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {report.joinCodes?.length > 0 && (
+            <div className="mt-3">
+              <div className="mb-1"><strong>Join codes issued</strong> — requesters need these to sign in to their team. Copy them now; they are not shown again.</div>
+              <div className="max-h-48 overflow-y-auto border rounded">
+                <table className="w-full">
+                  <tbody>
+                    {report.joinCodes.map(c => (
+                      <tr key={c.teamId} className="border-t">
+                        <td className="p-1">{c.teamId}</td>
+                        <td className="font-mono">{c.code}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
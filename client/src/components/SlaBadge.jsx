@@ -0,0 +1,39 @@
+// client/src/components/SlaBadge.jsx
+import React from 'react';
+
+const OPEN_STATUSES = ['pending', 'acknowledged', 'in_progress'];
+
+function formatDuration(ms) {
+  const total = Math.floor(Math.abs(ms) / 1000);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}:${String(s).padStart(2, '0')}`;
+}
+
+// Milliseconds until the request's SLA deadline (negative once overdue); null when no SLA applies
+// eslint-disable-next-line react-refresh/only-export-components -- the queues sort by it
+export function slaRemaining(request, now) {
+  if (!request.slaDueAt || !OPEN_STATUSES.includes(request.status)) return null;
+  return new Date(request.slaDueAt).getTime() - now;
+}
+
+// Countdown while within SLA, red "Overdue" badge once breached. `now` is passed
+// in so a whole list re-renders from one timer instead of one per badge.
+export default function SlaBadge({ request, now }) {
+  const remaining = slaRemaining(request, now);
+  if (remaining === null) return null;
+
+  if (remaining <= 0 || request.escalated) {
+    return (
+      <span className="px-2 py-1 rounded text-xs font-semibold bg-red-600 text-white animate-pulseNotify">
+        Overdue {formatDuration(remaining)}
+      </span>
+    );
+  }
+  const urgent = remaining < 5 * 60 * 1000;
+  return (
+    <span className={`px-2 py-1 rounded text-xs font-semibold ${urgent ? 'bg-orange-100 text-orange-800' : 'bg-gray-100 text-gray-700'}`}>
+      {formatDuration(remaining)} left
+    </span>
+  );
+}
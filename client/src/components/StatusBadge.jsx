@@ -0,0 +1,19 @@
+// client/src/components/StatusBadge.jsx
+import React from 'react';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  acknowledged: 'bg-blue-100 text-blue-800',
+  in_progress: 'bg-indigo-100 text-indigo-800',
+  done: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-200 text-gray-700',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+export default function StatusBadge({ status, className = '' }) {
+  return (
+    <span className={`inline-block px-2 py-1 rounded text-sm font-semibold ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'} ${className}`}>
+      {String(status || '').replace('_', ' ')}
+    </span>
+  );
+}
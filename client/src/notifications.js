@@ -0,0 +1,159 @@
+// Browser notifications for staff: the service worker, the Web Push subscription, and the
+// per-device preferences (a sound per request category, do-not-disturb).
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+const PREFS_KEY = 'notificationPrefs'
+
+export const SOUND_CHOICES = [
+  { id: 'classic', label: 'Classic' },
+  { id: 'chime', label: 'Chime' },
+  { id: 'beep', label: 'Beep' },
+  { id: 'alarm', label: 'Alarm' },
+  { id: 'none', label: 'Silent' }
+]
+
+// Tone sequences in Hz; 'classic' is the original recording
+const TONES = {
+  chime: [880, 1320],
+  beep: [660],
+  alarm: [880, 660, 880, 660]
+}
+
+const DEFAULT_PREFS = { dnd: false, sounds: {} }
+
+export function pushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window
+}
+
+export function getNotificationPrefs() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PREFS_KEY) || '{}')
+    return { ...DEFAULT_PREFS, ...stored, sounds: { ...DEFAULT_PREFS.sounds, ...stored.sounds } }
+  } catch (e) {
+    return DEFAULT_PREFS
+  }
+}
+
+export function saveNotificationPrefs(prefs) {
+  localStorage.setItem(PREFS_KEY, JSON.stringify(prefs))
+}
+
+export function soundFor(category, prefs = getNotificationPrefs()) {
+  return prefs.sounds[category] || 'classic'
+}
+
+let audioContext = null
+
+// Synthesised tones need no file and, once the page has had a click, are not autoplay-blocked
+export function playSound(name) {
+  if (name === 'none') return
+  if (!TONES[name]) {
+    new Audio('/notifications.mp4').play().catch(() => {})
+    return
+  }
+  try {
+    audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)()
+    if (audioContext.state === 'suspended') audioContext.resume().catch(() => {})
+    const start = audioContext.currentTime
+    TONES[name].forEach((hz, i) => {
+      const osc = audioContext.createOscillator()
+      const gain = audioContext.createGain()
+      const at = start + i * 0.18
+      osc.frequency.value = hz
+      gain.gain.setValueAtTime(0.2, at)
+      gain.gain.exponentialRampToValueAtTime(0.001, at + 0.16)
+      osc.connect(gain).connect(audioContext.destination)
+      osc.start(at)
+      osc.stop(at + 0.16)
+    })
+  } catch (e) {
+    console.error('playSound err', e)
+  }
+}
+
+// The alert for one request event, unless do-not-disturb is on
+export function alertFor(category) {
+  const prefs = getNotificationPrefs()
+  if (!prefs.dnd) playSound(soundFor(category, prefs))
+}
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return Promise.resolve(null)
+  return navigator.serviceWorker.register('/sw.js').catch((err) => {
+    console.error('service worker registration failed', err)
+    return null
+  })
+}
+
+export async function getPushSubscription() {
+  if (!pushSupported()) return null
+  const registration = await navigator.serviceWorker.getRegistration()
+  return registration ? registration.pushManager.getSubscription() : null
+}
+
+function base64UrlToBytes(value) {
+  const base64 = (value + '='.repeat((4 - (value.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/')
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+}
+
+async function saveSubscription(subscription, token, dnd) {
+  const res = await fetch(`${API}/api/push/subscriptions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-spoc-token': token },
+    body: JSON.stringify({ ...subscription.toJSON(), dnd })
+  })
+  if (!res.ok) {
+    const j = await res.json().catch(() => ({}))
+    throw new Error(j.error || 'Could not save the subscription')
+  }
+}
+
+// Asks for permission (must run from a click), subscribes this browser and registers it
+// for the logged-in staff member. Resolves to the Notification.permission outcome.
+export async function enablePush(token) {
+  if (!pushSupported()) throw new Error('This browser does not support notifications.')
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') return permission
+
+  if (!(await registerServiceWorker())) throw new Error('The service worker could not be installed.')
+  const registration = await navigator.serviceWorker.ready
+  let subscription = await registration.pushManager.getSubscription()
+  if (!subscription) {
+    const res = await fetch(`${API}/api/push/public-key`)
+    const j = await res.json()
+    if (!res.ok) throw new Error(j.error || 'Push is not available')
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: base64UrlToBytes(j.publicKey)
+    })
+  }
+  await saveSubscription(subscription, token, getNotificationPrefs().dnd)
+  return permission
+}
+
+// Stops pushes to this browser, e.g. on logout; the local subscription goes too
+export async function disablePush(token) {
+  const subscription = await getPushSubscription()
+  if (!subscription) return
+  await fetch(`${API}/api/push/subscriptions`, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json', 'x-spoc-token': token },
+    body: JSON.stringify({ endpoint: subscription.endpoint })
+  }).catch(() => {})
+  await subscription.unsubscribe().catch(() => {})
+}
+
+// Do-not-disturb is kept locally (sounds) and on the subscription (so the server skips pushes)
+export async function setDoNotDisturb(dnd, token) {
+  saveNotificationPrefs({ ...getNotificationPrefs(), dnd })
+  const subscription = await getPushSubscription()
+  if (subscription && token) await saveSubscription(subscription, token, dnd)
+}
+
+// For a hidden tab on a browser without a push subscription: the open socket still
+// delivers events, so show the notification from here instead
+export async function showLocalNotification({ title, body, requestId, url }) {
+  if (!pushSupported() || Notification.permission !== 'granted' || getNotificationPrefs().dnd) return
+  const registration = await navigator.serviceWorker.getRegistration()
+  if (!registration || (await registration.pushManager.getSubscription())) return
+  await registration.showNotification(title, { body, tag: requestId, data: { url, requestId } })
+}
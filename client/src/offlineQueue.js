@@ -0,0 +1,55 @@
+// Request submissions waiting for the network, kept in IndexedDB so they survive a
+// reload or a closed tab. Each entry is { key, payload, queuedAt, attempts, lastError }:
+// `key` is the Idempotency-Key sent with every attempt, so a retry of a submission the
+// server did receive returns the original request instead of creating a second one.
+const DB_NAME = 'service-requests'
+const STORE = 'submissions'
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1)
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'key' })
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const result = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export function newIdempotencyKey() {
+  if (crypto.randomUUID) return crypto.randomUUID()
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+}
+
+export function enqueueSubmission(key, payload) {
+  return withStore('readwrite', store => store.put({ key, payload, queuedAt: new Date().toISOString(), attempts: 0, lastError: null }))
+}
+
+export function updateSubmission(entry) {
+  return withStore('readwrite', store => store.put(entry))
+}
+
+export function removeSubmission(key) {
+  return withStore('readwrite', store => store.delete(key))
+}
+
+// Oldest first, so retries go out in the order they were made
+export async function listSubmissions() {
+  const all = await withStore('readonly', store => store.getAll())
+  return (all || []).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+}
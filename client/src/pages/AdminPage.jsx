@@ -0,0 +1,417 @@
+// client/src/pages/AdminPage.jsx
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { socket, reconnectSocket, onRequestUpdates } from '../socket';
+import RequestHistory from '../components/RequestHistory';
+import SlaBadge, { slaRemaining } from '../components/SlaBadge';
+import StatusBadge from '../components/StatusBadge';
+import PriorityBadge from '../components/PriorityBadge';
+import EmergencyBanner from '../components/EmergencyBanner';
+import RequestExport from '../components/RequestExport';
+import RosterImport from '../components/RosterImport';
+import { pinnedFirst } from '../priority';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+// Mirrors OPEN_STATUSES on the server; the board only ever holds these
+const OPEN_STATUSES = ['pending', 'acknowledged', 'in_progress'];
+const PAGE_SIZE = 200;
+
+function isOverdue(r, now) {
+  const remaining = slaRemaining(r, now);
+  return Boolean(r.escalated) || (remaining !== null && remaining <= 0);
+}
+
+export default function AdminPage() {
+  const [pin, setPin] = useState('');
+  const [authed, setAuthed] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [spocs, setSpocs] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [groupBy, setGroupBy] = useState('spoc');
+  const [overdueOnly, setOverdueOnly] = useState(false);
+  const [reassignTo, setReassignTo] = useState({});
+  const [expanded, setExpanded] = useState({});
+  const [now, setNow] = useState(Date.now());
+  const [showData, setShowData] = useState(false);
+  const [lowStock, setLowStock] = useState([]);
+
+  useEffect(() => {
+    // Closed requests leave the board; anything else is upserted
+    const upsertAll = (docs) => setRequests(prev => {
+      const ids = new Set(docs.map(d => d._id));
+      return [...docs.filter(d => OPEN_STATUSES.includes(d.status)), ...prev.filter(r => !ids.has(r._id))];
+    });
+    const upsert = (doc) => {
+      if (doc) upsertAll([doc]);
+    };
+    const deletedHandler = (d) => setRequests(prev => prev.filter(r => r._id !== d._id));
+    const lowStockHandler = (item) => setLowStock(prev => [item, ...prev.filter(i => i.id !== item.id)]);
+    // A restock above the threshold clears the alert for that item
+    const inventoryHandler = (item) => {
+      if (item.stock > item.lowStockThreshold) setLowStock(prev => prev.filter(i => i.id !== item.id));
+    };
+
+    socket.on('request:created', upsert);
+    const offUpdates = onRequestUpdates(upsertAll);
+    socket.on('request:escalated', upsert);
+    socket.on('request:deleted', deletedHandler);
+    socket.on('inventory:low', lowStockHandler);
+    socket.on('inventory:updated', inventoryHandler);
+
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+
+    return () => {
+      socket.off('request:created', upsert);
+      offUpdates();
+      socket.off('request:escalated', upsert);
+      socket.off('request:deleted', deletedHandler);
+      socket.off('inventory:low', lowStockHandler);
+      socket.off('inventory:updated', inventoryHandler);
+      clearInterval(tick);
+    };
+  }, []);
+
+  useEffect(() => {
+    (async () => {
+      const token = sessionStorage.getItem('spocToken');
+      if (!token) return;
+      try {
+        const res = await fetch(`${API}/api/spoc/validate`, { headers: { 'x-spoc-token': token } });
+        const j = await res.json();
+        if (res.ok && j.ok && j.role === 'organizer') {
+          setAuthed(true);
+          loadBoard();
+        }
+      } catch (err) {
+        console.error('auto-login validation failed', err);
+      }
+    })();
+  }, []);
+
+  const logout = () => {
+    const token = sessionStorage.getItem('spocToken');
+    if (token) fetch(`${API}/api/spoc/logout`, { method: 'POST', headers: { 'x-spoc-token': token } }).catch(() => {});
+    sessionStorage.removeItem('spocToken');
+    reconnectSocket();
+    setAuthed(false); setRequests([]); setSpocs([]);
+  };
+
+  async function loadBoard() {
+    try {
+      const spocRes = await fetch(`${API}/api/spocs`);
+      setSpocs(await spocRes.json());
+
+      // Open requests venue-wide; follow the cursor so nothing falls off the board
+      let all = [];
+      let cursor = null;
+      do {
+        const params = new URLSearchParams({ status: OPEN_STATUSES.join(','), limit: String(PAGE_SIZE) });
+        if (cursor) params.set('cursor', cursor);
+        const res = await fetch(`${API}/api/requests?${params}`, {
+          headers: { 'x-spoc-token': sessionStorage.getItem('spocToken') || '' }
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load requests');
+        all = [...all, ...data.items];
+        cursor = data.nextCursor;
+      } while (cursor);
+      setRequests(all);
+    } catch (err) {
+      console.error('loadBoard err', err);
+      alert(err.message || 'Failed to load the board');
+    }
+  }
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const res = await fetch(`${API}/api/organizer/unlock`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pin })
+      });
+      const j = await res.json();
+      if (!res.ok) {
+        alert(j.error || 'Unlock failed');
+        return;
+      }
+      sessionStorage.setItem('spocToken', j.token);
+      setPin('');
+      setAuthed(true);
+      // New handshake carries the organizer token, which puts this socket in the organizers room
+      reconnectSocket();
+      await loadBoard();
+    } catch (err) {
+      console.error('handleUnlock err', err);
+      alert('Unlock failed (network)');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const act = async (id, path, body = {}) => {
+    try {
+      const token = sessionStorage.getItem('spocToken');
+      const res = await fetch(`${API}/api/requests/${id}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-spoc-token': token || '' },
+        body: JSON.stringify(body)
+      });
+      const j = await res.json();
+      if (res.status === 401) {
+        alert('Your organizer session has expired. Please log in again.');
+        logout();
+        return;
+      }
+      if (!res.ok) throw new Error(j.error || 'Update failed');
+      setRequests(prev => {
+        const rest = prev.filter(r => r._id !== j._id);
+        return OPEN_STATUSES.includes(j.status) ? [j, ...rest] : rest;
+      });
+    } catch (err) { console.error('admin action err', err); alert(err.message || 'Update failed'); }
+  };
+
+  const cancelReq = (id) => {
+    const reason = prompt('Reason for cancelling (optional)');
+    if (reason === null) return;
+    act(id, 'cancel', reason.trim() ? { reason: reason.trim() } : {});
+  };
+
+  const closeReq = (id) => {
+    if (confirm('Mark this request as done?')) act(id, 'close');
+  };
+
+  const reassignReq = (r) => {
+    const spocId = reassignTo[r._id];
+    if (!spocId || spocId === r.spocId) return;
+    act(r._id, 'reassign', { spocId });
+  };
+
+  const spocName = (id) => spocs.find(s => s.id === id)?.name || (id ? `SPOC ${id}` : 'Unassigned');
+
+  // Per-SPOC workload across the whole board (ignores the overdue-only filter)
+  const workload = {};
+  for (const r of requests) {
+    const key = r.spocId || '';
+    workload[key] = workload[key] || { total: 0, overdue: 0, pending: 0, acknowledged: 0, in_progress: 0 };
+    workload[key].total += 1;
+    workload[key][r.status] += 1;
+    if (isOverdue(r, now)) workload[key].overdue += 1;
+  }
+  const workloadRows = Object.entries(workload).sort((a, b) => b[1].overdue - a[1].overdue || b[1].total - a[1].total);
+
+  // Pinned (open critical) first, then overdue, then oldest first within each column
+  const visible = pinnedFirst(requests
+    .filter(r => !overdueOnly || isOverdue(r, now))
+    .sort((a, b) => (isOverdue(b, now) - isOverdue(a, now)) || (new Date(a.createdAt) - new Date(b.createdAt))));
+
+  const groups = groupBy === 'status'
+    ? OPEN_STATUSES.map(s => ({ key: s, title: s.replace('_', ' '), items: visible.filter(r => r.status === s) }))
+    : workloadRows
+        .map(([id]) => ({ key: id || 'unassigned', title: spocName(id), items: visible.filter(r => (r.spocId || '') === id) }))
+        .filter(g => g.items.length);
+
+  if (!authed) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100">
+        <form className="bg-white p-8 rounded shadow-md max-w-md w-full" onSubmit={handleUnlock}>
+          <h2 className="text-2xl font-bold mb-4">Organizer Login</h2>
+          <p className="mb-4 text-gray-600">Enter the organizer PIN to open the control room</p>
+          <input
+            type="password"
+            value={pin}
+            onChange={e => setPin(e.target.value)}
+            className="border p-3 w-full my-2 rounded"
+            placeholder="Organizer PIN"
+            autoComplete="current-password"
+            required
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700 transition"
+            disabled={loading}
+          >
+            {loading ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  const overdueTotal = requests.filter(r => isOverdue(r, now)).length;
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4 bg-white p-4 rounded shadow">
+        <div>
+          <strong className="text-lg">Control room</strong>
+          <span className="text-gray-600 ml-2">• {requests.length} open</span>
+          {overdueTotal > 0 && <span className="text-red-600 font-semibold ml-2">• {overdueTotal} overdue</span>}
+        </div>
+        <div className="flex gap-2">
+          <Link to="/admin/stats" className="px-4 py-2 border rounded hover:bg-gray-100 transition">Stats</Link>
+          <Link to="/admin/inventory" className="px-4 py-2 border rounded hover:bg-gray-100 transition">Inventory</Link>
+          <Link to="/admin/webhooks" className="px-4 py-2 border rounded hover:bg-gray-100 transition">Webhooks</Link>
+          <Link to="/admin/venue" className="px-4 py-2 border rounded hover:bg-gray-100 transition">Venue</Link>
+          <button className="px-4 py-2 border rounded hover:bg-gray-100 transition" onClick={loadBoard}>Refresh</button>
+          <button className="px-4 py-2 border rounded hover:bg-gray-100 transition" onClick={logout}>Logout</button>
+        </div>
+      </div>
+
+      <EmergencyBanner
+        identity={{ role: 'organizer', id: null }}
+        onOpen={(id) => document.getElementById(`request-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })}
+      />
+
+      {lowStock.length > 0 && (
+        <div className="mb-4 p-3 rounded bg-yellow-50 border border-yellow-300 text-sm flex justify-between items-start gap-3">
+          <div>
+            <strong>Low stock:</strong>{' '}
+            {lowStock.map(i => `${i.name} (${i.stock} ${i.unit} left)`).join(', ')}
+            {' • '}<Link to="/admin/inventory" className="text-blue-600 hover:underline">Restock</Link>
+          </div>
+          <button type="button" className="text-gray-500 hover:text-gray-700" onClick={() => setLowStock([])}>Dismiss</button>
+        </div>
+      )}
+
+      <div className="bg-white p-4 rounded shadow mb-4">
+        <button type="button" className="font-semibold text-blue-600 hover:underline" onClick={() => setShowData(v => !v)}>
+          {showData ? 'Hide export / roster import' : 'Export requests / import roster'}
+        </button>
+        {showData && (
+          <div className="mt-3 space-y-4">
+            <div>
+              <h4 className="font-semibold mb-1">Export request log</h4>
+              <RequestExport />
+            </div>
+            <div>
+              <h4 className="font-semibold mb-1">Import team / SPOC roster</h4>
+              <RosterImport onImported={loadBoard} />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <h3 className="text-lg font-bold mb-2">SPOC workload</h3>
+      <div className="bg-white p-4 rounded shadow mb-4 overflow-x-auto">
+        {workloadRows.length === 0 ? (
+          <div className="text-center text-gray-500">No open requests.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1">SPOC</th>
+                <th>Open</th>
+                <th>Pending</th>
+                <th>Acknowledged</th>
+                <th>In progress</th>
+                <th>Overdue</th>
+              </tr>
+            </thead>
+            <tbody>
+              {workloadRows.map(([id, w]) => (
+                <tr key={id || 'unassigned'} className="border-t">
+                  <td className="py-1">{spocName(id)}</td>
+                  <td>{w.total}</td>
+                  <td>{w.pending}</td>
+                  <td>{w.acknowledged}</td>
+                  <td>{w.in_progress}</td>
+                  <td className={w.overdue ? 'text-red-600 font-semibold' : ''}>{w.overdue}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center mb-2 gap-2 flex-wrap">
+        <h3 className="text-lg font-bold">Open requests</h3>
+        <div className="flex gap-3 items-center text-sm">
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={overdueOnly} onChange={e => setOverdueOnly(e.target.checked)} />
+            Overdue only
+          </label>
+          <select value={groupBy} onChange={e => setGroupBy(e.target.value)} className="border p-1 rounded">
+            <option value="spoc">Group by SPOC</option>
+            <option value="status">Group by status</option>
+          </select>
+        </div>
+      </div>
+
+      {groups.every(g => g.items.length === 0) && (
+        <div className="bg-white p-4 rounded shadow text-center text-gray-500">Nothing to show.</div>
+      )}
+      {groups.filter(g => g.items.length).map(g => (
+        <section key={g.key} className="mb-4">
+          <h4 className="font-semibold mb-1 capitalize">{g.title} <span className="text-gray-500">({g.items.length})</span></h4>
+          <ul className="bg-white p-4 rounded shadow">
+            {g.items.map(r => (
+              <li
+                key={r._id}
+                id={`request-${r._id}`}
+                className={`border-b py-3 flex justify-between gap-4 last:border-b-0 ${isOverdue(r, now) || r.pinned ? 'bg-red-50 border-l-4 border-l-red-500 pl-2' : ''}`}
+              >
+                <div className="flex-1">
+                  <div className="font-semibold">{r.requester || '—'} • {r.category}</div>
+                  <div className="text-sm text-gray-600">{r.location} • {r.quantity} • Team: {r.teamId} • {spocName(r.spocId)}</div>
+                  {r.details && <div className="mt-1">{r.details}</div>}
+                  <div className="text-xs text-gray-500 mt-1">{new Date(r.createdAt).toLocaleString()}</div>
+                  <button
+                    type="button"
+                    className="text-xs text-blue-600 hover:underline mt-1"
+                    onClick={() => setExpanded(prev => ({ ...prev, [r._id]: !prev[r._id] }))}
+                  >
+                    {expanded[r._id] ? 'Hide history' : 'Show history'}
+                  </button>
+                  {expanded[r._id] && (
+                    <div className="mt-2">
+                      <RequestHistory requestId={r._id} version={r.updatedAt} />
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex flex-col gap-2 items-end">
+                  <SlaBadge request={r} now={now} />
+                  <PriorityBadge priority={r.priority} />
+                  <StatusBadge status={r.status} />
+                  <div className="flex gap-2">
+                    <select
+                      value={reassignTo[r._id] || r.spocId || ''}
+                      onChange={e => setReassignTo(prev => ({ ...prev, [r._id]: e.target.value }))}
+                      className="border p-1 rounded text-sm"
+                    >
+                      {!r.spocId && <option value="">Unassigned</option>}
+                      {spocs.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                    </select>
+                    <button
+                      className="bg-blue-500 text-white px-3 py-1 rounded text-sm hover:bg-blue-600 transition disabled:opacity-50"
+                      disabled={!reassignTo[r._id] || reassignTo[r._id] === r.spocId}
+                      onClick={() => reassignReq(r)}
+                    >
+                      Reassign
+                    </button>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 transition"
+                      onClick={() => closeReq(r._id)}
+                    >
+                      Close
+                    </button>
+                    <button
+                      className="bg-gray-300 px-3 py-1 rounded text-sm hover:bg-gray-400 transition"
+                      onClick={() => cancelReq(r._id)}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
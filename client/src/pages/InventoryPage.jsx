@@ -0,0 +1,262 @@
+// client/src/pages/InventoryPage.jsx
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { socket } from '../socket';
+import BarChart from '../components/BarChart';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const CATEGORIES = ['Tea', 'Coffee', 'WiFi', 'Other'];
+const EMPTY_ITEM = { id: '', name: '', unit: 'units', stock: '', lowStockThreshold: '', usage: {} };
+
+function authHeaders(json) {
+  return {
+    ...(json ? { 'Content-Type': 'application/json' } : {}),
+    'x-spoc-token': sessionStorage.getItem('spocToken') || ''
+  };
+}
+
+function isLow(item) {
+  return item.lowStockThreshold > 0 && item.stock <= item.lowStockThreshold;
+}
+
+// Consumables: current stock, restocks, and what completed requests used up over time
+export default function InventoryPage() {
+  const [items, setItems] = useState([]);
+  const [movements, setMovements] = useState([]);
+  const [consumption, setConsumption] = useState([]);
+  const [chartItem, setChartItem] = useState('');
+  const [restock, setRestock] = useState({});
+  const [draft, setDraft] = useState(EMPTY_ITEM);
+  const [error, setError] = useState('');
+  const [unauthorized, setUnauthorized] = useState(false);
+
+  useEffect(() => {
+    loadAll();
+
+    const updatedHandler = (item) => {
+      setItems(prev => {
+        const rest = prev.filter(i => i.id !== item.id);
+        return item.active === false ? rest : [...rest, item].sort((a, b) => a.name.localeCompare(b.name));
+      });
+      // Movements and consumption are derived server-side, so refetch rather than patch
+      loadActivity();
+    };
+    socket.on('inventory:updated', updatedHandler);
+    return () => socket.off('inventory:updated', updatedHandler);
+  }, []);
+
+  async function getJson(path) {
+    const res = await fetch(`${API}${path}`, { headers: authHeaders() });
+    if (res.status === 401 || res.status === 403) {
+      setUnauthorized(true);
+      return null;
+    }
+    const j = await res.json();
+    if (!res.ok) throw new Error(j.error || 'Request failed');
+    return j;
+  }
+
+  async function loadActivity() {
+    try {
+      const [m, c] = await Promise.all([getJson('/api/inventory/movements?limit=50'), getJson('/api/inventory/consumption')]);
+      if (m) setMovements(m);
+      if (c) setConsumption(c);
+    } catch (err) {
+      console.error('inventory activity err', err);
+    }
+  }
+
+  async function loadAll() {
+    setError('');
+    try {
+      const list = await getJson('/api/inventory');
+      if (!list) return;
+      setUnauthorized(false);
+      setItems(list);
+      await loadActivity();
+    } catch (err) {
+      console.error('loadAll err', err);
+      setError(err.message || 'Could not reach the server.');
+    }
+  }
+
+  async function send(method, path, body) {
+    setError('');
+    try {
+      const res = await fetch(`${API}${path}`, { method, headers: authHeaders(true), body: JSON.stringify(body) });
+      const j = await res.json();
+      if (!res.ok) {
+        setError(Object.entries(j.fields || {}).map(([k, v]) => `${k}: ${v}`).join('; ') || j.error || 'Request failed');
+        return null;
+      }
+      return j;
+    } catch (err) {
+      console.error(`${method} ${path} err`, err);
+      setError('Could not reach the server.');
+      return null;
+    }
+  }
+
+  const createItem = async (e) => {
+    e.preventDefault();
+    const usage = Object.fromEntries(Object.entries(draft.usage).filter(([, v]) => v !== '').map(([k, v]) => [k, Number(v)]));
+    const created = await send('POST', '/api/inventory', {
+      id: draft.id.trim(),
+      name: draft.name.trim(),
+      unit: draft.unit.trim() || undefined,
+      stock: draft.stock === '' ? undefined : Number(draft.stock),
+      lowStockThreshold: draft.lowStockThreshold === '' ? undefined : Number(draft.lowStockThreshold),
+      usage
+    });
+    if (created) setDraft(EMPTY_ITEM);
+  };
+
+  const submitRestock = async (id) => {
+    const amount = Number(restock[id]);
+    if (!amount) return;
+    const updated = await send('POST', `/api/inventory/${id}/restock`, { amount });
+    if (updated) setRestock(prev => ({ ...prev, [id]: '' }));
+  };
+
+  const retire = async (item) => {
+    if (!confirm(`Stop tracking ${item.name}? Completed requests will no longer consume it.`)) return;
+    await send('PATCH', `/api/inventory/${item.id}`, { active: false });
+  };
+
+  if (unauthorized) {
+    return (
+      <div className="bg-white p-6 rounded shadow text-center">
+        <p className="mb-3">Inventory is available to organizers only.</p>
+        <Link to="/admin" className="btn-ghost">Log in as organizer</Link>
+      </div>
+    );
+  }
+
+  const itemName = (id) => items.find(i => i.id === id)?.name || id;
+  // Hourly totals for the selected item, or across all items
+  const hourly = new Map();
+  for (const row of consumption) {
+    if (chartItem && row.itemId !== chartItem) continue;
+    hourly.set(row.hour, (hourly.get(row.hour) || 0) + row.used);
+  }
+  const chartData = [...hourly].map(([hour, used]) => ({ label: `${new Date(hour).getHours()}:00`, value: used }));
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4 bg-white p-4 rounded shadow gap-2 flex-wrap">
+        <strong className="text-lg">Inventory</strong>
+        <div className="flex gap-2">
+          <button type="button" className="btn-ghost" onClick={loadAll}>Refresh</button>
+          <Link to="/admin" className="btn-ghost">Control room</Link>
+        </div>
+      </div>
+
+      {error && <div className="mb-4 p-2 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+
+      <div className="bg-white p-4 rounded shadow mb-4 overflow-x-auto">
+        <h4 className="font-semibold mb-2">Stock</h4>
+        {items.length === 0 ? (
+          <div className="text-sm text-gray-500">No items tracked yet.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1">Item</th>
+                <th>In stock</th>
+                <th>Alert at</th>
+                <th>Used per request item</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(item => (
+                <tr key={item.id} className={`border-t ${isLow(item) ? 'bg-yellow-50' : ''}`}>
+                  <td className="py-1">
+                    {item.name} <span className="text-xs text-gray-500">({item.id})</span>
+                  </td>
+                  <td className={isLow(item) ? 'text-red-600 font-semibold' : ''}>{item.stock} {item.unit}</td>
+                  <td>{item.lowStockThreshold || '—'}</td>
+                  <td>{Object.entries(item.usage || {}).map(([c, n]) => `${c} × ${n}`).join(', ') || '—'}</td>
+                  <td className="text-right whitespace-nowrap">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={restock[item.id] || ''}
+                      onChange={e => setRestock(prev => ({ ...prev, [item.id]: e.target.value }))}
+                      className="border p-1 rounded w-20 mr-1"
+                      placeholder="+qty"
+                    />
+                    <button type="button" className="btn-ghost" onClick={() => submitRestock(item.id)}>Restock</button>
+                    <button type="button" className="text-xs text-red-600 hover:underline ml-2" onClick={() => retire(item)}>Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white p-4 rounded shadow mb-4">
+        <div className="flex justify-between items-center mb-2 gap-2 flex-wrap">
+          <h4 className="font-semibold">Consumption per hour</h4>
+          <select value={chartItem} onChange={e => setChartItem(e.target.value)} className="border p-1 rounded text-sm">
+            <option value="">All items</option>
+            {items.map(i => <option key={i.id} value={i.id}>{i.name}</option>)}
+          </select>
+        </div>
+        <BarChart data={chartData} color="#f59e0b" />
+      </div>
+
+      <form className="bg-white p-4 rounded shadow mb-4 text-sm" onSubmit={createItem}>
+        <h4 className="font-semibold mb-2">Track a new item</h4>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+          <input value={draft.id} onChange={e => setDraft({ ...draft, id: e.target.value })} className="border p-1 rounded" placeholder="Id (e.g. cups)" required />
+          <input value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} className="border p-1 rounded" placeholder="Name" required />
+          <input value={draft.unit} onChange={e => setDraft({ ...draft, unit: e.target.value })} className="border p-1 rounded" placeholder="Unit" />
+          <input type="number" min="0" step="any" value={draft.stock} onChange={e => setDraft({ ...draft, stock: e.target.value })} className="border p-1 rounded" placeholder="Opening stock" />
+          <input type="number" min="0" step="any" value={draft.lowStockThreshold} onChange={e => setDraft({ ...draft, lowStockThreshold: e.target.value })} className="border p-1 rounded" placeholder="Alert at" />
+        </div>
+        <div className="flex gap-3 items-center mt-2 flex-wrap">
+          <span className="text-gray-600">Used per requested item:</span>
+          {CATEGORIES.map(c => (
+            <label key={c}>
+              {c}{' '}
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={draft.usage[c] ?? ''}
+                onChange={e => setDraft({ ...draft, usage: { ...draft.usage, [c]: e.target.value } })}
+                className="border p-1 rounded w-16"
+              />
+            </label>
+          ))}
+          <button type="submit" className="btn-ghost">Add item</button>
+        </div>
+      </form>
+
+      <div className="bg-white p-4 rounded shadow">
+        <h4 className="font-semibold mb-2">Recent movements</h4>
+        {movements.length === 0 ? (
+          <div className="text-sm text-gray-500">Nothing yet.</div>
+        ) : (
+          <ul className="text-sm">
+            {movements.map(m => (
+              <li key={m._id} className="border-t py-1 first:border-t-0">
+                <span className="text-xs text-gray-500 mr-2">{new Date(m.at).toLocaleString()}</span>
+                <span className={m.delta < 0 ? 'text-red-700' : 'text-green-700'}>{m.delta > 0 ? '+' : ''}{m.delta}</span>
+                {' '}{itemName(m.itemId)} → {m.stockAfter}
+                <span className="text-gray-500">
+                  {m.type === 'consume' ? ` • ${m.category} request` : ' • restock'}
+                  {m.note ? ` • ${m.note}` : ''}
+                  {m.actor ? ` • ${m.actor.role}${m.actor.id ? ` ${m.actor.id}` : ''}` : ''}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,83 +1,413 @@
 // client/src/pages/RequesterPage.jsx
-import React, { useEffect, useState } from 'react';
-import { TEAMS } from '../data/spocs';
-import { socket } from '../socket';
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { socket, reconnectSocket, onRequestUpdates } from '../socket';
+import { getTrackingTokens, saveTrackingToken, trackingPath } from '../tracking';
+import StatusBadge from '../components/StatusBadge';
+import PriorityBadge from '../components/PriorityBadge';
+import CommentThread from '../components/CommentThread';
+import LocationPicker from '../components/LocationPicker';
+import { getSeenComments, hasUnreadComments } from '../comments';
+import { EMERGENCY_CATEGORY, REQUESTER_PRIORITIES, pinnedFirst } from '../priority';
+import { placeLabel, teamSeat } from '../venue';
+import {
+  enqueueSubmission, listSubmissions, newIdempotencyKey, removeSubmission, updateSubmission
+} from '../offlineQueue';
 const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
 
+// Keep in sync with server/validation.js
+const CATEGORIES = ['Tea', 'Coffee', 'WiFi', 'Other', EMERGENCY_CATEGORY];
+const MAX_QUANTITY = 50;
+const PAGE_SIZE = 20;
+const OPEN_STATUSES = ['pending', 'acknowledged', 'in_progress'];
+// Remembered across visits so returning participants land on their own team
+const PREFS_KEY = 'requesterPrefs';
+const RETRY_INTERVAL_MS = 15000;
+
+function FieldError({ message }) {
+  if (!message) return null;
+  return <div className="text-sm text-red-600 mt-1">{message}</div>;
+}
+
+function loadPrefs() {
+  try {
+    return JSON.parse(localStorage.getItem(PREFS_KEY) || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+function RequestList({ items, empty, trackingTokens, openThreads, onToggleThread, seenComments, requesterName, onSeen }) {
+  return (
+    <ul className="bg-white p-4 rounded shadow">
+      {items.length === 0 && <li className="py-4 text-center text-gray-500">{empty}</li>}
+      {items.map(r => (
+        <li key={r._id} className="border-b py-2 last:border-b-0 flex justify-between gap-4">
+          <div className="flex-1">
+            <div className="font-semibold">{r.requester || '—'} • {r.category}</div>
+            <div className="text-sm text-gray-600">{r.location} • {r.quantity}</div>
+            {r.details && <div className="mt-1">{r.details}</div>}
+            {r.plusOnes?.length > 0 && <div className="text-xs text-blue-700 mt-1">+{r.plusOnes.length} from your team</div>}
+            {r.statusReason && <div className="text-sm text-gray-500 mt-1">Reason: {r.statusReason}</div>}
+            <div className="text-xs text-gray-500 mt-1">
+              {new Date(r.createdAt).toLocaleString()}
+              {trackingTokens[r._id] && (
+                <Link to={trackingPath(r._id, trackingTokens[r._id])} className="ml-2 text-blue-600 hover:underline">Track</Link>
+              )}
+              <button type="button" className="ml-2 text-blue-600 hover:underline" onClick={() => onToggleThread(r._id)}>
+                {openThreads[r._id] ? 'Hide messages' : `Messages (${r.commentCount || 0})`}
+              </button>
+              {!openThreads[r._id] && hasUnreadComments(r, seenComments, 'requester') && (
+                <span className="ml-1 px-1 rounded bg-red-500 text-white">new</span>
+              )}
+            </div>
+            {openThreads[r._id] && (
+              <div className="mt-2">
+                <CommentThread
+                  requestId={r._id}
+                  headers={{ 'x-team-token': localStorage.getItem('requesterToken') || '' }}
+                  ownRole="requester"
+                  requesterName={requesterName}
+                  onSeen={onSeen}
+                />
+              </div>
+            )}
+          </div>
+          <div className="flex flex-col gap-2 items-end">
+            <PriorityBadge priority={r.priority} />
+            <StatusBadge status={r.status} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
 export default function RequesterPage() {
-  const [form, setForm] = useState({
-    requester: '',
-    category: 'Tea',
-    details: '',
-    location: '',
-    quantity: '',
-    teamId: TEAMS[0]?.id || ''
+  const [teams, setTeams] = useState([]);
+  const [form, setForm] = useState(() => {
+    const prefs = loadPrefs();
+    return {
+      requester: prefs.requester || '',
+      category: 'Tea',
+      priority: 'normal',
+      details: '',
+      location: '',
+      zoneId: '',
+      tableId: '',
+      quantity: '1',
+      teamId: prefs.teamId || ''
+    };
   });
+  const [halls, setHalls] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState('');
   const [requests, setRequests] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [needsCode, setNeedsCode] = useState(false);
+  const [teamCode, setTeamCode] = useState('');
+  const [codeError, setCodeError] = useState('');
+  const [lastCreated, setLastCreated] = useState(null);
+  const [trackingTokens, setTrackingTokens] = useState(getTrackingTokens);
+  // Socket handlers outlive renders; they read the current team from here
+  const teamRef = useRef(form.teamId);
+  const [queued, setQueued] = useState([]);
+  const flushingRef = useRef(false);
+  const [openThreads, setOpenThreads] = useState({});
+  const [seenComments, setSeenComments] = useState(getSeenComments);
+  const audioRef = useRef(null);
 
   useEffect(() => {
-    fetchRequests();
+    fetchTeams();
+    fetchVenue();
+    audioRef.current = new Audio('/notifications.mp4');
 
+    // The socket may still sit in the previous team's room for a moment after a switch
     const onCreated = (doc) => {
-      setRequests(prev => [doc, ...prev]);
+      if (doc?.teamId !== teamRef.current) return;
+      setRequests(prev => (prev.some(r => r._id === doc._id) ? prev : [doc, ...prev]));
     };
-    const onUpdated = (doc) => {
-      setRequests(prev => prev.map(r => (r._id === doc._id ? doc : r)));
+    const onUpdates = (docs) => {
+      const ours = new Map(docs.filter(d => d?.teamId === teamRef.current).map(d => [d._id, d]));
+      if (ours.size) setRequests(prev => prev.map(r => ours.get(r._id) || r));
     };
     const onDeleted = (d) => {
       setRequests(prev => prev.filter(r => r._id !== d._id));
     };
+    // A reply from the SPOC or organizers chimes; the open thread shows it by itself
+    const onComment = (c) => {
+      if (c?.teamId !== teamRef.current) return;
+      setRequests(prev => prev.map(r => (r._id === c.requestId
+        ? { ...r, commentCount: c.commentCount, lastCommentAt: c.lastCommentAt, lastCommentRole: c.lastCommentRole }
+        : r)));
+      if (c.lastCommentRole !== 'requester') audioRef.current?.play().catch(() => {});
+    };
+    const onVenue = (venue) => setHalls(venue.halls);
 
     socket.on('request:created', onCreated);
-    socket.on('request:updated', onUpdated);
+    const offUpdates = onRequestUpdates(onUpdates);
     socket.on('request:deleted', onDeleted);
-
-    if (form.teamId) socket.emit('team:join', form.teamId);
+    socket.on('comment:created', onComment);
+    socket.on('venue:updated', onVenue);
 
     return () => {
       socket.off('request:created', onCreated);
-      socket.off('request:updated', onUpdated);
+      offUpdates();
       socket.off('request:deleted', onDeleted);
-      if (form.teamId) socket.emit('team:leave', form.teamId);
+      socket.off('comment:created', onComment);
+      socket.off('venue:updated', onVenue);
     };
   }, []);
 
-  const fetchRequests = async () => {
+  // The team's own table pre-fills the picker; it can still be changed per request. A place the
+  // requester picked survives roster and venue refreshes until the team changes or it is sent.
+  const placeTouchedRef = useRef(false);
+  useEffect(() => {
+    placeTouchedRef.current = false;
+  }, [form.teamId]);
+  useEffect(() => {
+    const seat = teamSeat(halls, teams.find(t => t.id === form.teamId));
+    setForm(prev => (placeTouchedRef.current && (prev.tableId || prev.zoneId) ? prev : { ...prev, ...seat }));
+  }, [form.teamId, teams, halls]);
+
+  useEffect(() => {
+    localStorage.setItem(PREFS_KEY, JSON.stringify({ teamId: form.teamId, requester: form.requester }));
+  }, [form.teamId, form.requester]);
+
+  // Switching teams: reload the list and move the socket from the old team room to the new one.
+  // Live updates need a requester token scoped to the selected team.
+  useEffect(() => {
+    teamRef.current = form.teamId;
+    setRequests([]);
+    setNextCursor(null);
+    if (!form.teamId) return;
+    const teamId = form.teamId;
+    setNeedsCode(false);
+    setCodeError('');
+    if (localStorage.getItem('requesterTeamId') === teamId && localStorage.getItem('requesterToken')) {
+      // A stored token that expired (or a server restart) shows up as a 401 on the list,
+      // which starts a fresh session
+      socket.emit('team:join', teamId);
+      fetchTeamRequests(teamId);
+    } else {
+      startTeamSession(teamId);
+    }
+    return () => socket.emit('team:leave', teamId);
+  }, [form.teamId]);
+
+  const startTeamSession = async (teamId, code) => {
+    try {
+      const res = await fetch(`${API}/api/teams/${encodeURIComponent(teamId)}/session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(code ? { code } : {})
+      });
+      const j = await res.json();
+      if (teamRef.current !== teamId) return; // the user moved on while this was in flight
+      if (!res.ok) {
+        if (j.code === 'INVALID_JOIN_CODE') {
+          setNeedsCode(true);
+          if (code) setCodeError(j.error || 'Invalid team code');
+        } else {
+          // NO_JOIN_CODE (the team has none yet, so asking for one won't help), lockouts and the rest
+          setCodeError(j.error || 'Could not join team updates');
+        }
+        return;
+      }
+      localStorage.setItem('requesterToken', j.token);
+      localStorage.setItem('requesterTeamId', j.teamId);
+      setNeedsCode(false);
+      setTeamCode('');
+      setCodeError('');
+      // The new handshake carries only this team's token, so the server re-joins just team:<id>
+      reconnectSocket();
+      fetchTeamRequests(teamId);
+    } catch (err) {
+      console.error('startTeamSession err', err);
+    }
+  };
+
+  const fetchTeams = async () => {
     try {
-      const res = await fetch(`${API}/api/requests`);
+      const res = await fetch(`${API}/api/teams`);
       const data = await res.json();
-      setRequests(data);
+      setTeams(data);
+      // A remembered team may have been deactivated since the last visit
+      setForm(prev => (data.some(t => t.id === prev.teamId) ? prev : { ...prev, teamId: data[0]?.id || '' }));
     } catch (err) {
-      console.error('fetchRequests err', err);
+      console.error('fetchTeams err', err);
     }
   };
 
-  const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+  const fetchVenue = async () => {
+    try {
+      const res = await fetch(`${API}/api/venue`);
+      if (res.ok) setHalls((await res.json()).halls);
+    } catch (err) {
+      console.error('fetchVenue err', err);
+    }
+  };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // Every open request of the team, plus the first page of closed ones; "Load more" pages the closed list.
+  // The list only answers with the team's own session token.
+  const fetchTeamRequests = async (teamId, cursor = null) => {
+    try {
+      const closed = new URLSearchParams({ teamId, status: 'done,cancelled,rejected', limit: String(PAGE_SIZE) });
+      if (cursor) closed.set('cursor', cursor);
+      const open = new URLSearchParams({ teamId, status: OPEN_STATUSES.join(','), limit: '200' });
+      const headers = { 'x-team-token': localStorage.getItem('requesterToken') || '' };
+      const [closedRes, openRes] = await Promise.all([
+        fetch(`${API}/api/requests?${closed}`, { headers }),
+        cursor ? null : fetch(`${API}/api/requests?${open}`, { headers })
+      ]);
+      if (closedRes.status === 401) {
+        if (teamRef.current === teamId) startTeamSession(teamId);
+        return;
+      }
+      const closedData = await closedRes.json();
+      const openItems = openRes ? (await openRes.json()).items : [];
+      if (teamRef.current !== teamId) return;
+      setRequests(prev => {
+        const merged = cursor ? [...prev, ...closedData.items] : [...openItems, ...closedData.items];
+        return merged.filter((r, i) => merged.findIndex(x => x._id === r._id) === i);
+      });
+      setNextCursor(closedData.nextCursor);
+    } catch (err) {
+      console.error('fetchTeamRequests err', err);
+    }
+  };
+
+  const toggleThread = (id) => setOpenThreads(prev => ({ ...prev, [id]: !prev[id] }));
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+    if (errors[e.target.name]) setErrors(prev => ({ ...prev, [e.target.name]: undefined }));
+  };
+
+  // One attempt at delivering a submission. 'sent' and 'rejected' are final; 'retry' means
+  // the network or server failed, or the server is rate limiting us (rateLimited), and the
+  // same Idempotency-Key should be tried again later. A full open-request cap is a rejection:
+  // retrying won't help until the team's earlier requests are dealt with.
+  const sendSubmission = async (key, payload) => {
+    let res;
     try {
-      const team = TEAMS.find(t => t.id === form.teamId);
-      const body = { ...form, spocId: team?.spocId || null };
-      const res = await fetch(`${API}/api/requests`, {
+      res = await fetch(`${API}/api/requests`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+        body: JSON.stringify(payload)
       });
-      if (!res.ok) {
-        const j = await res.json();
-        alert(j.error || 'Failed to create request');
-        return;
+    } catch (err) {
+      return { outcome: 'retry', error: 'Network unavailable' };
+    }
+    const j = await res.json().catch(() => ({}));
+    if (res.ok) return { outcome: 'sent', created: j };
+    if (res.status === 429 && j.code !== 'OPEN_REQUEST_LIMIT') {
+      return { outcome: 'retry', rateLimited: true, error: j.error || 'Too many requests right now' };
+    }
+    if (res.status >= 500 || res.status === 408) return { outcome: 'retry', error: j.error || `Server error (${res.status})` };
+    return { outcome: 'rejected', body: j };
+  };
+
+  const onDelivered = (created) => {
+    saveTrackingToken(created._id, created.trackingToken);
+    setTrackingTokens(getTrackingTokens());
+    if (created.teamId === teamRef.current) {
+      setRequests(prev => (prev.some(r => r._id === created._id) ? prev : [created, ...prev]));
+    }
+  };
+
+  const loadQueue = async () => {
+    try {
+      setQueued(await listSubmissions());
+    } catch (err) {
+      console.error('offline queue unavailable', err);
+    }
+  };
+
+  // Retries queued submissions oldest first; stops at the first network failure
+  const flushQueue = async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    try {
+      for (const entry of await listSubmissions()) {
+        const result = await sendSubmission(entry.key, entry.payload);
+        if (result.outcome === 'retry') {
+          await updateSubmission({ ...entry, attempts: entry.attempts + 1, lastError: result.error });
+          break;
+        }
+        await removeSubmission(entry.key);
+        if (result.outcome === 'sent') onDelivered(result.created);
+        else setFormError(`A saved ${entry.payload.category} request could not be sent: ${result.body.error || 'rejected by the server'}`);
       }
-      const created = await res.json();
-      setForm({ requester: '', category: 'Tea', details: '', location: '', quantity: '', teamId: form.teamId });
-      setRequests(prev => [created, ...prev]);
     } catch (err) {
-      console.error('handleSubmit err', err);
-      alert('Error creating request');
+      console.error('flushQueue err', err);
+    } finally {
+      flushingRef.current = false;
+      loadQueue();
     }
   };
 
+  useEffect(() => {
+    loadQueue().then(flushQueue);
+    window.addEventListener('online', flushQueue);
+    socket.on('connect', flushQueue);
+    return () => {
+      window.removeEventListener('online', flushQueue);
+      socket.off('connect', flushQueue);
+    };
+  }, []);
+
+  // Backstop for networks that come back without an 'online' event (captive portals, flaky APs)
+  useEffect(() => {
+    if (queued.length === 0) return;
+    const timer = setInterval(flushQueue, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [queued.length]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    setLastCreated(null);
+    const key = newIdempotencyKey();
+    const payload = { ...form };
+    // Saved before the first attempt, so a tab closed mid-request still retries on the next visit
+    const persisted = await enqueueSubmission(key, payload).then(() => true, (err) => {
+      console.error('offline queue unavailable', err);
+      return false;
+    });
+
+    const result = await sendSubmission(key, payload);
+    if (result.outcome === 'rejected') {
+      if (persisted) await removeSubmission(key).catch(() => {});
+      setErrors(result.body.fields || {});
+      setFormError(result.body.error || 'Failed to create request');
+      return;
+    }
+    setErrors({});
+    placeTouchedRef.current = false;
+    setForm({
+      requester: form.requester, category: 'Tea', priority: 'normal', details: '', location: '', quantity: '1', teamId: form.teamId,
+      ...teamSeat(halls, teams.find(t => t.id === form.teamId))
+    });
+    if (result.outcome === 'sent') {
+      if (persisted) await removeSubmission(key).catch(() => {});
+      onDelivered(result.created);
+      setLastCreated(result.created);
+    } else if (!persisted) {
+      setFormError(result.rateLimited
+        ? `${result.error} This browser cannot keep the request for later, so please send it again then.`
+        : 'Could not reach the server, and this browser cannot store the request offline. Please try again.');
+    } else if (result.rateLimited) {
+      setFormError(`Slow down: ${result.error} Your request is saved and will be sent automatically.`);
+    }
+    loadQueue();
+  };
+
+  const openRequests = pinnedFirst(requests.filter(r => OPEN_STATUSES.includes(r.status)));
+  const isEmergency = form.category === EMERGENCY_CATEGORY;
+  const closedRequests = requests.filter(r => !OPEN_STATUSES.includes(r.status));
+  const placePicked = Boolean(form.tableId || form.zoneId);
+
   return (
     <div>
       <div className="flex justify-between items-center mb-4">
@@ -87,56 +417,170 @@ export default function RequesterPage() {
       <form onSubmit={handleSubmit} className="bg-white p-4 rounded shadow card-anim mb-4">
         <div className="mb-2">
           <label className="block font-semibold mb-1">Requester name</label>
-          <input name="requester" value={form.requester} onChange={handleChange} className="border p-2 w-full rounded" />
+          <input name="requester" value={form.requester} onChange={handleChange} maxLength={60} className="border p-2 w-full rounded" />
+          <FieldError message={errors.requester} />
         </div>
 
         <div className="mb-2">
           <label className="block font-semibold mb-1">Team</label>
           <select name="teamId" value={form.teamId} onChange={handleChange} className="border p-2 w-full rounded">
-            {TEAMS.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
           </select>
+          <FieldError message={errors.teamId} />
+          {needsCode && (
+            <div className="flex gap-2 mt-2">
+              <input
+                value={teamCode}
+                onChange={e => setTeamCode(e.target.value)}
+                placeholder="Team code (on your table card)"
+                className="border p-2 flex-1 rounded"
+              />
+              <button type="button" className="btn-ghost" onClick={() => startTeamSession(form.teamId, teamCode.trim())}>Join</button>
+            </div>
+          )}
+          <FieldError message={codeError} />
         </div>
 
         <div className="mb-2">
           <label className="block font-semibold mb-1">Category</label>
           <select name="category" value={form.category} onChange={handleChange} className="border p-2 w-full rounded">
-            <option value="Tea">Tea</option>
-            <option value="Coffee">Coffee</option>
-            <option value="WiFi">WiFi</option>
-            <option value="Other">Other</option>
+            {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <FieldError message={errors.category} />
+          {isEmergency && (
+            <div className="mt-1 p-2 rounded bg-red-50 text-red-700 text-sm">
+              An emergency alerts every SPOC and the organizers at once. Say what happened and exactly where.
+            </div>
+          )}
+        </div>
+
+        <div className="mb-2">
+          <label className="block font-semibold mb-1">Priority</label>
+          <select
+            name="priority"
+            value={isEmergency ? 'critical' : form.priority}
+            onChange={handleChange}
+            disabled={isEmergency}
+            className="border p-2 w-full rounded capitalize"
+          >
+            {(isEmergency ? ['critical'] : REQUESTER_PRIORITIES).map(p => <option key={p} value={p}>{p}</option>)}
           </select>
+          <FieldError message={errors.priority} />
         </div>
 
+        {halls.length > 0 && (
+          <div className="mb-2">
+            <label className="block font-semibold mb-1">Where</label>
+            <LocationPicker
+              halls={halls}
+              value={{ zoneId: form.zoneId, tableId: form.tableId }}
+              onChange={place => {
+                placeTouchedRef.current = true;
+                setForm(prev => ({ ...prev, ...place }));
+                setErrors(prev => ({ ...prev, zoneId: undefined, tableId: undefined }));
+              }}
+            />
+            <FieldError message={errors.tableId || errors.zoneId} />
+          </div>
+        )}
+
         <div className="mb-2">
-          <label className="block font-semibold mb-1">Location (required)</label>
-          <input name="location" value={form.location} onChange={handleChange} required className="border p-2 w-full rounded" />
+          <label className="block font-semibold mb-1">
+            {placePicked ? 'Exact spot (optional)' : 'Location (required)'}
+          </label>
+          <input
+            name="location"
+            value={form.location}
+            onChange={handleChange}
+            required={!placePicked}
+            maxLength={120}
+            placeholder={placePicked ? 'e.g. by the window' : ''}
+            className="border p-2 w-full rounded"
+          />
+          <FieldError message={errors.location} />
         </div>
 
         <div className="mb-2">
           <label className="block font-semibold mb-1">Quantity</label>
-          <input name="quantity" value={form.quantity} onChange={handleChange} className="border p-2 w-full rounded" />
+          <input name="quantity" type="number" min="1" max={MAX_QUANTITY} step="1" value={form.quantity} onChange={handleChange} className="border p-2 w-full rounded" />
+          <FieldError message={errors.quantity} />
         </div>
 
         <div className="mb-2">
           <label className="block font-semibold mb-1">Details</label>
-          <textarea name="details" value={form.details} onChange={handleChange} className="border p-2 w-full rounded" rows="3" />
+          <textarea name="details" value={form.details} onChange={handleChange} maxLength={500} className="border p-2 w-full rounded" rows="3" />
+          <FieldError message={errors.details} />
         </div>
 
-        <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition">Submit Request</button>
+        {formError && <div className="mb-2 p-2 rounded bg-red-50 text-red-700 text-sm">{formError}</div>}
+
+        <button
+          type="submit"
+          className={`${isEmergency ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'} text-white px-4 py-2 rounded transition`}
+        >
+          {isEmergency ? 'Report Emergency' : 'Submit Request'}
+        </button>
       </form>
 
-      <h3 className="text-lg font-bold mb-2">Latest requests</h3>
-      <ul className="bg-white p-4 rounded shadow">
-        {requests.length === 0 && <li className="py-4 text-center text-gray-500">No requests yet.</li>}
-        {requests.map(r => (
-          <li key={r._id} className="border-b py-2 last:border-b-0">
-            <div className="font-semibold">{r.requester || '—'} • {r.category}</div>
-            <div className="text-sm text-gray-600">{r.location} • {r.quantity} • Team: {TEAMS.find(t => t.id === r.teamId)?.name || r.teamId}</div>
-            <div className="mt-1">{r.details}</div>
-            <div className="text-xs text-gray-500 mt-1">{new Date(r.createdAt).toLocaleString()}</div>
-          </li>
-        ))}
-      </ul>
+      {lastCreated && (
+        <div className="mb-4 p-3 rounded bg-green-50 text-green-800 text-sm">
+          {lastCreated.attached
+            ? 'Your team already has this open request, so we added your +1 (and quantity) to it instead of sending another. '
+            : 'Request sent. '}
+          <Link to={trackingPath(lastCreated._id, lastCreated.trackingToken)} className="font-semibold underline">Track it live</Link>
+          {' '}— keep the link to check on it from your phone.
+        </div>
+      )}
+
+      {queued.length > 0 && (
+        <div className="mb-4 p-3 rounded bg-yellow-50 text-yellow-900 text-sm">
+          <div className="flex justify-between items-center gap-2">
+            <strong>
+              {queued.length === 1 ? '1 request is' : `${queued.length} requests are`} waiting to be sent — they will go out automatically.
+            </strong>
+            <button type="button" className="btn-ghost" onClick={flushQueue}>Retry now</button>
+          </div>
+          <ul className="mt-2 space-y-1">
+            {queued.map(q => (
+              <li key={q.key}>
+                {q.payload.quantity} × {q.payload.category} to {[placeLabel(halls, q.payload), q.payload.location].filter(Boolean).join(' — ')}
+                <span className="text-yellow-700"> • saved {new Date(q.queuedAt).toLocaleTimeString()}</span>
+                {q.attempts > 0 && <span className="text-yellow-700"> • {q.attempts} retr{q.attempts === 1 ? 'y' : 'ies'}</span>}
+                {q.lastError && <span className="text-yellow-700"> • {q.lastError}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <h3 className="text-lg font-bold mb-2">Open requests</h3>
+      <RequestList
+        items={openRequests}
+        empty="Nothing pending for your team."
+        trackingTokens={trackingTokens}
+        openThreads={openThreads}
+        onToggleThread={toggleThread}
+        seenComments={seenComments}
+        requesterName={form.requester.trim()}
+        onSeen={() => setSeenComments(getSeenComments())}
+      />
+
+      <h3 className="text-lg font-bold mt-4 mb-2">Completed</h3>
+      <RequestList
+        items={closedRequests}
+        empty="No completed requests yet."
+        trackingTokens={trackingTokens}
+        openThreads={openThreads}
+        onToggleThread={toggleThread}
+        seenComments={seenComments}
+        requesterName={form.requester.trim()}
+        onSeen={() => setSeenComments(getSeenComments())}
+      />
+      {nextCursor && (
+        <div className="text-center mt-3">
+          <button type="button" className="btn-ghost" onClick={() => fetchTeamRequests(form.teamId, nextCursor)}>Load more</button>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
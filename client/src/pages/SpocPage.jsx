@@ -1,43 +1,270 @@
 // client/src/pages/SpocPage.jsx
 import React, { useEffect, useRef, useState } from 'react';
-import { SPOCS, TEAMS } from '../data/spocs';
-import { socket } from '../socket';
+import { useSearchParams } from 'react-router-dom';
+import { socket, reconnectSocket, onRequestUpdates } from '../socket';
+import RequestHistory from '../components/RequestHistory';
+import SlaBadge, { slaRemaining } from '../components/SlaBadge';
+import StatusBadge from '../components/StatusBadge';
+import PriorityBadge from '../components/PriorityBadge';
+import EmergencyBanner from '../components/EmergencyBanner';
+import CommentThread from '../components/CommentThread';
+import NotificationSettings from '../components/NotificationSettings';
+import { getSeenComments, hasUnreadComments } from '../comments';
+import { alertFor, disablePush, registerServiceWorker, showLocalNotification } from '../notifications';
+import { EMERGENCY_CATEGORY, pinnedFirst } from '../priority';
+import { groupByZone } from '../venue';
 const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+const PAGE_SIZE = 30;
+const HANDOVER_DURATIONS = [
+  { minutes: 30, label: 'for 30 min' },
+  { minutes: 60, label: 'for 1 hour' },
+  { minutes: 120, label: 'for 2 hours' },
+  { minutes: '', label: 'until taken back' }
+];
+
+// Next lifecycle step offered for each open status (mirrors REQUEST_TRANSITIONS on the server)
+const NEXT_ACTION = {
+  pending: { action: 'acknowledge', label: 'Acknowledge' },
+  acknowledged: { action: 'start', label: 'Start' },
+  in_progress: { action: 'complete', label: 'Done' }
+};
+
+// Bulk steps for the selected requests, each offered for the statuses it applies to
+const BULK_ACTIONS = [
+  { action: 'acknowledge', label: 'Acknowledge', from: ['pending'] },
+  { action: 'start', label: 'Start', from: ['acknowledged'] },
+  { action: 'complete', label: 'Done', from: ['in_progress'] },
+  { action: 'cancel', label: 'Cancel', from: ['pending', 'acknowledged', 'in_progress'] }
+];
+
+// Merges changed requests into the list in one pass: ones still in view are replaced (or
+// added on top), ones that left it (handed off, refiltered) are dropped
+function mergeRequests(prev, docs, inView) {
+  const changed = new Map(docs.map(d => [d._id, d]));
+  const kept = prev.filter(r => !changed.has(r._id) || inView(changed.get(r._id))).map(r => changed.get(r._id) || r);
+  const added = docs.filter(d => inView(d) && !prev.some(r => r._id === d._id));
+  return [...added, ...kept];
+}
+
+// "2 × Cannot complete a request that is pending; 1 × Request belongs to another SPOC"
+function summarizeFailures(failures) {
+  const counts = {};
+  for (const f of failures) counts[f.error] = (counts[f.error] || 0) + 1;
+  return Object.entries(counts).map(([error, n]) => `${n} × ${error}`).join('; ');
+}
+
+// Shown on a request the server flagged as a likely repeat; `original` is undefined when the
+// earlier request is no longer open on this list
+function DuplicateNotice({ original, onMerge, onDismiss }) {
+  return (
+    <div className="mt-1 p-2 rounded bg-yellow-50 text-sm flex gap-2 items-center flex-wrap">
+      <span>
+        Possible duplicate of {original
+          ? `${original.requester || '—'}'s request from ${new Date(original.createdAt).toLocaleTimeString()}`
+          : 'an earlier request'}
+      </span>
+      {original && <button type="button" className="text-blue-600 hover:underline" onClick={() => onMerge(original._id)}>Merge into it</button>}
+      <button type="button" className="text-blue-600 hover:underline" onClick={onDismiss}>Not a duplicate</button>
+    </div>
+  );
+}
+
+function BulkBar({ selected, spocs, busy, onRun, onClear }) {
+  const idsFor = (from) => selected.filter(r => from.includes(r.status)).map(r => r._id);
+
+  const run = (step) => {
+    const ids = idsFor(step.from);
+    if (step.action !== 'cancel') return onRun(step.action, ids);
+    // One prompt for the whole selection; dismissing it aborts
+    const reason = prompt(`Cancel ${ids.length} request${ids.length === 1 ? '' : 's'}? Reason (optional):`);
+    if (reason !== null) onRun('cancel', ids, reason.trim() ? { reason: reason.trim() } : {});
+  };
+
+  return (
+    <div className="sticky top-0 z-10 mb-2 p-2 rounded shadow bg-blue-50 flex gap-2 items-center flex-wrap text-sm">
+      <strong>{selected.length} selected</strong>
+      {BULK_ACTIONS.map(step => {
+        const count = idsFor(step.from).length;
+        return (
+          <button key={step.action} type="button" className="btn-ghost" disabled={busy || count === 0} onClick={() => run(step)}>
+            {step.label}{count ? ` (${count})` : ''}
+          </button>
+        );
+      })}
+      <select value="" disabled={busy} onChange={e => e.target.value && onRun('reassign', selected.map(r => r._id), { spocId: e.target.value })} className="border p-1 rounded">
+        <option value="">Hand off all to…</option>
+        {spocs.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+      </select>
+      <button type="button" className="text-blue-600 hover:underline" onClick={onClear}>Clear</button>
+    </div>
+  );
+}
+
+// Mirrors teamSpocId on the server: a running temporary reassignment wins over the home SPOC
+function currentSpocId(team, now) {
+  if (team.coverSpocId && (!team.coverUntil || new Date(team.coverUntil).getTime() > now)) return team.coverSpocId;
+  return team.spocId;
+}
+
+// Hand a whole team to another SPOC for a while, or take it back
+function TeamHandover({ spocId, teams, spocs, now, onChanged }) {
+  const [target, setTarget] = useState({});
+  const [duration, setDuration] = useState({});
+  const spocName = (id) => spocs.find(s => s.id === id)?.name || `SPOC ${id}`;
+
+  const send = async (teamId, method, body) => {
+    try {
+      const res = await fetch(`${API}/api/teams/${teamId}/reassign`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'x-spoc-token': sessionStorage.getItem('spocToken') || '' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const j = await res.json();
+      if (!res.ok) throw new Error(Object.values(j.fields || {})[0] || j.error || 'Handover failed');
+      onChanged();
+    } catch (err) { console.error('team handover err', err); alert(err.message || 'Handover failed'); }
+  };
+
+  const handOver = (teamId) => {
+    if (!target[teamId]) return;
+    const minutes = duration[teamId] ?? HANDOVER_DURATIONS[0].minutes;
+    send(teamId, 'POST', { spocId: target[teamId], ...(minutes ? { minutes: Number(minutes) } : {}) });
+  };
+
+  return (
+    <ul className="text-sm">
+      {teams.map(t => {
+        const current = currentSpocId(t, now);
+        const covered = current !== t.spocId;
+        return (
+          <li key={t.id} className="border-t py-2 first:border-t-0 flex justify-between items-center gap-2 flex-wrap">
+            <div>
+              <span className="font-semibold">{t.name}</span>
+              {covered && t.spocId === spocId && (
+                <span className="text-gray-600"> • with {spocName(current)}{t.coverUntil ? ` until ${new Date(t.coverUntil).toLocaleTimeString()}` : ''}</span>
+              )}
+              {covered && current === spocId && <span className="text-gray-600"> • covering for {spocName(t.spocId)}</span>}
+            </div>
+            {covered ? (
+              <button type="button" className="btn-ghost" onClick={() => send(t.id, 'DELETE')}>
+                {t.spocId === spocId ? 'Take back' : 'Return'}
+              </button>
+            ) : (
+              <div className="flex gap-2 items-center">
+                <select value={target[t.id] || ''} onChange={e => setTarget(prev => ({ ...prev, [t.id]: e.target.value }))} className="border p-1 rounded">
+                  <option value="">Hand to…</option>
+                  {spocs.filter(s => s.id !== spocId).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                </select>
+                <select
+                  value={duration[t.id] ?? HANDOVER_DURATIONS[0].minutes}
+                  onChange={e => setDuration(prev => ({ ...prev, [t.id]: e.target.value }))}
+                  className="border p-1 rounded"
+                >
+                  {HANDOVER_DURATIONS.map(d => <option key={d.label} value={d.minutes}>{d.label}</option>)}
+                </select>
+                <button type="button" className="btn-ghost" disabled={!target[t.id]} onClick={() => handOver(t.id)}>Hand over</button>
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
 
 export default function SpocPage() {
-  const [pin, setPin] = useState('');
+  const [spocIdInput, setSpocIdInput] = useState('');
+  const [secret, setSecret] = useState('');
   const [spoc, setSpoc] = useState(null);
-  const [team, setTeam] = useState(null);
+  const [teams, setTeams] = useState([]);
+  const [spocs, setSpocs] = useState([]);
+  const [halls, setHalls] = useState([]);
+  const [teamFilter, setTeamFilter] = useState('');
+  const [showHandover, setShowHandover] = useState(false);
+  // Socket handlers outlive renders; they read the current SPOC and filter from here
+  const spocRef = useRef(null);
+  const filterRef = useRef('');
   const [requests, setRequests] = useState([]);
-  const audioRef = useRef(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [threads, setThreads] = useState({});
+  const [seenComments, setSeenComments] = useState(getSeenComments);
+  const [sortBy, setSortBy] = useState('newest');
+  const [now, setNow] = useState(Date.now());
   const [loading, setLoading] = useState(false);
-  const [notifEnabled, setNotifEnabled] = useState(false);
+  const [showNotifSettings, setShowNotifSettings] = useState(false);
+  const [selected, setSelected] = useState({});
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkMessage, setBulkMessage] = useState('');
+  // Request to bring into view: from ?request=<id> (a notification opened this tab) or a
+  // notification clicked while the page was already open
+  const [searchParams] = useSearchParams();
+  const [focusId, setFocusId] = useState(() => searchParams.get('request'));
 
   useEffect(() => {
-    audioRef.current = new Audio('/notifications.mp4');
+    registerServiceWorker();
+    const swMessageHandler = (e) => {
+      if (e.data?.type === 'focus-request' && e.data.requestId) setFocusId(e.data.requestId);
+    };
+    navigator.serviceWorker?.addEventListener('message', swMessageHandler);
 
     const createdHandler = (doc) => {
-      if (!doc) return;
-      setRequests(prev => [doc, ...prev]);
-      audioRef.current?.play().catch(() => {});
+      if (!doc || !inView(doc)) return;
+      setRequests(prev => (prev.some(r => r._id === doc._id) ? prev : [doc, ...prev]));
+      notify(doc, `New ${doc.category} request`);
     };
 
-    const updatedHandler = (doc) => setRequests(prev => prev.map(r => r._id === doc._id ? doc : r));
+    // A request handed to us appears; one handed away leaves the list
+    const updatesHandler = (docs) => setRequests(prev => mergeRequests(prev, docs, inView));
+    const updatedHandler = (doc) => updatesHandler([doc]);
     const deletedHandler = (d) => setRequests(prev => prev.filter(r => r._id !== d._id));
+    const escalatedHandler = (doc) => {
+      updatedHandler(doc);
+      if (inView(doc)) notify(doc, `Overdue: ${doc.category} request`);
+    };
+    // Keeps the unread markers current; the thread itself listens while it is open
+    const commentHandler = (c) => {
+      setRequests(prev => prev.map(r => (r._id === c.requestId
+        ? { ...r, commentCount: c.commentCount, lastCommentAt: c.lastCommentAt, lastCommentRole: c.lastCommentRole }
+        : r)));
+      if (c.lastCommentRole !== 'spoc') alertFor(null);
+    };
+    const venueHandler = (venue) => setHalls(venue.halls);
 
-    socket.on('request:created:forSpoc', createdHandler);
-    socket.on('request:created:forTeam', createdHandler);
-    socket.on('request:updated', updatedHandler);
+    socket.on('request:created', createdHandler);
+    const offUpdates = onRequestUpdates(updatesHandler);
     socket.on('request:deleted', deletedHandler);
+    socket.on('request:escalated', escalatedHandler);
+    socket.on('comment:created', commentHandler);
+    socket.on('team:reassigned', loadRoster);
+    socket.on('venue:updated', venueHandler);
+
+    // One clock for every SLA badge on the page
+    const tick = setInterval(() => setNow(Date.now()), 1000);
 
     return () => {
-      socket.off('request:created:forSpoc', createdHandler);
-      socket.off('request:created:forTeam', createdHandler);
-      socket.off('request:updated', updatedHandler);
+      socket.off('request:created', createdHandler);
+      offUpdates();
       socket.off('request:deleted', deletedHandler);
+      socket.off('request:escalated', escalatedHandler);
+      socket.off('comment:created', commentHandler);
+      socket.off('team:reassigned', loadRoster);
+      socket.off('venue:updated', venueHandler);
+      navigator.serviceWorker?.removeEventListener('message', swMessageHandler);
+      clearInterval(tick);
     };
   }, []);
 
+  function inView(doc) {
+    return doc.spocId === spocRef.current && (!filterRef.current || doc.teamId === filterRef.current);
+  }
+
+  useEffect(() => {
+    if (!focusId) return;
+    const el = document.getElementById(`request-${focusId}`);
+    if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusId, requests]);
+
   useEffect(() => {
     (async () => {
       const token = sessionStorage.getItem('spocToken');
@@ -51,17 +278,10 @@ export default function SpocPage() {
           return;
         }
         const j = await res.json();
-        if (j.ok) {
-          const spocId = j.spocId || null;
-          let foundSpoc = SPOCS.find(s => s.id === spocId);
-          if (!foundSpoc && spocId) foundSpoc = { id: spocId, name: spocId };
-          setSpoc(foundSpoc || null);
-          const t = TEAMS.find(tt => tt.spocId === (foundSpoc?.id || spocId));
-          setTeam(t || null);
-          if (spocId) socket.emit('spoc:join', spocId);
-          if (t?.id) socket.emit('team:join', t.id);
-          if (t?.id) fetchTeamRequests(t.id);
-        } else {
+        if (j.ok && j.role === 'spoc') {
+          // The socket handshake already carried this token, so the server has put us in spoc:<id>
+          startSession({ id: j.spocId, name: j.name });
+        } else if (!j.ok) {
           sessionStorage.removeItem('spocToken');
         }
       } catch (err) {
@@ -70,14 +290,81 @@ export default function SpocPage() {
     })();
   }, []);
 
-  async function fetchTeamRequests(teamId) {
+  // Sound per the category preference; a system notification too when the tab is hidden
+  // (browsers with a push subscription get that one from the service worker instead).
+  // Emergencies are sounded by the banner.
+  function notify(doc, title) {
+    if (doc.category !== EMERGENCY_CATEGORY) alertFor(doc.category);
+    if (document.hidden) {
+      showLocalNotification({
+        title,
+        body: `${doc.quantity} × ${doc.category} • ${doc.location}${doc.requester ? ` • ${doc.requester}` : ''}`,
+        requestId: doc._id,
+        url: `/spoc?request=${doc._id}`
+      }).catch(() => {});
+    }
+  }
+
+  // Teams, SPOCs and the venue layout; refetched whenever a team changes hands
+  async function loadRoster() {
+    try {
+      const [teamsRes, spocsRes, venueRes] = await Promise.all([
+        fetch(`${API}/api/teams`), fetch(`${API}/api/spocs`), fetch(`${API}/api/venue`)
+      ]);
+      setTeams(await teamsRes.json());
+      setSpocs(await spocsRes.json());
+      if (venueRes.ok) setHalls((await venueRes.json()).halls);
+    } catch (err) { console.error('loadRoster', err); }
+  }
+
+  // Everything currently assigned to us, across all our teams (and any we cover), optionally one team only
+  async function fetchRequests(spocId, teamId, cursor = null) {
     try {
-      const res = await fetch(`${API}/api/requests`);
-      const docs = await res.json();
-      setRequests(docs.filter(d => d.teamId === teamId));
-    } catch (err) { console.error('fetchTeamRequests', err); }
+      const params = new URLSearchParams({ spocId, limit: String(PAGE_SIZE) });
+      if (teamId) params.set('teamId', teamId);
+      if (cursor) params.set('cursor', cursor);
+      const res = await fetch(`${API}/api/requests?${params}`, {
+        headers: { 'x-spoc-token': sessionStorage.getItem('spocToken') || '' }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load requests');
+      if (spocRef.current !== spocId || filterRef.current !== teamId) return; // logged out or refiltered meanwhile
+      setRequests(prev => (cursor ? [...prev, ...data.items] : data.items));
+      setNextCursor(data.nextCursor);
+    } catch (err) { console.error('fetchRequests', err); }
   }
 
+  function startSession(who) {
+    spocRef.current = who.id;
+    filterRef.current = '';
+    setSpoc(who);
+    setTeamFilter('');
+    loadRoster();
+    return fetchRequests(who.id, '');
+  }
+
+  const changeFilter = (teamId) => {
+    filterRef.current = teamId;
+    setTeamFilter(teamId);
+    setRequests([]);
+    setNextCursor(null);
+    fetchRequests(spoc.id, teamId);
+  };
+
+  const reassignReq = async (id, spocId) => {
+    if (!spocId) return;
+    try {
+      const res = await fetch(`${API}/api/requests/${id}/reassign`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-spoc-token': sessionStorage.getItem('spocToken') || '' },
+        body: JSON.stringify({ spocId })
+      });
+      const j = await res.json();
+      if (!res.ok) throw new Error(j.error || 'Reassign failed');
+      setRequests(prev => prev.filter(r => r._id !== id));
+    } catch (err) { console.error('reassign err', err); alert(err.message || 'Reassign failed'); }
+  };
+
   const handleUnlock = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -85,7 +372,7 @@ export default function SpocPage() {
       const res = await fetch(`${API}/api/spoc/unlock`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ pin })
+        body: JSON.stringify({ spocId: spocIdInput.trim(), secret })
       });
       const j = await res.json();
       if (!res.ok) {
@@ -94,21 +381,9 @@ export default function SpocPage() {
         return;
       }
       sessionStorage.setItem('spocToken', j.token);
-      let spocId = j.spocId;
-      if (!spocId) {
-        const found = SPOCS.find(s => s.id === String(pin).trim());
-        spocId = found?.id;
-      }
-      const foundSpoc = SPOCS.find(s => s.id === spocId);
-      setSpoc(foundSpoc || { id: spocId, name: spocId || 'SPOC' });
-      const t = TEAMS.find(tt => tt.spocId === spocId);
-      setTeam(t || null);
-      if (spocId) socket.emit('spoc:join', spocId);
-      if (t?.id) {
-        socket.emit('team:join', t.id);
-        await fetchTeamRequests(t.id);
-      }
-      try { audioRef.current?.play().then(()=>setNotifEnabled(true)).catch(()=>{}); } catch(e){}
+      setSecret('');
+      reconnectSocket();
+      await startSession({ id: j.spocId, name: j.name || j.spocId });
     } catch (err) {
       console.error('handleUnlock err', err);
       alert('Unlock failed (network)');
@@ -117,30 +392,92 @@ export default function SpocPage() {
     }
   };
 
-  const enableNotifications = () => {
+  const transition = async (id, action, reason) => {
     try {
-      audioRef.current = audioRef.current || new Audio('/notifications.mp4');
-      audioRef.current.play().then(() => setNotifEnabled(true)).catch(() => {
-        alert('Browser blocked autoplay — try clicking Unlock first or interact with the page.');
+      const token = sessionStorage.getItem('spocToken');
+      const res = await fetch(`${API}/api/requests/${id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-spoc-token': token || '' },
+        body: JSON.stringify(reason ? { reason } : {})
       });
-    } catch (e) { console.error(e); alert('Cannot enable notifications'); }
+      const j = await res.json();
+      if (!res.ok) throw new Error(j.error || 'Update failed');
+      setRequests(prev => prev.map(r => r._id === j._id ? j : r));
+    } catch (err) { console.error('transition err', err); alert(err.message || 'Update failed'); }
   };
 
-  const markDone = async (id) => {
+  // One batch call for the whole selection; what failed stays selected with the reasons shown
+  const runBulk = async (action, ids, extra = {}) => {
+    if (ids.length === 0) return;
+    setBulkBusy(true);
+    setBulkMessage('');
     try {
-      const token = sessionStorage.getItem('spocToken');
-      const res = await fetch(`${API}/api/requests/${id}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json', 'x-spoc-token': token || '' },
-        body: JSON.stringify({ status: 'done' })
+      const res = await fetch(`${API}/api/requests/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-spoc-token': sessionStorage.getItem('spocToken') || '' },
+        body: JSON.stringify({ action, ids, ...extra })
       });
-      if (!res.ok) {
-        const j = await res.json();
-        throw new Error(j.error || 'Update failed');
-      }
-      const updated = await res.json();
-      setRequests(prev => prev.map(r => r._id === updated._id ? updated : r));
-    } catch (err) { console.error('markDone err', err); alert('Update failed'); }
+      const j = await res.json();
+      if (!res.ok) throw new Error(j.error || 'Bulk update failed');
+      setRequests(prev => mergeRequests(prev, j.results.filter(r => r.ok).map(r => r.request), inView));
+      const failures = j.results.filter(r => !r.ok);
+      setSelected(prev => {
+        const next = { ...prev };
+        for (const r of j.results) if (r.ok) delete next[r.id];
+        return next;
+      });
+      setBulkMessage(failures.length
+        ? `${j.succeeded} updated, ${failures.length} not: ${summarizeFailures(failures)}`
+        : `${j.succeeded} updated.`);
+    } catch (err) {
+      console.error('bulk err', err);
+      setBulkMessage(err.message || 'Bulk update failed');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const toggleSelected = (ids, on) => setSelected(prev => {
+    const next = { ...prev };
+    for (const id of ids) {
+      if (on) next[id] = true;
+      else delete next[id];
+    }
+    return next;
+  });
+
+  const postAction = async (path, body) => {
+    const res = await fetch(`${API}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-spoc-token': sessionStorage.getItem('spocToken') || '' },
+      body: JSON.stringify(body || {})
+    });
+    const j = await res.json();
+    if (!res.ok) throw new Error(j.error || 'Update failed');
+    return j;
+  };
+
+  // Folds a duplicate into another open request: quantities add up, the duplicate closes
+  const mergeReq = async (id, into) => {
+    if (!into) return;
+    const target = requests.find(r => r._id === into);
+    if (!confirm(`Merge this request into ${target?.requester || 'the other request'}'s? Quantities are added up and this one is closed.`)) return;
+    try {
+      const j = await postAction(`/api/requests/${id}/merge`, { into });
+      setRequests(prev => mergeRequests(prev, [j.merged, j.request], inView));
+    } catch (err) { console.error('merge err', err); alert(err.message || 'Merge failed'); }
+  };
+
+  const dismissDuplicate = async (id) => {
+    try {
+      const j = await postAction(`/api/requests/${id}/not-duplicate`);
+      setRequests(prev => mergeRequests(prev, [j], inView));
+    } catch (err) { console.error('not-duplicate err', err); alert(err.message || 'Update failed'); }
+  };
+
+  const rejectReq = (id) => {
+    const reason = prompt('Reason for rejecting this request?');
+    if (reason && reason.trim()) transition(id, 'reject', reason.trim());
   };
 
   const removeReq = async (id) => {
@@ -160,35 +497,64 @@ export default function SpocPage() {
     } catch (err) { console.error('removeReq err', err); alert('Delete failed'); }
   };
 
+  // "urgent": open requests closest to (or furthest past) their SLA first, closed ones last.
+  // Either way pinned (open critical) requests stay on top.
+  const visibleRequests = pinnedFirst(sortBy === 'urgent'
+    ? [...requests].sort((a, b) => {
+        const ra = slaRemaining(a, now);
+        const rb = slaRemaining(b, now);
+        if (ra === null && rb === null) return new Date(b.createdAt) - new Date(a.createdAt);
+        if (ra === null) return 1;
+        if (rb === null) return -1;
+        return ra - rb;
+      })
+    : requests);
+  // Only open requests on the list can be selected; anything else is dropped from the selection
+  const selectable = (r) => Boolean(NEXT_ACTION[r.status]);
+  // Open requests of the same team and category that `r` could be merged into
+  const mergeTargets = (r) => requests.filter(o => o._id !== r._id && selectable(o) && o.teamId === r.teamId && o.category === r.category);
+  const selectedRequests = requests.filter(r => selected[r._id] && selectable(r));
+  const openIds = (list) => list.filter(selectable).map(r => r._id);
+
+  // "zone": one section per zone, so a single walk covers several requests
+  const sections = sortBy === 'zone'
+    ? groupByZone(halls, requests)
+    : [{ key: 'all', title: null, items: visibleRequests }];
+
+  // Teams we answer for right now, plus our own teams currently handed to someone else
+  const activeTeams = spoc ? teams.filter(t => currentSpocId(t, now) === spoc.id) : [];
+  const handoverTeams = spoc ? teams.filter(t => t.spocId === spoc.id || currentSpocId(t, now) === spoc.id) : [];
+  const teamName = (id) => teams.find(t => t.id === id)?.name || id;
+
   if (!spoc) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
         <form className="bg-white p-8 rounded shadow-md max-w-md w-full" onSubmit={handleUnlock}>
           <h2 className="text-2xl font-bold mb-4">SPOC Login</h2>
-          <p className="mb-4 text-gray-600">Enter your SPOC id (example: spoc-1) or the shared PIN</p>
+          <p className="mb-4 text-gray-600">Enter your SPOC id (example: 07) and the secret the organizers gave you</p>
           <input 
-            value={pin} 
-            onChange={e => setPin(e.target.value)} 
+            value={spocIdInput} 
+            onChange={e => setSpocIdInput(e.target.value)} 
             className="border p-3 w-full my-2 rounded" 
-            placeholder="SPOC ID or PIN"
+            placeholder="SPOC ID"
             required
           />
-          <div className="flex items-center gap-3 flex-wrap">
-            <button 
-              type="submit"
-              className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700 transition" 
-              disabled={loading}
-            >
-              {loading ? 'Unlocking...' : 'Unlock'}
-            </button>
-            <button 
-              type="button" 
-              onClick={enableNotifications} 
-              className="px-4 py-2 rounded bg-gray-300 hover:bg-gray-400 transition"
-            >
-              Enable Notifications
-            </button>
-          </div>
+          <input 
+            type="password"
+            value={secret} 
+            onChange={e => setSecret(e.target.value)} 
+            className="border p-3 w-full my-2 rounded" 
+            placeholder="Secret"
+            autoComplete="current-password"
+            required
+          />
+          <button 
+            type="submit"
+            className="px-4 py-2 rounded bg-green-600 text-white hover:bg-green-700 transition" 
+            disabled={loading}
+          >
+            {loading ? 'Unlocking...' : 'Unlock'}
+          </button>
         </form>
       </div>
     );
@@ -199,55 +565,236 @@ export default function SpocPage() {
       <div className="flex justify-between items-center mb-4 bg-white p-4 rounded shadow">
         <div>
           <strong className="text-lg">SPOC: {spoc.name}</strong>
-          <span className="text-gray-600 ml-2">• Team: {team?.name || '—'}</span>
+          <span className="text-gray-600 ml-2">• Teams: {activeTeams.map(t => t.name).join(', ') || '—'}</span>
         </div>
         <button 
           className="px-4 py-2 border rounded hover:bg-gray-100 transition" 
           onClick={() => {
-            if (spoc?.id) socket.emit('spoc:leave', spoc.id);
-            if (team?.id) socket.emit('team:leave', team.id);
+            const token = sessionStorage.getItem('spocToken');
+            if (token) {
+              // Drop the push subscription first, while the token still authenticates
+              disablePush(token)
+                .catch(() => {})
+                .then(() => fetch(`${API}/api/spoc/logout`, { method: 'POST', headers: { 'x-spoc-token': token } }))
+                .catch(() => {});
+            }
             sessionStorage.removeItem('spocToken');
-            setSpoc(null); setTeam(null); setRequests([]);
+            reconnectSocket();
+            spocRef.current = null;
+            setSpoc(null); setTeams([]); setRequests([]); setNextCursor(null); setSelected({}); setBulkMessage('');
           }}
         >
           Logout
         </button>
       </div>
 
-      <h3 className="text-lg font-bold mb-2">Team Requests</h3>
-      <ul className="bg-white p-4 rounded shadow">
-        {requests.length === 0 && <li className="py-4 text-center text-gray-500">No requests for your team.</li>}
-        {requests.map(r => (
-          <li key={r._id} className="border-b py-3 flex justify-between gap-4 last:border-b-0">
-            <div className="flex-1">
-              <div className="font-semibold">{r.requester || '—'} • {r.category}</div>
-              <div className="text-sm text-gray-600">{r.location} • {r.quantity}</div>
-              <div className="mt-1">{r.details}</div>
-              <div className="text-xs text-gray-500 mt-1">{new Date(r.createdAt).toLocaleString()}</div>
-            </div>
+      <EmergencyBanner
+        identity={{ role: 'spoc', id: spoc.id }}
+        canOpen={(e) => requests.some(r => r._id === e._id)}
+        onOpen={setFocusId}
+      />
 
-            <div className="flex flex-col gap-2 items-end">
-              <div className={`px-2 py-1 rounded text-sm font-semibold ${r.status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
-                {r.status}
-              </div>
-              <div className="flex gap-2">
-                <button 
-                  className="bg-blue-500 text-white px-3 py-1 rounded text-sm hover:bg-blue-600 transition" 
-                  onClick={() => markDone(r._id)}
-                >
-                  Mark Done
-                </button>
-                <button 
-                  className="bg-red-500 text-white px-3 py-1 rounded text-sm hover:bg-red-600 transition" 
-                  onClick={() => removeReq(r._id)}
-                >
-                  Delete
-                </button>
-              </div>
-            </div>
+      <div className="bg-white p-4 rounded shadow mb-4">
+        <button type="button" className="font-semibold text-blue-600 hover:underline" onClick={() => setShowNotifSettings(v => !v)}>
+          {showNotifSettings ? 'Hide notification settings' : 'Notification settings'}
+        </button>
+        {showNotifSettings && (
+          <div className="mt-2">
+            <NotificationSettings token={sessionStorage.getItem('spocToken') || ''} />
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white p-4 rounded shadow mb-4">
+        <button type="button" className="font-semibold text-blue-600 hover:underline" onClick={() => setShowHandover(v => !v)}>
+          {showHandover ? 'Hide team handover' : 'Hand a team to another SPOC'}
+        </button>
+        {showHandover && (
+          <div className="mt-2">
+            <TeamHandover spocId={spoc.id} teams={handoverTeams} spocs={spocs} now={now} onChanged={loadRoster} />
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center mb-2 gap-2 flex-wrap">
+        <h3 className="text-lg font-bold">Team Requests</h3>
+        <div className="flex gap-2">
+          <select value={teamFilter} onChange={e => changeFilter(e.target.value)} className="border p-1 rounded text-sm">
+            <option value="">All my teams</option>
+            {activeTeams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          <select value={sortBy} onChange={e => setSortBy(e.target.value)} className="border p-1 rounded text-sm">
+            <option value="newest">Newest first</option>
+            <option value="urgent">Most urgent first</option>
+            {halls.length > 0 && <option value="zone">Grouped by zone</option>}
+          </select>
+        </div>
+      </div>
+      {selectedRequests.length > 0 && (
+        <BulkBar
+          selected={selectedRequests}
+          spocs={spocs.filter(s => s.id !== spoc.id)}
+          busy={bulkBusy}
+          onRun={runBulk}
+          onClear={() => setSelected({})}
+        />
+      )}
+      {bulkMessage && <div className="mb-2 p-2 rounded bg-gray-50 text-sm text-gray-700">{bulkMessage}</div>}
+      <ul className="bg-white p-4 rounded shadow">
+        {openIds(requests).length > 0 && (
+          <li className="pb-2 border-b text-sm">
+            <label>
+              <input
+                type="checkbox"
+                checked={openIds(requests).every(id => selected[id])}
+                onChange={e => toggleSelected(openIds(requests), e.target.checked)}
+              /> Select all open
+            </label>
           </li>
+        )}
+        {requests.length === 0 && <li className="py-4 text-center text-gray-500">No requests for your teams.</li>}
+        {sections.map(section => (
+          <React.Fragment key={section.key}>
+            {section.title && (
+              <li className="pt-3 pb-1 border-b text-sm font-semibold text-gray-700 first:pt-0">
+                {openIds(section.items).length > 0 && (
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    aria-label={`Select open requests in ${section.title}`}
+                    checked={openIds(section.items).every(id => selected[id])}
+                    onChange={e => toggleSelected(openIds(section.items), e.target.checked)}
+                  />
+                )}
+                {section.title} <span className="font-normal text-gray-500">({section.items.length})</span>
+              </li>
+            )}
+            {section.items.map(r => (
+              <li
+                key={r._id}
+                id={`request-${r._id}`}
+                className={`border-b py-3 flex justify-between gap-4 last:border-b-0 ${r._id === focusId ? 'bg-yellow-50' : r.pinned ? 'bg-red-50' : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  aria-label="Select request"
+                  checked={Boolean(selected[r._id]) && selectable(r)}
+                  disabled={!selectable(r)}
+                  onChange={e => toggleSelected([r._id], e.target.checked)}
+                />
+                <div className="flex-1">
+                  <div className="font-semibold">{r.requester || '—'} • {r.category}</div>
+                  <div className="text-xs text-gray-500">
+                    {teamName(r.teamId)}
+                    {r.routedVia === 'zone' && <span className="ml-1">• via zone desk</span>}
+                  </div>
+                  <div className="text-sm text-gray-600">{r.location} • {r.quantity}</div>
+                  <div className="mt-1">{r.details}</div>
+                  {r.plusOnes?.length > 0 && (
+                    <div className="text-xs text-blue-700 mt-1">
+                      +{r.plusOnes.length} — asked again{r.plusOnes.some(p => p.requester) ? ` by ${r.plusOnes.map(p => p.requester || 'someone').join(', ')}` : ''}
+                    </div>
+                  )}
+                  {r.mergedFrom?.length > 0 && (
+                    <div className="text-xs text-gray-500 mt-1">Includes {r.mergedFrom.length} merged request{r.mergedFrom.length === 1 ? '' : 's'}</div>
+                  )}
+                  {r.possibleDuplicateOf && selectable(r) && (
+                    <DuplicateNotice
+                      original={requests.find(o => o._id === r.possibleDuplicateOf && selectable(o))}
+                      onMerge={into => mergeReq(r._id, into)}
+                      onDismiss={() => dismissDuplicate(r._id)}
+                    />
+                  )}
+                  <div className="text-xs text-gray-500 mt-1">{new Date(r.createdAt).toLocaleString()}</div>
+                  <button
+                    type="button"
+                    className="text-xs text-blue-600 hover:underline mt-1"
+                    onClick={() => setExpanded(prev => ({ ...prev, [r._id]: !prev[r._id] }))}
+                  >
+                    {expanded[r._id] ? 'Hide history' : 'Show history'}
+                  </button>
+                  <button
+                    type="button"
+                    className="text-xs text-blue-600 hover:underline mt-1 ml-3"
+                    onClick={() => setThreads(prev => ({ ...prev, [r._id]: !prev[r._id] }))}
+                  >
+                    {threads[r._id] ? 'Hide messages' : `Messages (${r.commentCount || 0})`}
+                    {!threads[r._id] && hasUnreadComments(r, seenComments, 'spoc') && (
+                      <span className="ml-1 px-1 rounded bg-red-500 text-white">new</span>
+                    )}
+                  </button>
+                  {expanded[r._id] && (
+                    <div className="mt-2">
+                      <RequestHistory requestId={r._id} version={r.updatedAt} />
+                    </div>
+                  )}
+                  {threads[r._id] && (
+                    <div className="mt-2">
+                      <CommentThread
+                        requestId={r._id}
+                        headers={{ 'x-spoc-token': sessionStorage.getItem('spocToken') || '' }}
+                        ownRole="spoc"
+                        onSeen={() => setSeenComments(getSeenComments())}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex flex-col gap-2 items-end">
+                  <SlaBadge request={r} now={now} />
+                  <PriorityBadge priority={r.priority} />
+                  <StatusBadge status={r.status} />
+                  {r.statusReason && <div className="text-xs text-gray-500 max-w-[12rem] text-right">{r.statusReason}</div>}
+                  <div className="flex gap-2">
+                    {NEXT_ACTION[r.status] && (
+                      <button 
+                        className="bg-blue-500 text-white px-3 py-1 rounded text-sm hover:bg-blue-600 transition" 
+                        onClick={() => transition(r._id, NEXT_ACTION[r.status].action)}
+                      >
+                        {NEXT_ACTION[r.status].label}
+                      </button>
+                    )}
+                    {NEXT_ACTION[r.status] && (
+                      <button 
+                        className="bg-gray-300 px-3 py-1 rounded text-sm hover:bg-gray-400 transition" 
+                        onClick={() => rejectReq(r._id)}
+                      >
+                        Reject
+                      </button>
+                    )}
+                    {NEXT_ACTION[r.status] && (
+                      <select value="" onChange={e => reassignReq(r._id, e.target.value)} className="border px-1 rounded text-sm">
+                        <option value="">Hand off…</option>
+                        {spocs.filter(s => s.id !== spoc.id).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                      </select>
+                    )}
+                    {selectable(r) && mergeTargets(r).length > 0 && (
+                      <select value="" onChange={e => mergeReq(r._id, e.target.value)} className="border px-1 rounded text-sm">
+                        <option value="">Merge into…</option>
+                        {mergeTargets(r).map(o => (
+                          <option key={o._id} value={o._id}>{o.requester || '—'} • {o.quantity} • {new Date(o.createdAt).toLocaleTimeString()}</option>
+                        ))}
+                      </select>
+                    )}
+                    <button 
+                      className="bg-red-500 text-white px-3 py-1 rounded text-sm hover:bg-red-600 transition" 
+                      onClick={() => removeReq(r._id)}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </React.Fragment>
         ))}
       </ul>
+      {nextCursor && (
+        <div className="text-center mt-3">
+          <button type="button" className="btn-ghost" onClick={() => fetchRequests(spoc.id, teamFilter, nextCursor)}>Load more</button>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,177 @@
+// client/src/pages/StatsPage.jsx
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import BarChart from '../components/BarChart';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m ${s % 60}s`;
+}
+
+// <input type="datetime-local"> value (local time) -> ISO string for the API
+function toIso(local) {
+  return local ? new Date(local).toISOString() : '';
+}
+
+function DurationTable({ title, rows, labelFor }) {
+  return (
+    <div className="bg-white p-4 rounded shadow mb-4 overflow-x-auto">
+      <h4 className="font-semibold mb-2">{title}</h4>
+      {rows.length === 0 ? (
+        <div className="text-sm text-gray-500">No data.</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1"></th>
+              <th>Requests</th>
+              <th>Ack median</th>
+              <th>Ack p90</th>
+              <th>Done median</th>
+              <th>Done p90</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.key ?? 'none'} className="border-t">
+                <td className="py-1">{labelFor(r.key)}</td>
+                <td>{r.total}</td>
+                <td>{formatMs(r.toAcknowledge.medianMs)}</td>
+                <td>{formatMs(r.toAcknowledge.p90Ms)}</td>
+                <td>{formatMs(r.toComplete.medianMs)}</td>
+                <td>{formatMs(r.toComplete.p90Ms)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default function StatsPage() {
+  const [since, setSince] = useState('');
+  const [until, setUntil] = useState('');
+  const [stats, setStats] = useState(null);
+  const [spocs, setSpocs] = useState([]);
+  const [error, setError] = useState('');
+  const [unauthorized, setUnauthorized] = useState(false);
+
+  useEffect(() => {
+    fetch(`${API}/api/spocs`).then(r => r.json()).then(setSpocs).catch(() => {});
+    loadStats();
+  }, []);
+
+  async function loadStats() {
+    setError('');
+    try {
+      const params = new URLSearchParams();
+      if (since) params.set('since', toIso(since));
+      if (until) params.set('until', toIso(until));
+      const res = await fetch(`${API}/api/stats?${params}`, {
+        headers: { 'x-spoc-token': sessionStorage.getItem('spocToken') || '' }
+      });
+      const j = await res.json();
+      if (res.status === 401 || res.status === 403) {
+        setUnauthorized(true);
+        return;
+      }
+      if (!res.ok) {
+        setError(Object.values(j.fields || {})[0] || j.error || 'Failed to load stats');
+        return;
+      }
+      setUnauthorized(false);
+      setStats(j);
+    } catch (err) {
+      console.error('loadStats err', err);
+      setError('Could not reach the server.');
+    }
+  }
+
+  if (unauthorized) {
+    return (
+      <div className="bg-white p-6 rounded shadow text-center">
+        <p className="mb-3">Service analytics are available to organizers only.</p>
+        <Link to="/admin" className="btn-ghost">Log in as organizer</Link>
+      </div>
+    );
+  }
+
+  const spocName = (id) => spocs.find(s => s.id === id)?.name || (id ? `SPOC ${id}` : 'Unassigned');
+  const counts = (rows) => rows.map(r => ({ label: r.key ?? '—', value: r.count }));
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4 bg-white p-4 rounded shadow gap-2 flex-wrap">
+        <strong className="text-lg">Service analytics</strong>
+        <form className="flex gap-2 items-center text-sm flex-wrap" onSubmit={e => { e.preventDefault(); loadStats(); }}>
+          <label>From <input type="datetime-local" value={since} onChange={e => setSince(e.target.value)} className="border p-1 rounded" /></label>
+          <label>To <input type="datetime-local" value={until} onChange={e => setUntil(e.target.value)} className="border p-1 rounded" /></label>
+          <button type="submit" className="btn-ghost">Apply</button>
+          <Link to="/admin" className="btn-ghost">Control room</Link>
+        </form>
+      </div>
+
+      {error && <div className="mb-4 p-2 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+      {!stats && !error && <div className="text-gray-500">Loading…</div>}
+
+      {stats && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div className="bg-white p-4 rounded shadow">
+              <div className="text-sm text-gray-500">Requests</div>
+              <div className="text-2xl font-bold">{stats.total}</div>
+            </div>
+            <div className="bg-white p-4 rounded shadow">
+              <div className="text-sm text-gray-500">Median time to acknowledge</div>
+              <div className="text-2xl font-bold">{formatMs(stats.responseTimes.overall.toAcknowledge.medianMs)}</div>
+              <div className="text-xs text-gray-500">p90 {formatMs(stats.responseTimes.overall.toAcknowledge.p90Ms)}</div>
+            </div>
+            <div className="bg-white p-4 rounded shadow">
+              <div className="text-sm text-gray-500">Median time to complete</div>
+              <div className="text-2xl font-bold">{formatMs(stats.responseTimes.overall.toComplete.medianMs)}</div>
+              <div className="text-xs text-gray-500">p90 {formatMs(stats.responseTimes.overall.toComplete.p90Ms)}</div>
+            </div>
+          </div>
+
+          <div className="bg-white p-4 rounded shadow mb-4">
+            <h4 className="font-semibold mb-2">Requests per hour</h4>
+            <BarChart data={stats.hourly.map(h => ({ label: `${new Date(h.hour).getHours()}:00`, value: h.count }))} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div className="bg-white p-4 rounded shadow">
+              <h4 className="font-semibold mb-2">By category</h4>
+              <BarChart data={counts(stats.counts.byCategory)} />
+            </div>
+            <div className="bg-white p-4 rounded shadow">
+              <h4 className="font-semibold mb-2">By status</h4>
+              <BarChart data={counts(stats.counts.byStatus)} color="#6366f1" />
+            </div>
+          </div>
+
+          <div className="bg-white p-4 rounded shadow mb-4">
+            <h4 className="font-semibold mb-2">By team</h4>
+            <BarChart data={counts(stats.counts.byTeam)} color="#10b981" />
+          </div>
+
+          <div className="bg-white p-4 rounded shadow mb-4">
+            <h4 className="font-semibold mb-2">Median time to acknowledge by category</h4>
+            <BarChart
+              data={stats.responseTimes.byCategory.map(r => ({ label: r.key ?? '—', value: r.toAcknowledge.medianMs }))}
+              formatValue={formatMs}
+              color="#f59e0b"
+            />
+          </div>
+
+          <DurationTable title="Response times by SPOC" rows={stats.responseTimes.bySpoc} labelFor={spocName} />
+          <DurationTable title="Response times by category" rows={stats.responseTimes.byCategory} labelFor={k => k ?? '—'} />
+        </>
+      )}
+    </div>
+  );
+}
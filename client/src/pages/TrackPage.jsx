@@ -0,0 +1,135 @@
+// client/src/pages/TrackPage.jsx
+import React, { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { socket, onRequestUpdates } from '../socket';
+import StatusBadge from '../components/StatusBadge';
+import SlaBadge from '../components/SlaBadge';
+import { getTrackingTokens, saveTrackingToken } from '../tracking';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const TIMELINE_LABELS = {
+  pending: 'Request received',
+  acknowledged: 'Acknowledged by the SPOC',
+  in_progress: 'On the way',
+  done: 'Completed',
+  cancelled: 'Cancelled',
+  rejected: 'Rejected'
+};
+
+function timelineLabel(ev) {
+  if (ev.type === 'reassign') return 'Handed to another SPOC';
+  if (ev.type === 'escalated') return 'Taking longer than expected: escalated to organizers';
+  return TIMELINE_LABELS[ev.status] || ev.type;
+}
+
+// Public, shareable status page for one request: /track/:id?t=<tracking token>
+export default function TrackPage() {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('t') || getTrackingTokens()[id] || '';
+  const [request, setRequest] = useState(null);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!token) {
+      setError('This tracking link is incomplete.');
+      return;
+    }
+    // Remember links opened on this device so the requester view can offer them
+    if (searchParams.get('t')) saveTrackingToken(id, token);
+
+    const load = async () => {
+      try {
+        const res = await fetch(`${API}/api/track/${id}?t=${encodeURIComponent(token)}`);
+        const j = await res.json();
+        if (!res.ok) {
+          setError(res.status === 404 ? 'We could not find this request. It may have been removed.' : j.error || 'Failed to load request');
+          return;
+        }
+        setError('');
+        setRequest(j);
+      } catch (err) {
+        console.error('track load err', err);
+        setError('Could not reach the server. Retrying…');
+      }
+    };
+
+    // Rooms don't survive a reconnect, so the join is repeated on every connect
+    const join = () => socket.emit('track:join', { requestId: id, token }, (ack) => {
+      if (!ack?.ok) console.warn('track:join refused', ack?.error);
+    });
+    // The timeline comes from the audit trail, so refetch rather than patching in the socket payload
+    const updatesHandler = (docs) => { if (docs.some(d => d?._id === id)) load(); };
+    const deletedHandler = (d) => {
+      if (d?._id === id) {
+        setRequest(null);
+        setError('This request was removed.');
+      }
+    };
+
+    load();
+    if (socket.connected) join();
+    socket.on('connect', join);
+    socket.on('connect', load);
+    const offUpdates = onRequestUpdates(updatesHandler);
+    socket.on('request:deleted', deletedHandler);
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+
+    return () => {
+      socket.emit('track:leave', id);
+      socket.off('connect', join);
+      socket.off('connect', load);
+      offUpdates();
+      socket.off('request:deleted', deletedHandler);
+      clearInterval(tick);
+    };
+  }, [id, token]);
+
+  if (error && !request) {
+    return <div className="bg-white p-6 rounded shadow text-center text-gray-700">{error}</div>;
+  }
+  if (!request) return <div className="text-gray-500">Loading…</div>;
+
+  return (
+    <div className="max-w-xl mx-auto">
+      <div className="bg-white p-4 rounded shadow mb-4">
+        <div className="flex justify-between items-start gap-3">
+          <div>
+            <div className="text-sm text-gray-500">Your request</div>
+            <div className="text-xl font-bold">{request.quantity} × {request.category}</div>
+          </div>
+          <div className="flex flex-col gap-2 items-end">
+            <StatusBadge status={request.status} />
+            <SlaBadge request={request} now={now} />
+          </div>
+        </div>
+        {request.statusReason && <div className="mt-2 text-sm text-gray-600">Reason: {request.statusReason}</div>}
+        <dl className="mt-3 text-sm grid grid-cols-3 gap-y-1">
+          <dt className="text-gray-500">Location</dt>
+          <dd className="col-span-2">{request.location}</dd>
+          {request.details && <dt className="text-gray-500">Details</dt>}
+          {request.details && <dd className="col-span-2">{request.details}</dd>}
+          <dt className="text-gray-500">Team</dt>
+          <dd className="col-span-2">{request.team?.name || '—'}</dd>
+          <dt className="text-gray-500">SPOC</dt>
+          <dd className="col-span-2">{request.spoc?.name || 'Not assigned yet'}</dd>
+          <dt className="text-gray-500">Requested by</dt>
+          <dd className="col-span-2">{request.requester || '—'}</dd>
+        </dl>
+        {error && <div className="mt-2 text-sm text-red-600">{error}</div>}
+      </div>
+
+      <h3 className="text-lg font-bold mb-2">Timeline</h3>
+      <ol className="bg-white p-4 rounded shadow border-l-2 border-gray-200 space-y-2">
+        {request.timeline.map((ev, i) => (
+          <li key={`${ev.at}-${i}`} className="text-sm">
+            <span className="text-xs text-gray-500 mr-2">{new Date(ev.at).toLocaleTimeString()}</span>
+            <span>{timelineLabel(ev)}</span>
+            {ev.reason && <span className="text-gray-500"> ({ev.reason})</span>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,284 @@
+// client/src/pages/VenuePage.jsx
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const CATEGORIES = ['Tea', 'Coffee', 'WiFi', 'Other', 'Emergency'];
+const ANY_CATEGORY = '*';
+
+function authHeaders(json) {
+  return {
+    ...(json ? { 'Content-Type': 'application/json' } : {}),
+    'x-spoc-token': sessionStorage.getItem('spocToken') || ''
+  };
+}
+
+// Ids only need to be unique venue-wide; they never change once a place is created,
+// so requests and team seats keep pointing at it after a rename
+function freshId(prefix, taken) {
+  let n = 1;
+  while (taken.has(`${prefix}-${n}`)) n += 1;
+  return `${prefix}-${n}`;
+}
+
+function allIds(halls) {
+  return new Set(halls.flatMap(h => [h.id, ...h.zones.flatMap(z => [z.id, ...z.tables.map(t => t.id)])]));
+}
+
+// Labels for a table range: "1-12, 15" -> ['1', …, '12', '15']
+function expandLabels(spec) {
+  return spec.split(',').map(s => s.trim()).filter(Boolean).flatMap(part => {
+    const m = part.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (!m || Number(m[2]) < Number(m[1]) || Number(m[2]) - Number(m[1]) > 500) return [part];
+    return Array.from({ length: Number(m[2]) - Number(m[1]) + 1 }, (_, i) => String(Number(m[1]) + i));
+  });
+}
+
+function ZoneEditor({ zone, spocs, seated, onChange, onRemove, taken }) {
+  const [tableSpec, setTableSpec] = useState('');
+
+  const addTables = () => {
+    const ids = new Set(taken);
+    const tables = expandLabels(tableSpec).map(label => {
+      const base = `${zone.id}-${label.replace(/[^A-Za-z0-9_-]/g, '')}`.slice(0, 36);
+      const id = ids.has(base) ? freshId(base, ids) : base;
+      ids.add(id);
+      return { id, label };
+    });
+    onChange({ ...zone, tables: [...zone.tables, ...tables] });
+    setTableSpec('');
+  };
+
+  const setDesk = (category, spocId) => {
+    const desks = { ...zone.desks };
+    if (spocId) desks[category] = spocId;
+    else delete desks[category];
+    onChange({ ...zone, desks });
+  };
+
+  return (
+    <div className="border rounded p-2 mt-2 bg-gray-50">
+      <div className="flex gap-2 items-center">
+        <input value={zone.name} onChange={e => onChange({ ...zone, name: e.target.value })} className="border p-1 rounded" placeholder="Zone name" maxLength={80} />
+        <span className="text-xs text-gray-400">{zone.id}</span>
+        <button type="button" className="ml-auto text-xs text-red-600 hover:underline" onClick={onRemove}>Remove zone</button>
+      </div>
+      <div className="mt-2">
+        <span className="text-gray-600">Desks (blank = the team&apos;s SPOC):</span>
+        <div className="flex gap-3 flex-wrap mt-1">
+          {[...CATEGORIES, ANY_CATEGORY].map(c => (
+            <label key={c}>
+              {c === ANY_CATEGORY ? 'Anything else' : c}{' '}
+              <select value={zone.desks[c] || ''} onChange={e => setDesk(c, e.target.value)} className="border p-1 rounded">
+                <option value="">—</option>
+                {spocs.map(s => <option key={s.id} value={s.id}>{s.name} ({s.id})</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+      </div>
+      <div className="mt-2">
+        <span className="text-gray-600">Tables:</span>
+        <div className="flex gap-1 flex-wrap mt-1">
+          {zone.tables.map(t => (
+            <span key={t.id} className="border rounded px-2 py-0.5 bg-white" title={(seated[t.id] || []).join(', ') || 'No team seated'}>
+              {t.label}
+              {seated[t.id] && <span className="text-xs text-gray-500"> • {seated[t.id].join(', ')}</span>}
+              <button type="button" className="ml-1 text-red-600" aria-label={`Remove table ${t.label}`} onClick={() => onChange({ ...zone, tables: zone.tables.filter(x => x.id !== t.id) })}>×</button>
+            </span>
+          ))}
+          {zone.tables.length === 0 && <span className="text-gray-400">None yet</span>}
+        </div>
+        <div className="flex gap-2 mt-1">
+          <input value={tableSpec} onChange={e => setTableSpec(e.target.value)} className="border p-1 rounded" placeholder="e.g. 1-12, 15" />
+          <button type="button" className="btn-ghost" onClick={addTables} disabled={!tableSpec.trim()}>Add tables</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Organizer floor plan: halls, zones, tables, the volunteer desk per zone and category,
+// and which table each team sits at
+export default function VenuePage() {
+  const [halls, setHalls] = useState([]);
+  const [savedAt, setSavedAt] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [teams, setTeams] = useState([]);
+  const [spocs, setSpocs] = useState([]);
+  const [newHall, setNewHall] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [unauthorized, setUnauthorized] = useState(false);
+
+  useEffect(() => { loadAll(); }, []);
+
+  async function loadAll() {
+    setError('');
+    try {
+      const [venueRes, teamsRes, spocsRes] = await Promise.all([
+        fetch(`${API}/api/venue`),
+        fetch(`${API}/api/teams`),
+        fetch(`${API}/api/spocs`)
+      ]);
+      const venue = await venueRes.json();
+      if (!venueRes.ok) throw new Error(venue.error || 'Could not load the venue');
+      setHalls(venue.halls);
+      setSavedAt(venue.updatedAt);
+      setDirty(false);
+      if (teamsRes.ok) setTeams(await teamsRes.json());
+      if (spocsRes.ok) setSpocs(await spocsRes.json());
+    } catch (err) {
+      console.error('loadVenue err', err);
+      setError(err.message || 'Could not reach the server.');
+    }
+  }
+
+  const edit = (next) => {
+    setHalls(next);
+    setDirty(true);
+    setNotice('');
+  };
+  const updateHall = (hallId, changes) => edit(halls.map(h => (h.id === hallId ? { ...h, ...changes } : h)));
+  const updateZone = (hall, zone) => updateHall(hall.id, { zones: hall.zones.map(z => (z.id === zone.id ? zone : z)) });
+
+  const addHall = (e) => {
+    e.preventDefault();
+    if (!newHall.trim()) return;
+    edit([...halls, { id: freshId('hall', allIds(halls)), name: newHall.trim(), zones: [] }]);
+    setNewHall('');
+  };
+
+  const addZone = (hall) => {
+    const zone = { id: freshId('zone', allIds(halls)), name: `Zone ${hall.zones.length + 1}`, desks: {}, tables: [] };
+    updateHall(hall.id, { zones: [...hall.zones, zone] });
+  };
+
+  const save = async () => {
+    setError('');
+    try {
+      const res = await fetch(`${API}/api/venue`, { method: 'PUT', headers: authHeaders(true), body: JSON.stringify({ halls }) });
+      if (res.status === 401 || res.status === 403) {
+        setUnauthorized(true);
+        return;
+      }
+      const j = await res.json();
+      if (!res.ok) {
+        setError(Object.entries(j.fields || {}).map(([k, v]) => `${k}: ${v}`).join('; ') || j.error || 'Save failed');
+        return;
+      }
+      setHalls(j.halls);
+      setSavedAt(j.updatedAt);
+      setDirty(false);
+      setNotice(j.teamsUnseated ? `Saved. ${j.teamsUnseated} team(s) sat at removed tables and are now unseated.` : 'Saved.');
+      if (j.teamsUnseated) loadAll();
+    } catch (err) {
+      console.error('saveVenue err', err);
+      setError('Could not reach the server.');
+    }
+  };
+
+  const seatTeam = async (team, tableId) => {
+    setError('');
+    try {
+      const res = await fetch(`${API}/api/teams/${encodeURIComponent(team.id)}`, {
+        method: 'PATCH',
+        headers: authHeaders(true),
+        body: JSON.stringify({ tableId: tableId || null })
+      });
+      if (res.status === 401 || res.status === 403) {
+        setUnauthorized(true);
+        return;
+      }
+      const j = await res.json();
+      if (!res.ok) throw new Error(j.error || 'Could not seat the team');
+      setTeams(prev => prev.map(t => (t.id === j.id ? j : t)));
+    } catch (err) {
+      console.error('seatTeam err', err);
+      setError(err.message || 'Could not seat the team');
+    }
+  };
+
+  if (unauthorized) {
+    return (
+      <div className="bg-white p-6 rounded shadow text-center">
+        <p className="mb-3">The venue layout is managed by organizers only.</p>
+        <Link to="/admin" className="btn-ghost">Log in as organizer</Link>
+      </div>
+    );
+  }
+
+  const seated = {};
+  for (const t of teams) {
+    if (t.tableId) (seated[t.tableId] = seated[t.tableId] || []).push(t.name || t.id);
+  }
+  const activeSpocs = spocs.filter(s => s.active !== false);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4 bg-white p-4 rounded shadow gap-2 flex-wrap">
+        <strong className="text-lg">Venue</strong>
+        <div className="flex gap-2 items-center">
+          <span className="text-xs text-gray-500">{dirty ? 'Unsaved changes' : savedAt ? `Saved ${new Date(savedAt).toLocaleString()}` : 'Not set up yet'}</span>
+          <button type="button" className="btn-ghost" onClick={save} disabled={!dirty}>Save layout</button>
+          <button type="button" className="btn-ghost" onClick={loadAll}>Reload</button>
+          <Link to="/admin" className="btn-ghost">Control room</Link>
+        </div>
+      </div>
+
+      {error && <div className="mb-4 p-2 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+      {notice && <div className="mb-4 p-2 rounded bg-green-50 text-green-700 text-sm">{notice}</div>}
+
+      <div className="bg-white p-4 rounded shadow mb-4 text-sm">
+        <h4 className="font-semibold mb-2">Halls, zones and tables</h4>
+        {halls.length === 0 && <div className="text-gray-500 mb-2">No halls yet. Requests keep using the free-text location until there are.</div>}
+        {halls.map(h => (
+          <div key={h.id} className="border-t py-2 first:border-t-0">
+            <div className="flex gap-2 items-center">
+              <input value={h.name} onChange={e => updateHall(h.id, { name: e.target.value })} className="border p-1 rounded font-semibold" placeholder="Hall name" maxLength={80} />
+              <span className="text-xs text-gray-400">{h.id}</span>
+              <button type="button" className="btn-ghost" onClick={() => addZone(h)}>Add zone</button>
+              <button type="button" className="ml-auto text-xs text-red-600 hover:underline" onClick={() => edit(halls.filter(x => x.id !== h.id))}>Remove hall</button>
+            </div>
+            {h.zones.map(z => (
+              <ZoneEditor
+                key={z.id}
+                zone={z}
+                spocs={activeSpocs}
+                seated={seated}
+                taken={allIds(halls)}
+                onChange={zone => updateZone(h, zone)}
+                onRemove={() => updateHall(h.id, { zones: h.zones.filter(x => x.id !== z.id) })}
+              />
+            ))}
+          </div>
+        ))}
+        <form className="flex gap-2 mt-2" onSubmit={addHall}>
+          <input value={newHall} onChange={e => setNewHall(e.target.value)} className="border p-1 rounded" placeholder="New hall name" maxLength={80} />
+          <button type="submit" className="btn-ghost">Add hall</button>
+        </form>
+      </div>
+
+      <div className="bg-white p-4 rounded shadow text-sm">
+        <h4 className="font-semibold mb-2">Team tables</h4>
+        <p className="text-gray-500 mb-2">Pre-fills the location when a team files a request. Save the layout first so new tables appear here.</p>
+        {teams.length === 0 && <div className="text-gray-500">No teams.</div>}
+        <div className="grid md:grid-cols-2 gap-2">
+          {teams.map(t => (
+            <label key={t.id} className="flex justify-between gap-2 items-center">
+              <span>{t.name} <span className="text-xs text-gray-400">{t.id}</span></span>
+              <select value={t.tableId || ''} onChange={e => seatTeam(t, e.target.value)} className="border p-1 rounded" disabled={dirty}>
+                <option value="">No table</option>
+                {halls.flatMap(h => h.zones.map(z => (
+                  <optgroup key={z.id} label={`${h.name} › ${z.name}`}>
+                    {z.tables.map(tb => <option key={tb.id} value={tb.id}>{tb.label}</option>)}
+                  </optgroup>
+                )))}
+              </select>
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
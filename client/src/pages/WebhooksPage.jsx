@@ -0,0 +1,248 @@
+// client/src/pages/WebhooksPage.jsx
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const CATEGORIES = ['Tea', 'Coffee', 'WiFi', 'Other', 'Emergency'];
+const EVENTS = [
+  { id: 'request.created', label: 'Created' },
+  { id: 'request.status_changed', label: 'Status changed' },
+  { id: 'request.escalated', label: 'Escalated' },
+  { id: 'request.deleted', label: 'Deleted' }
+];
+const EMPTY_HOOK = { url: '', description: '', events: ['request.created'], categories: [] };
+const DELIVERY_STYLES = {
+  delivered: 'text-green-700',
+  pending: 'text-yellow-700',
+  failed: 'text-red-700'
+};
+
+function authHeaders(json) {
+  return {
+    ...(json ? { 'Content-Type': 'application/json' } : {}),
+    'x-spoc-token': sessionStorage.getItem('spocToken') || ''
+  };
+}
+
+function toggle(list, value) {
+  return list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+}
+
+// Delivery log for one endpoint, with replay
+function Deliveries({ hook, send }) {
+  const [deliveries, setDeliveries] = useState(null);
+  const [status, setStatus] = useState('');
+
+  async function load() {
+    const params = new URLSearchParams({ limit: '50' });
+    if (status) params.set('status', status);
+    try {
+      const res = await fetch(`${API}/api/webhooks/${hook._id}/deliveries?${params}`, { headers: authHeaders() });
+      const j = await res.json();
+      if (res.ok) setDeliveries(j);
+    } catch (err) {
+      console.error('deliveries err', err);
+    }
+  }
+
+  useEffect(() => { load(); }, [hook._id, status]);
+
+  const replay = async (d) => {
+    if (await send('POST', `/api/webhooks/${hook._id}/deliveries/${d._id}/replay`)) load();
+  };
+
+  return (
+    <div className="mt-2 border rounded p-2 bg-gray-50">
+      <div className="flex gap-2 items-center mb-2">
+        <select value={status} onChange={e => setStatus(e.target.value)} className="border p-1 rounded">
+          <option value="">All deliveries</option>
+          <option value="pending">Retrying</option>
+          <option value="delivered">Delivered</option>
+          <option value="failed">Failed</option>
+        </select>
+        <button type="button" className="btn-ghost" onClick={load}>Refresh</button>
+      </div>
+      {deliveries === null && <div className="text-gray-500">Loading…</div>}
+      {deliveries && deliveries.length === 0 && <div className="text-gray-500">No deliveries yet.</div>}
+      {deliveries && deliveries.length > 0 && (
+        <ul>
+          {deliveries.map(d => (
+            <li key={d._id} className="border-t py-1 first:border-t-0 flex justify-between gap-2">
+              <span>
+                <span className="text-xs text-gray-500 mr-2">{new Date(d.createdAt).toLocaleString()}</span>
+                {d.event} • {d.category || '—'}
+                <span className={`ml-2 ${DELIVERY_STYLES[d.status] || ''}`}>{d.status}</span>
+                <span className="text-gray-500">
+                  {` • ${d.attempts} attempt${d.attempts === 1 ? '' : 's'}`}
+                  {d.lastError ? ` • ${d.lastError}` : ''}
+                  {d.status === 'pending' && d.nextAttemptAt ? ` • next ${new Date(d.nextAttemptAt).toLocaleTimeString()}` : ''}
+                  {d.replayOf ? ' • replay' : ''}
+                </span>
+              </span>
+              <button type="button" className="text-xs text-blue-600 hover:underline" onClick={() => replay(d)}>Replay</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Outbound webhooks: endpoints, their event/category filters, signing secrets and delivery logs
+export default function WebhooksPage() {
+  const [hooks, setHooks] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_HOOK);
+  const [openLog, setOpenLog] = useState({});
+  const [secret, setSecret] = useState(null);
+  const [error, setError] = useState('');
+  const [unauthorized, setUnauthorized] = useState(false);
+
+  useEffect(() => { loadHooks(); }, []);
+
+  async function loadHooks() {
+    setError('');
+    try {
+      const res = await fetch(`${API}/api/webhooks`, { headers: authHeaders() });
+      if (res.status === 401 || res.status === 403) {
+        setUnauthorized(true);
+        return;
+      }
+      const j = await res.json();
+      if (!res.ok) throw new Error(j.error || 'Request failed');
+      setUnauthorized(false);
+      setHooks(j);
+    } catch (err) {
+      console.error('loadHooks err', err);
+      setError(err.message || 'Could not reach the server.');
+    }
+  }
+
+  async function send(method, path, body) {
+    setError('');
+    try {
+      const res = await fetch(`${API}${path}`, { method, headers: authHeaders(true), body: body ? JSON.stringify(body) : undefined });
+      if (res.status === 204) return {};
+      const j = await res.json();
+      if (!res.ok) {
+        setError(Object.entries(j.fields || {}).map(([k, v]) => `${k}: ${v}`).join('; ') || j.error || 'Request failed');
+        return null;
+      }
+      return j;
+    } catch (err) {
+      console.error(`${method} ${path} err`, err);
+      setError('Could not reach the server.');
+      return null;
+    }
+  }
+
+  const createHook = async (e) => {
+    e.preventDefault();
+    const created = await send('POST', '/api/webhooks', { ...draft, url: draft.url.trim(), description: draft.description.trim() });
+    if (!created) return;
+    setDraft(EMPTY_HOOK);
+    setSecret({ url: created.url, value: created.secret });
+    loadHooks();
+  };
+
+  const update = async (hook, changes) => {
+    const updated = await send('PATCH', `/api/webhooks/${hook._id}`, changes);
+    if (updated) setHooks(prev => prev.map(h => (h._id === updated._id ? updated : h)));
+  };
+
+  const rotate = async (hook) => {
+    if (!confirm(`Issue a new signing secret for ${hook.url}? The receiver must switch to it.`)) return;
+    const rotated = await send('POST', `/api/webhooks/${hook._id}/rotate-secret`);
+    if (rotated) setSecret({ url: rotated.url, value: rotated.secret });
+  };
+
+  const remove = async (hook) => {
+    if (!confirm(`Remove the webhook for ${hook.url}? Its delivery log goes too.`)) return;
+    if (await send('DELETE', `/api/webhooks/${hook._id}`)) setHooks(prev => prev.filter(h => h._id !== hook._id));
+  };
+
+  if (unauthorized) {
+    return (
+      <div className="bg-white p-6 rounded shadow text-center">
+        <p className="mb-3">Webhooks are available to organizers only.</p>
+        <Link to="/admin" className="btn-ghost">Log in as organizer</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4 bg-white p-4 rounded shadow gap-2 flex-wrap">
+        <strong className="text-lg">Webhooks</strong>
+        <div className="flex gap-2">
+          <button type="button" className="btn-ghost" onClick={loadHooks}>Refresh</button>
+          <Link to="/admin" className="btn-ghost">Control room</Link>
+        </div>
+      </div>
+
+      {error && <div className="mb-4 p-2 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+      {secret && (
+        <div className="mb-4 p-3 rounded bg-yellow-50 text-sm">
+          Signing secret for {secret.url} — copy it now, it is not shown again:
+          <code className="block my-1 p-1 bg-white border rounded break-all">{secret.value}</code>
+          Receivers check <code>X-Webhook-Signature</code> against HMAC-SHA256 of <code>{'{X-Webhook-Timestamp}.{body}'}</code>.
+          <button type="button" className="ml-2 text-blue-600 hover:underline" onClick={() => setSecret(null)}>Done</button>
+        </div>
+      )}
+
+      <div className="bg-white p-4 rounded shadow mb-4 text-sm">
+        <h4 className="font-semibold mb-2">Endpoints</h4>
+        {hooks.length === 0 && <div className="text-gray-500">No webhooks registered.</div>}
+        <ul>
+          {hooks.map(h => (
+            <li key={h._id} className="border-t py-2 first:border-t-0">
+              <div className="flex justify-between gap-2 flex-wrap">
+                <div>
+                  <div className={`font-semibold break-all ${h.active ? '' : 'text-gray-400'}`}>{h.url}</div>
+                  {h.description && <div className="text-gray-600">{h.description}</div>}
+                  <div className="text-xs text-gray-500">
+                    {h.events.map(ev => EVENTS.find(e => e.id === ev)?.label || ev).join(', ')}
+                    {' • '}{h.categories.length ? h.categories.join(', ') : 'all categories'}
+                  </div>
+                </div>
+                <div className="flex gap-2 items-start">
+                  <button type="button" className="btn-ghost" onClick={() => setOpenLog(prev => ({ ...prev, [h._id]: !prev[h._id] }))}>
+                    {openLog[h._id] ? 'Hide log' : 'Deliveries'}
+                  </button>
+                  <button type="button" className="btn-ghost" onClick={() => update(h, { active: !h.active })}>{h.active ? 'Pause' : 'Resume'}</button>
+                  <button type="button" className="btn-ghost" onClick={() => rotate(h)}>New secret</button>
+                  <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => remove(h)}>Remove</button>
+                </div>
+              </div>
+              {openLog[h._id] && <Deliveries hook={h} send={send} />}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <form className="bg-white p-4 rounded shadow text-sm" onSubmit={createHook}>
+        <h4 className="font-semibold mb-2">Register an endpoint</h4>
+        <div className="grid md:grid-cols-2 gap-2">
+          <input type="url" value={draft.url} onChange={e => setDraft({ ...draft, url: e.target.value })} className="border p-1 rounded" placeholder="https://vendor.example.com/hooks" required />
+          <input value={draft.description} onChange={e => setDraft({ ...draft, description: e.target.value })} className="border p-1 rounded" placeholder="Description (e.g. Catering)" maxLength={200} />
+        </div>
+        <div className="flex gap-3 items-center mt-2 flex-wrap">
+          <span className="text-gray-600">Events:</span>
+          {EVENTS.map(ev => (
+            <label key={ev.id}>
+              <input type="checkbox" checked={draft.events.includes(ev.id)} onChange={() => setDraft({ ...draft, events: toggle(draft.events, ev.id) })} /> {ev.label}
+            </label>
+          ))}
+        </div>
+        <div className="flex gap-3 items-center mt-2 flex-wrap">
+          <span className="text-gray-600">Categories (none = all):</span>
+          {CATEGORIES.map(c => (
+            <label key={c}>
+              <input type="checkbox" checked={draft.categories.includes(c)} onChange={() => setDraft({ ...draft, categories: toggle(draft.categories, c) })} /> {c}
+            </label>
+          ))}
+          <button type="submit" className="btn-ghost">Add webhook</button>
+        </div>
+      </form>
+    </div>
+  );
+}
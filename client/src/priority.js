@@ -0,0 +1,11 @@
+// Request priorities, mirroring validation.js on the server. Open critical requests come back
+// from the server with `pinned: true`; lists keep those on top.
+export const PRIORITIES = ['low', 'normal', 'high', 'critical']
+// Critical is for staff and emergencies; the requester form offers the rest
+export const REQUESTER_PRIORITIES = PRIORITIES.filter(p => p !== 'critical')
+export const EMERGENCY_CATEGORY = 'Emergency'
+
+// Stable, so whatever order the list was in holds within each group
+export function pinnedFirst(list) {
+  return [...list].sort((a, b) => Boolean(b.pinned) - Boolean(a.pinned))
+}
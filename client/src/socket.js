@@ -7,9 +7,21 @@ export const socket = io(API_URL, {
   reconnection: true,
   reconnectionDelay: 1000,
   reconnectionAttempts: 5,
-  transports: ['websocket', 'polling']
+  transports: ['websocket', 'polling'],
+  // Read on every (re)connect, so reconnectSocket() picks up a fresh login
+  auth: (cb) => cb({
+    token: sessionStorage.getItem('spocToken') || undefined,
+    teamToken: localStorage.getItem('requesterToken') || undefined
+  })
 })
 
+// Re-run the handshake with whatever tokens are stored now; the server
+// re-joins the rooms that identity is allowed into.
+export function reconnectSocket() {
+  socket.disconnect()
+  socket.connect()
+}
+
 socket.on('connect', () => {
   console.log('Socket connected:', socket.id)
 })
@@ -20,4 +32,16 @@ socket.on('disconnect', () => {
 
 socket.on('connect_error', (error) => {
   console.error('Socket connection error:', error)
-})
\ No newline at end of file
+})
+// Bulk actions arrive as one 'requests:updated' carrying an array instead of a 'request:updated'
+// per request. handler(docs) gets both as arrays, so a page merges a batch in one state update.
+// Returns the unsubscribe.
+export function onRequestUpdates(handler) {
+  const single = (doc) => handler([doc])
+  socket.on('request:updated', single)
+  socket.on('requests:updated', handler)
+  return () => {
+    socket.off('request:updated', single)
+    socket.off('requests:updated', handler)
+  }
+}
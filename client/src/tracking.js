@@ -0,0 +1,22 @@
+// Tracking tokens for requests created on this device, so the requester view can link
+// to /track/:id without the token having to be copied from the URL.
+const STORAGE_KEY = 'trackingTokens'
+const MAX_TOKENS = 50
+
+export function getTrackingTokens() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+  } catch (e) {
+    return {}
+  }
+}
+
+export function saveTrackingToken(requestId, token) {
+  const entries = Object.entries(getTrackingTokens()).filter(([id]) => id !== requestId)
+  entries.push([requestId, token])
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(entries.slice(-MAX_TOKENS))))
+}
+
+export function trackingPath(requestId, token) {
+  return `/track/${requestId}?t=${encodeURIComponent(token)}`
+}
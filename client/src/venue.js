@@ -0,0 +1,58 @@
+// Venue layout lookups, mirroring findPlace/placeFields in server.js. The layout comes from
+// GET /api/venue as { halls: [{ id, name, zones: [{ id, name, desks, tables: [{ id, label }] }] }] }.
+
+// { hall, zone, table } for a tableId (its zone and hall follow) or a bare zoneId; null when unknown
+export function findPlace(halls, { tableId, zoneId }) {
+  for (const hall of halls) {
+    for (const zone of hall.zones) {
+      if (tableId) {
+        const table = zone.tables.find(t => t.id === tableId)
+        if (table) return { hall, zone, table }
+      } else if (zoneId && zone.id === zoneId) {
+        return { hall, zone, table: null }
+      }
+    }
+  }
+  return null
+}
+
+export function placeLabel(halls, ids) {
+  const place = findPlace(halls, ids)
+  if (!place) return ''
+  return [place.hall.name, place.zone.name, place.table && place.table.label].filter(Boolean).join(' › ')
+}
+
+// Where a team sits, as picker values; blank when it has no (or no longer a valid) table
+export function teamSeat(halls, team) {
+  const place = team && team.tableId ? findPlace(halls, { tableId: team.tableId }) : null
+  return place ? { zoneId: place.zone.id, tableId: place.table.id } : { zoneId: '', tableId: '' }
+}
+
+// Requests split into one section per zone, in venue order and by table within a zone, so a
+// volunteer can cover a zone in one walk. Zones holding a pinned request come first; requests
+// without a known zone end up in a last "Elsewhere" section. Returns [{ key, title, items }].
+export function groupByZone(halls, requests) {
+  const order = new Map()
+  const tableOrder = new Map()
+  halls.forEach(hall => hall.zones.forEach(zone => {
+    order.set(zone.id, { index: order.size, title: `${hall.name} › ${zone.name}` })
+    zone.tables.forEach((t, i) => tableOrder.set(t.id, i))
+  }))
+
+  const sections = new Map()
+  for (const r of requests) {
+    const key = order.has(r.zoneId) ? r.zoneId : ''
+    if (!sections.has(key)) sections.set(key, { key: key || 'elsewhere', title: key ? order.get(key).title : 'Elsewhere', items: [] })
+    sections.get(key).items.push(r)
+  }
+  const rank = ([key, section]) => [section.items.some(r => r.pinned) ? 0 : 1, key ? order.get(key).index : Infinity]
+  const byTable = (a, b) => (tableOrder.get(a.tableId) ?? Infinity) - (tableOrder.get(b.tableId) ?? Infinity)
+    || new Date(a.createdAt) - new Date(b.createdAt)
+  return [...sections.entries()]
+    .sort((a, b) => {
+      const [pa, ia] = rank(a)
+      const [pb, ib] = rank(b)
+      return pa - pb || ia - ib
+    })
+    .map(([, section]) => ({ ...section, items: [...section.items].sort((a, b) => Boolean(b.pinned) - Boolean(a.pinned) || byTable(a, b)) }))
+}
@@ -0,0 +1,59 @@
+// csv.js — RFC 4180 CSV reading/writing for request exports and roster imports
+
+// Returns an array of rows (arrays of strings). Handles quoted fields, doubled quotes,
+// embedded newlines, CRLF/LF line ends and a leading UTF-8 BOM; blank lines are dropped.
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+// Spreadsheet apps execute cells starting with these, so exported user text is defused with a quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function formatCsvRow(values) {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+}
+
+module.exports = { parseCsv, formatCsvRow };
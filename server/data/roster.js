@@ -1,5 +1,6 @@
+// server/data/roster.js — initial team/SPOC roster, seeded into Mongo on first start
 // TEAMS list mapped to SPOC IDs (60 entries total)
-export const TEAMS = [
+const TEAMS = [
   // Extracted Data from PDF 
   { id: "team-1", name: "Team Prime", spocId: "01" }, 
   { id: "team-2", name: "AI Alchemists", spocId: "01" },
@@ -55,7 +56,7 @@ export const TEAMS = [
 ];
 
 // SPOCS list (60 entries total)
-export const SPOCS = [
+const SPOCS = [
   // Extracted Data from PDF 
   { id: "01", name: "Gaurav" }, 
   { id: "02", name: "Varsha" }, 
@@ -121,4 +122,6 @@ export const SPOCS = [
   { id: "58", name: "SPOC 58" },
   { id: "59", name: "SPOC 59" },
   { id: "60", name: "SPOC 60" }
-];
\ No newline at end of file
+];
+
+module.exports = { TEAMS, SPOCS };
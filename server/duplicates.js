@@ -0,0 +1,54 @@
+// duplicates.js — spotting a request that repeats one the team already has open
+//
+// Candidates (same team and category, still open, recent) are picked by the caller; this only
+// compares texts. A close match on both place and details is attached to the open request as a
+// "+1"; one at the same place with different details is created but flagged for the SPOC.
+const ATTACH_THRESHOLD = 0.8;
+const FLAG_THRESHOLD = 0.5;
+
+// Lower-cased words, accents folded, punctuation dropped
+function words(text) {
+  return new Set(
+    String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/).filter(Boolean),
+  );
+}
+
+// Jaccard overlap of the two word sets; two blanks count as the same
+function textSimilarity(a, b) {
+  const left = words(a);
+  const right = words(b);
+  if (left.size === 0 && right.size === 0) return 1;
+  let shared = 0;
+  for (const w of left) if (right.has(w)) shared += 1;
+  return shared / (left.size + right.size - shared);
+}
+
+// Picked tables/zones decide when both sides have one; otherwise the typed locations do
+function placeSimilarity(a, b) {
+  if (a.tableId && b.tableId) return a.tableId === b.tableId ? 1 : 0;
+  if (a.zoneId && b.zoneId && a.zoneId !== b.zoneId) return 0;
+  return textSimilarity(a.location, b.location);
+}
+
+// 'attach' | 'flag' | null for an incoming request against one open candidate
+function classifyDuplicate(incoming, candidate, { allowAttach = true } = {}) {
+  const place = placeSimilarity(incoming, candidate);
+  if (place < FLAG_THRESHOLD) return null;
+  if (allowAttach && place >= ATTACH_THRESHOLD && textSimilarity(incoming.details, candidate.details) >= ATTACH_THRESHOLD) return 'attach';
+  return 'flag';
+}
+
+// The best match among candidates (newest first): the first to attach, else the first to flag.
+// Returns { match, doc } or null.
+function findDuplicate(incoming, candidates, options) {
+  let flagged = null;
+  for (const doc of candidates) {
+    const match = classifyDuplicate(incoming, doc, options);
+    if (match === 'attach') return { match, doc };
+    if (match === 'flag' && !flagged) flagged = { match, doc };
+  }
+  return flagged;
+}
+
+module.exports = { textSimilarity, classifyDuplicate, findDuplicate };
@@ -0,0 +1,83 @@
+// rateLimit.js — fixed-window rate limits with a swappable counter store
+//
+// A store exposes hit(key, windowMs) -> Promise<{ count, resetAt }>: it counts one hit
+// against `key` in the current window and reports the total so far and when the window
+// ends (ms epoch). createMemoryStore() keeps counters in this process; createCollectionStore()
+// keeps them in a storage collection, so server instances sharing Mongo share their limits.
+// Anything else with the same hit() (and optional init()) can be dropped in.
+
+function createMemoryStore() {
+  const windows = new Map(); // key -> { count, resetAt }
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+}
+
+// Windows are aligned to multiples of windowMs so every instance agrees on where they start.
+// Mongo drops finished windows through the TTL index on expiresAt.
+function createCollectionStore(collection) {
+  async function increment(key, windowStart, resetAt) {
+    return collection.findOneAndUpdate(
+      { key, windowStart },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+      { upsert: true, returnDocument: 'after' },
+    );
+  }
+
+  return {
+    async init() {
+      await collection.createIndex({ key: 1, windowStart: 1 }, { unique: true });
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    },
+
+    async hit(key, windowMs) {
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      const resetAt = windowStart + windowMs;
+      let doc;
+      try {
+        doc = await increment(key, windowStart, resetAt);
+      } catch (err) {
+        // Two first hits raced to insert the window; the loser just increments the winner's
+        if (!err || err.code !== 11000) throw err;
+        doc = await increment(key, windowStart, resetAt);
+      }
+      return { count: doc.count, resetAt };
+    },
+  };
+}
+
+// rules: { name: { max, windowSeconds } }; a rule with max 0 (or no rule) never limits.
+// check(name, id) resolves to null while `id` is within `name`'s allowance, and to
+// { retryAfter } (seconds until the window resets) once it is used up.
+function createRateLimiter({ store, rules }) {
+  return {
+    store,
+    rules,
+    async check(name, id) {
+      const rule = rules[name];
+      if (!rule || !rule.max) return null;
+      const { count, resetAt } = await store.hit(`${name}:${id}`, rule.windowSeconds * 1000);
+      if (count <= rule.max) return null;
+      return { retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)) };
+    },
+  };
+}
+
+module.exports = { createMemoryStore, createCollectionStore, createRateLimiter };
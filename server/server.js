@@ -5,9 +5,23 @@ const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
 const path = require('path');
-const { MongoClient, ObjectId } = require('mongodb');
+const { promisify } = require('util');
+const { once } = require('events');
+const { ObjectId } = require('mongodb');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const roster = require('./data/roster');
+const {
+  EMERGENCY_CATEGORY, validateRequestInput, validateComment, validatePushSubscription, validateWebhook, parseListQuery, parseStatsQuery, planRosterImport,
+  validateInventoryItem, validateRestock, validateVenue, VENUE_ANY_CATEGORY,
+} = require('./validation');
+const { computeStats } = require('./stats');
+const { parseCsv, formatCsvRow } = require('./csv');
+const { createStorage } = require('./storage');
+const { createMemoryStore, createCollectionStore, createRateLimiter } = require('./rateLimit');
+const { generateVapidKeys, sendNotification } = require('./webPush');
+const { generateWebhookSecret, backoffSeconds, postWebhook } = require('./webhooks');
+const { findDuplicate } = require('./duplicates');
 
 const app = express();
 const server = createServer(app);
@@ -15,42 +29,51 @@ const server = createServer(app);
 // Configuration (env-friendly)
 const PORT = process.env.PORT || 4000;
 const DEBUG_MONGO_TLS = (process.env.DEBUG_MONGO_TLS || 'false').toLowerCase() === 'true';
-const SPOC_PIN = process.env.SPOC_PIN || 'innovex25';
+const ORGANIZER_PIN = process.env.ORGANIZER_PIN || process.env.SPOC_PIN || ''; // SPOC_PIN is a deprecated alias; unset = no organizer login
+const TOKEN_TTL_SECONDS = Number(process.env.TOKEN_TTL_SECONDS || 60 * 15);
+const REQUESTER_TOKEN_TTL_SECONDS = Number(process.env.REQUESTER_TOKEN_TTL_SECONDS || 60 * 60 * 12);
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOGIN_LOCKOUT_SECONDS = Number(process.env.LOGIN_LOCKOUT_SECONDS || 60 * 15);
+const MIN_SECRET_LENGTH = 6;
+const SLA_SWEEP_SECONDS = Number(process.env.SLA_SWEEP_SECONDS || 30);
 const TEST_TOKEN = process.env.TEST_TOKEN || 'changeme_test_token';
 const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || 'http://localhost:5173'; // used for CORS and socket origins
 const STATIC_DIR = process.env.STATIC_DIR || path.join(__dirname, 'public'); // serve frontend if present
+const SEED_ROSTER = (process.env.SEED_ROSTER || 'true').toLowerCase() === 'true'; // seed teams/SPOCs when collections are empty
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase(); // memory | storage (shared via the storage adapter)
+const OPEN_REQUEST_CAP = Number(process.env.OPEN_REQUEST_CAP || 5); // open requests per team per category; 0 = no cap
+const TRUST_PROXY = process.env.TRUST_PROXY || ''; // hop count or 'true' when behind a proxy, so req.ip is the client's
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:organizers@example.com'; // contact push services see in the VAPID JWT
+const PUSH_ALLOW_INSECURE = (process.env.PUSH_ALLOW_INSECURE || 'false').toLowerCase() === 'true'; // accept http push endpoints (local stand-in)
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8); // per delivery, first attempt included
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 15); // doubles per retry
+const WEBHOOK_RETRY_MAX_SECONDS = Number(process.env.WEBHOOK_RETRY_MAX_SECONDS || 60 * 60);
+const WEBHOOK_SWEEP_SECONDS = Number(process.env.WEBHOOK_SWEEP_SECONDS || 5);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const DUPLICATE_WINDOW_MINUTES = Number(process.env.DUPLICATE_WINDOW_MINUTES || 10); // look-back for repeats of an open request; 0 = off
 
 /* -------------------------
-   Load & sanitize MONGODB_URI
+   Storage adapter (mongo | memory | file)
    ------------------------- */
-let rawUri = process.env.MONGODB_URI || process.env.MONGO_URI || '';
-if (typeof rawUri === 'string') {
-  rawUri = rawUri.replace(/^\s*["']?/, '').replace(/["']?\s*$/, '').trim();
-}
-const MONGODB_URI = rawUri;
-
-function maskUri(uri = '') {
-  try {
-    return uri.replace(/\/\/.*@/, '//<hidden>@');
-  } catch (e) {
-    return '<invalid-uri>';
-  }
-}
-
-if (!MONGODB_URI) {
-  console.error('FATAL: MONGODB_URI is empty. Add it to your .env or Render environment variables.');
-  process.exit(1);
-}
-if (!MONGODB_URI.startsWith('mongodb://') && !MONGODB_URI.startsWith('mongodb+srv://')) {
-  console.error('FATAL: MONGODB_URI must start with "mongodb://" or "mongodb+srv://".');
+let storage;
+try {
+  storage = createStorage({
+    driver: process.env.STORAGE_DRIVER,
+    mongoUri: process.env.MONGODB_URI || process.env.MONGO_URI || '',
+    debugTls: DEBUG_MONGO_TLS,
+    file: process.env.STORAGE_FILE,
+  });
+} catch (err) {
+  console.error('FATAL:', err.message);
   process.exit(1);
 }
-console.log('Mongo URI:', maskUri(MONGODB_URI).slice(0, 160));
+console.log('Storage driver:', storage.driver);
 
 /* -------------------------
    Basic middleware & CORS
    ------------------------- */
 app.use(express.json());
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
 
 // CORS: allow explicit FRONTEND_ORIGIN or allow all during local dev
 const corsOptions = {
@@ -77,108 +100,110 @@ const io = new Server(server, {
 });
 
 /* -------------------------
-   Mongo client state + helper
+   Collection handles + connect with retry
    ------------------------- */
-let db = null;
 let requestsCollection = null;
-let mongoClient = null;
-
-async function tryConnect(options = {}) {
-  const client = new MongoClient(MONGODB_URI, options);
-  try {
-    await client.connect();
-    await client.db('admin').command({ ping: 1 });
-    return client;
-  } catch (err) {
-    try { await client.close(); } catch (e) {}
-    throw err;
-  }
-}
-
-async function connectDB() {
-  const baseOptions = {
-    connectTimeoutMS: 10000,
-    serverSelectionTimeoutMS: 10000,
-  };
-
-  if (DEBUG_MONGO_TLS) {
-    console.warn('DEBUG_MONGO_TLS=true — using relaxed TLS validation (development only).');
-    const fallbackOptions = {
-      ...baseOptions,
-      tls: true,
-      tlsAllowInvalidCertificates: true,
-      tlsAllowInvalidHostnames: true,
-    };
-    mongoClient = await tryConnect(fallbackOptions);
-    console.warn('Connected to MongoDB (insecure debug mode).');
-    db = mongoClient.db('team-service-request');
-    requestsCollection = db.collection('requests');
-    return;
-  }
-
-  try {
-    mongoClient = await tryConnect(baseOptions);
-    console.log('Connected to MongoDB (secure).');
-  } catch (err) {
-    const msg = err && err.message ? err.message : String(err);
-    const isTLSError = /TLS|tls|SSL|ssl|tlsv1 alert|ERR_SSL|ssl3_read_bytes/i.test(msg);
+let teamsCollection = null;
+let spocsCollection = null;
+let eventsCollection = null;
+let commentsCollection = null;
+let inventoryCollection = null;
+let movementsCollection = null;
+let pushSubscriptionsCollection = null;
+let webhooksCollection = null;
+let webhookDeliveriesCollection = null;
+let settingsCollection = null;
 
-    if (isTLSError) {
-      console.warn('TLS handshake issue detected. Retrying with relaxed TLS validation (development-only).');
-      try {
-        const fallbackOptions = {
-          ...baseOptions,
-          tls: true,
-          tlsAllowInvalidCertificates: true,
-          tlsAllowInvalidHostnames: true,
-        };
-        mongoClient = await tryConnect(fallbackOptions);
-        console.warn('Connected to MongoDB using insecure TLS fallback. WARNING: certificate validation disabled.');
-      } catch (err2) {
-        console.error('TLS fallback also failed:', err2 && err2.message ? err2.message : err2);
-        throw err2;
-      }
-    } else {
-      throw err;
-    }
-  }
-
-  db = mongoClient.db('team-service-request');
-  requestsCollection = db.collection('requests');
+function bindCollections() {
+  requestsCollection = storage.collection('requests');
+  teamsCollection = storage.collection('teams');
+  spocsCollection = storage.collection('spocs');
+  eventsCollection = storage.collection('request_events');
+  commentsCollection = storage.collection('request_comments');
+  inventoryCollection = storage.collection('inventory_items');
+  movementsCollection = storage.collection('inventory_movements');
+  pushSubscriptionsCollection = storage.collection('push_subscriptions');
+  webhooksCollection = storage.collection('webhooks');
+  webhookDeliveriesCollection = storage.collection('webhook_deliveries');
+  settingsCollection = storage.collection('settings');
+  bindRateLimiter();
 }
 
 async function connectDBWithRetry({ attempts = 3, backoffMs = 2000 } = {}) {
   for (let i = 1; i <= attempts; i++) {
     try {
-      await connectDB();
+      await storage.connect();
+      bindCollections();
       return;
     } catch (err) {
-      console.error(`MongoDB connect attempt ${i} failed:`, err && err.message ? err.message : err);
+      console.error(`Storage connect attempt ${i} failed:`, err && err.message ? err.message : err);
       if (i < attempts) {
         console.log(`Retrying in ${backoffMs}ms...`);
         await new Promise((r) => setTimeout(r, backoffMs));
         backoffMs *= 2;
       } else {
-        console.error('All MongoDB connection attempts failed.');
+        console.error('All storage connection attempts failed.');
         throw err;
       }
     }
   }
 }
 
+/* -------------------------
+   Team + SPOC registry bootstrap
+   ------------------------- */
+async function initRegistry() {
+  await teamsCollection.createIndex({ id: 1 }, { unique: true });
+  await spocsCollection.createIndex({ id: 1 }, { unique: true });
+  if (!SEED_ROSTER) return;
+
+  const now = new Date();
+  if ((await spocsCollection.countDocuments()) === 0) {
+    await spocsCollection.insertMany(roster.SPOCS.map((s) => ({
+      id: s.id, name: s.name.trim(), active: true, createdAt: now, updatedAt: now,
+    })));
+    console.log(`Seeded ${roster.SPOCS.length} SPOCs.`);
+  }
+  if ((await teamsCollection.countDocuments()) === 0) {
+    await teamsCollection.insertMany(roster.TEAMS.map((t) => ({
+      id: t.id, name: t.name.trim(), spocId: t.spocId, active: true, createdAt: now, updatedAt: now,
+    })));
+    console.log(`Seeded ${roster.TEAMS.length} teams.`);
+  }
+}
+
+// Requester sessions need a join code, and seeded teams start without one
+async function warnTeamsWithoutCode() {
+  const count = await teamsCollection.countDocuments({ active: { $ne: false }, joinCode: null });
+  if (count) console.warn(`${count} team(s) have no join code, so their requesters can't sign in; issue codes with a roster import or POST /api/teams/:id/code.`);
+}
+
+// Seeded SPOCs have no login secret either, so they can't sign in until an organizer sets one
+async function warnSpocsWithoutSecret() {
+  const count = await spocsCollection.countDocuments({ active: { $ne: false }, secret: null });
+  if (count) console.warn(`${count} SPOC(s) have no login secret, so they can't sign in; set one with POST /api/spocs/:id/secret.`);
+}
+
 /* -------------------------
    SPOC in-memory token store
    ------------------------- */
 const spocTokens = new Map();
 
-function generateSpocToken(ttlSeconds = 600, spocId = undefined) {
+// role is 'spoc' (bound to spocId) or 'organizer' (no spocId)
+function generateSpocToken(ttlSeconds = 600, { spocId, role = 'spoc' } = {}) {
   const token = crypto.randomBytes(20).toString('hex');
   const expiresAt = Date.now() + ttlSeconds * 1000;
-  spocTokens.set(token, { expiresAt, spocId });
+  spocTokens.set(token, { expiresAt, spocId, role });
   setTimeout(() => spocTokens.delete(token), ttlSeconds * 1000 + 5000);
   return token;
 }
 
+function revokeSpocTokens(spocId) {
+  for (const [token, entry] of spocTokens) {
+    if (entry.spocId === spocId) spocTokens.delete(token);
+  }
+}
+
 function isValidSpocToken(token) {
   if (!token) return false;
   const entry = spocTokens.get(token);
@@ -190,6 +215,173 @@ function isValidSpocToken(token) {
   return true;
 }
 
+/* -------------------------
+   Requester (team-scoped) token store
+   ------------------------- */
+// Kept apart from spocTokens so a requester token can never pass requireSpoc
+const requesterTokens = new Map();
+
+function generateRequesterToken(ttlSeconds, teamId) {
+  const token = crypto.randomBytes(20).toString('hex');
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  requesterTokens.set(token, { expiresAt, teamId, role: 'requester' });
+  setTimeout(() => requesterTokens.delete(token), ttlSeconds * 1000 + 5000);
+  return token;
+}
+
+function getRequesterToken(token) {
+  if (!token) return null;
+  const entry = requesterTokens.get(token);
+  if (!entry) return null;
+  if (Date.now() > entry.expiresAt) {
+    requesterTokens.delete(token);
+    return null;
+  }
+  return entry;
+}
+
+function revokeRequesterTokens(teamId) {
+  for (const [token, entry] of requesterTokens) {
+    if (entry.teamId === teamId) requesterTokens.delete(token);
+  }
+}
+
+/* -------------------------
+   Credentials: salted secret hashes + login lockout
+   ------------------------- */
+const scrypt = promisify(crypto.scrypt);
+const SECRET_KEYLEN = 32;
+// Verified against when the SPOC id is unknown so both paths cost the same
+const DUMMY_SECRET = { salt: crypto.randomBytes(16).toString('hex'), hash: '00'.repeat(SECRET_KEYLEN) };
+
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(String(secret), salt, SECRET_KEYLEN)).toString('hex');
+  return { salt, hash };
+}
+
+async function verifySecret(secret, stored) {
+  if (!stored || !stored.salt || !stored.hash) return false;
+  const candidate = await scrypt(String(secret), stored.salt, SECRET_KEYLEN);
+  const expected = Buffer.from(stored.hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// key -> { failures, lockedUntil }
+const loginAttempts = new Map();
+
+function lockoutSecondsLeft(key) {
+  const entry = loginAttempts.get(key);
+  if (!entry || !entry.lockedUntil) return 0;
+  const left = Math.ceil((entry.lockedUntil - Date.now()) / 1000);
+  if (left <= 0) {
+    loginAttempts.delete(key);
+    return 0;
+  }
+  return left;
+}
+
+function recordLoginFailure(key) {
+  const entry = loginAttempts.get(key) || { failures: 0, lockedUntil: 0 };
+  entry.failures += 1;
+  if (entry.failures >= LOGIN_MAX_FAILURES) {
+    entry.failures = 0;
+    entry.lockedUntil = Date.now() + LOGIN_LOCKOUT_SECONDS * 1000;
+    console.warn(`Login locked for ${key} after ${LOGIN_MAX_FAILURES} failures.`);
+  }
+  loginAttempts.set(key, entry);
+}
+
+function lockedResponse(res, seconds) {
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({ error: `Too many failed attempts. Try again in ${seconds}s.`, code: 'LOCKED_OUT', fields: {}, retryAfter: seconds });
+}
+
+/* -------------------------
+   Error responses
+   ------------------------- */
+// Every request-API error has the same shape: { error, code, fields }
+function sendError(res, status, code, error, fields = {}) {
+  return res.status(status).json({ error, code, fields });
+}
+
+function sendServerError(res, label, error) {
+  console.error(`${label} error:`, error && error.stack ? error.stack : error);
+  return sendError(res, 500, 'SERVER_ERROR', error && error.message ? error.message : 'Server error');
+}
+
+/* -------------------------
+   Rate limits + abuse protection
+   ------------------------- */
+// Fixed windows per rule; override any of them with RATE_LIMITS='{"createPerIp":{"max":10}}'.
+// max 0 switches a rule off.
+const DEFAULT_RATE_LIMITS = {
+  createPerIp: { max: 30, windowSeconds: 60 },
+  createPerTeam: { max: 20, windowSeconds: 60 },
+  // SPOC and organizer logins, counted per IP and account, so a shared venue NAT can't lock everyone out
+  loginPerIp: { max: 20, windowSeconds: 5 * 60 },
+  // Requester pages start a team session on every load and team switch; per IP and team
+  teamSessionPerIp: { max: 60, windowSeconds: 5 * 60 },
+  commentPerIp: { max: 30, windowSeconds: 60 },
+};
+const RATE_LIMITS = (() => {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMITS || '{}');
+  } catch (e) {
+    console.warn('RATE_LIMITS is not valid JSON; using defaults.');
+  }
+  return Object.fromEntries(
+    Object.entries(DEFAULT_RATE_LIMITS).map(([name, rule]) => [name, { ...rule, ...(overrides[name] || {}) }]),
+  );
+})();
+
+let rateLimiter = null;
+
+// RATE_LIMIT_STORE=storage keeps the counters in the storage adapter, so instances sharing Mongo share limits
+function bindRateLimiter() {
+  if (!['memory', 'storage'].includes(RATE_LIMIT_STORE)) console.warn(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}"; using memory.`);
+  const store = RATE_LIMIT_STORE === 'storage' ? createCollectionStore(storage.collection('rate_limits')) : createMemoryStore();
+  rateLimiter = createRateLimiter({ store, rules: RATE_LIMITS });
+}
+
+async function ensureRateLimitIndexes() {
+  if (rateLimiter.store.init) await rateLimiter.store.init();
+}
+
+// A failing counter store lets requests through rather than taking request intake down with it
+async function overLimit(name, id) {
+  try {
+    return await rateLimiter.check(name, id);
+  } catch (err) {
+    console.error(`Rate limit check ${name} failed:`, err && err.stack ? err.stack : err);
+    return null;
+  }
+}
+
+function sendRateLimited(res, retryAfter, error) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, code: 'RATE_LIMITED', fields: {}, retryAfter });
+}
+
+// Per-IP limit for a whole route; `target` narrows the count to what the request is aimed at
+// (e.g. one account), so each target has its own allowance per IP
+function rateLimit(name, message, target = null) {
+  return async (req, res, next) => {
+    const id = target ? `${req.ip}:${target(req)}` : req.ip;
+    const hit = await overLimit(name, id);
+    if (!hit) return next();
+    console.warn(`Rate limit ${name} hit by ${id}`);
+    return sendRateLimited(res, hit.retryAfter, `${message} Try again in ${hit.retryAfter}s.`);
+  };
+}
+
 /* -------------------------
    Auth middleware (SPOC)
    ------------------------- */
@@ -200,16 +392,23 @@ function requireSpoc(req, res, next) {
       req.spocTokenInfo = spocTokens.get(token);
       return next();
     }
+    return sendError(res, 403, 'FORBIDDEN', 'Forbidden: valid SPOC token required');
+  } catch (err) {
+    console.error('requireSpoc error:', err);
+    return res.status(500).json({ error: 'Server error in auth' });
+  }
+}
 
-    const pinHeader = req.header('x-spoc-pin');
-    if (pinHeader && pinHeader === SPOC_PIN) {
-      console.warn('Development fallback: x-spoc-pin used to authorize request.');
+function requireOrganizer(req, res, next) {
+  try {
+    const token = req.header('x-spoc-token') || req.body?.spocToken;
+    if (token && isValidSpocToken(token) && spocTokens.get(token).role === 'organizer') {
+      req.spocTokenInfo = spocTokens.get(token);
       return next();
     }
-
-    return res.status(403).json({ error: 'Forbidden: valid SPOC token required' });
+    return sendError(res, 403, 'FORBIDDEN', 'Forbidden: organizer token required');
   } catch (err) {
-    console.error('requireSpoc error:', err);
+    console.error('requireOrganizer error:', err);
     return res.status(500).json({ error: 'Server error in auth' });
   }
 }
@@ -241,181 +440,2395 @@ app.get('/', (req, res) => {
 });
 
 /* -------------------------
-   Main API routes
+   Request status lifecycle
    ------------------------- */
-app.get('/api/requests', async (req, res) => {
-  try {
-    const requests = await requestsCollection.find({}).sort({ createdAt: -1 }).toArray();
-    res.json(requests);
-  } catch (error) {
-    console.error('GET /api/requests error:', error && error.stack ? error.stack : error);
-    res.status(500).json({ error: error.message });
-  }
-});
+// pending -> acknowledged -> in_progress -> done; cancelled/rejected from any open state
+const REQUEST_TRANSITIONS = {
+  pending: ['acknowledged', 'cancelled', 'rejected'],
+  acknowledged: ['in_progress', 'cancelled', 'rejected'],
+  in_progress: ['done', 'cancelled', 'rejected'],
+  done: [],
+  cancelled: [],
+  rejected: [],
+};
 
-app.post('/api/requests', async (req, res) => {
-  try {
-    const { requester, category, details, location, quantity, teamId, spocId } = req.body;
-    if (!location) return res.status(400).json({ error: 'Location is required' });
+// action route -> { target status, timestamp field, actor field, whether a reason is mandatory }
+const REQUEST_ACTIONS = {
+  acknowledge: { to: 'acknowledged', at: 'acknowledgedAt', by: 'acknowledgedBy' },
+  start: { to: 'in_progress', at: 'startedAt', by: 'startedBy' },
+  complete: { to: 'done', at: 'completedAt', by: 'completedBy' },
+  cancel: { to: 'cancelled', at: 'cancelledAt', by: 'cancelledBy' },
+  reject: { to: 'rejected', at: 'rejectedAt', by: 'rejectedBy', reasonRequired: true },
+  // Organizer override from the control room: mark any open request done (e.g. handled off-app)
+  close: { to: 'done', at: 'completedAt', by: 'completedBy', organizerOnly: true, fromAnyOpen: true },
+};
 
-    const newRequest = {
-      requester: requester || '',
-      category,
-      details: details || '',
-      location,
-      quantity: quantity || '',
-      teamId: teamId || null,
-      spocId: spocId || null,
-      status: 'pending',
-      createdAt: new Date(),
-    };
-    const result = await requestsCollection.insertOne(newRequest);
-    const insertedRequest = { ...newRequest, _id: result.insertedId };
+const EDITABLE_REQUEST_FIELDS = ['requester', 'category', 'details', 'location', 'zoneId', 'tableId', 'quantity', 'priority'];
+const MAX_REASON_LENGTH = 300;
 
-    io.emit('request:created', insertedRequest);
-    if (insertedRequest.spocId) io.to(`spoc:${insertedRequest.spocId}`).emit('request:created:forSpoc', insertedRequest);
-    if (insertedRequest.teamId) io.to(`team:${insertedRequest.teamId}`).emit('request:created:forTeam', insertedRequest);
+function canTransition(from, to) {
+  return (REQUEST_TRANSITIONS[from] || []).includes(to);
+}
 
-    res.status(201).json(insertedRequest);
-  } catch (error) {
-    console.error('POST /api/requests error:', error && error.stack ? error.stack : error);
-    res.status(500).json({ error: error.message });
+function isTerminalStatus(status) {
+  return (REQUEST_TRANSITIONS[status] || []).length === 0;
+}
+
+// Open critical requests are pinned: every list shows them first. Stored rather than derived
+// so the list route can sort and page on it; set wherever status or priority changes.
+function isPinned(doc) {
+  return doc.priority === 'critical' && !isTerminalStatus(doc.status);
+}
+
+function actorOf(req) {
+  const info = req.spocTokenInfo || {};
+  return info.role === 'organizer' ? 'organizer' : info.spocId;
+}
+
+// SPOCs may only act on requests routed to them; organizers may act on any
+function canActOn(req, doc) {
+  const info = req.spocTokenInfo || {};
+  return info.role === 'organizer' || (info.spocId && info.spocId === doc.spocId);
+}
+
+function toObjectId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+/* -------------------------
+   Request audit trail (append-only)
+   ------------------------- */
+async function ensureEventIndexes() {
+  await eventsCollection.createIndex({ requestId: 1, at: 1 });
+}
+
+// Who performed an action, as recorded in request_events
+function eventActor(req) {
+  const info = req.spocTokenInfo || {};
+  if (info.role === 'organizer') return { role: 'organizer', id: null };
+  if (info.role === 'spoc') return { role: 'spoc', id: info.spocId };
+  return { role: 'requester', id: null, name: req.body?.requester ? String(req.body.requester).trim() : null };
+}
+
+// { field: { from, to } } for every field that differs; _id is never part of a diff
+function diffRequest(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (key === '_id') continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from: from ?? null, to: to ?? null };
   }
-});
+  return changes;
+}
 
-app.patch('/api/requests/:id', requireSpoc, async (req, res) => {
+// type: created | transition | edit | reassign | escalated | emergency_ack | plus_one | merge | duplicate_dismissed
+// | deleted. Never throws: an audit failure is logged but must not undo the change it describes.
+async function recordRequestEvent(type, { requestId, actor, before = null, after = null, reason }) {
   try {
-    const { id } = req.params;
-    const updates = req.body;
-    const result = await requestsCollection.updateOne({ _id: new ObjectId(id) }, { $set: updates });
-    if (result.matchedCount === 0) return res.status(404).json({ error: 'Request not found' });
-
-    const updatedRequest = await requestsCollection.findOne({ _id: new ObjectId(id) });
-    io.emit('request:updated', updatedRequest);
-    if (updatedRequest.spocId) io.to(`spoc:${updatedRequest.spocId}`).emit('request:updated', updatedRequest);
-    if (updatedRequest.teamId) io.to(`team:${updatedRequest.teamId}`).emit('request:updated', updatedRequest);
-    res.json(updatedRequest);
-  } catch (error) {
-    console.error('PATCH /api/requests/:id error:', error && error.stack ? error.stack : error);
-    res.status(500).json({ error: error.message });
+    const event = { requestId: String(requestId), type, actor, at: new Date(), changes: diffRequest(before, after) };
+    if (reason) event.reason = reason;
+    await eventsCollection.insertOne(event);
+  } catch (err) {
+    console.error(`recordRequestEvent(${type}) failed:`, err && err.stack ? err.stack : err);
   }
-});
+}
 
-app.delete('/api/requests/:id', requireSpoc, async (req, res) => {
+/* -------------------------
+   SLA thresholds + escalation sweeper
+   ------------------------- */
+// Minutes a request may stay open (not done/cancelled/rejected) before it escalates.
+// Override per category with SLA_MINUTES='{"Tea":15,"WiFi":10}'.
+const DEFAULT_SLA_MINUTES = { Tea: 20, Coffee: 20, WiFi: 20, Other: 45, Emergency: 5 };
+const SLA_MINUTES = (() => {
   try {
-    const { id } = req.params;
-    const doc = await requestsCollection.findOne({ _id: new ObjectId(id) });
-    if (!doc) return res.status(404).json({ error: 'Request not found' });
+    return { ...DEFAULT_SLA_MINUTES, ...JSON.parse(process.env.SLA_MINUTES || '{}') };
+  } catch (e) {
+    console.warn('SLA_MINUTES is not valid JSON; using defaults.');
+    return { ...DEFAULT_SLA_MINUTES };
+  }
+})();
+const OPEN_STATUSES = Object.keys(REQUEST_TRANSITIONS).filter((s) => !isTerminalStatus(s));
+const ORGANIZER_ROOM = 'organizers';
+// Every logged-in SPOC and organizer socket; emergencies are broadcast here
+const STAFF_ROOM = 'staff';
 
-    const result = await requestsCollection.deleteOne({ _id: new ObjectId(id) });
-    if (result.deletedCount === 0) return res.status(404).json({ error: 'Request not found' });
+function slaDueAt(category, createdAt) {
+  const minutes = SLA_MINUTES[category] || DEFAULT_SLA_MINUTES.Other;
+  return new Date(new Date(createdAt).getTime() + minutes * 60 * 1000);
+}
 
-    io.emit('request:deleted', { _id: id });
-    if (doc.spocId) io.to(`spoc:${doc.spocId}`).emit('request:deleted', { _id: id });
-    if (doc.teamId) io.to(`team:${doc.teamId}`).emit('request:deleted', { _id: id });
+async function ensureSlaIndexes() {
+  await requestsCollection.createIndex({ slaDueAt: 1, status: 1, escalated: 1 });
+}
 
-    res.status(204).send();
-  } catch (error) {
-    console.error('DELETE /api/requests/:id error:', error && error.stack ? error.stack : error);
-    res.status(500).json({ error: error.message });
-  }
-});
+let slaTimer = null;
+let slaSweepRunning = false;
 
-/* -------------------------
-   SPOC unlock endpoint
-   ------------------------- */
-app.post('/api/spoc/unlock', (req, res) => {
+async function sweepOverdueRequests() {
+  if (slaSweepRunning) return; // a slow sweep must not overlap the next tick
+  slaSweepRunning = true;
   try {
-    const { pin } = req.body || {};
-    if (!pin) return res.status(400).json({ error: 'PIN required' });
+    const now = new Date();
+    const overdue = await requestsCollection
+      .find({ status: { $in: OPEN_STATUSES }, escalated: { $ne: true }, slaDueAt: { $lte: now } })
+      .toArray();
 
-    if (pin === SPOC_PIN) {
-      const token = generateSpocToken(60 * 15);
-      return res.json({ token, expiresIn: 60 * 15, method: 'pin' });
+    for (const doc of overdue) {
+      const result = await requestsCollection.updateOne(
+        { _id: doc._id, escalated: { $ne: true } },
+        { $set: { escalated: true, escalatedAt: now } },
+      );
+      if (result.modifiedCount === 0) continue;
+
+      const escalatedRequest = await requestsCollection.findOne({ _id: doc._id });
+      await recordRequestEvent('escalated', {
+        requestId: doc._id, actor: { role: 'system', id: null }, before: doc, after: escalatedRequest,
+      });
+      const spocRooms = escalatedRequest.spocId ? [`spoc:${escalatedRequest.spocId}`] : [];
+      io.to([ORGANIZER_ROOM, ...spocRooms]).emit('request:escalated', escalatedRequest);
+      pushRequestNotice(escalatedRequest, 'escalated');
+      dispatchWebhookEvent('request.escalated', escalatedRequest);
+      emitRequestUpdated(escalatedRequest);
+      console.warn(`Request ${doc._id} (${doc.category}) breached its SLA; escalated.`);
     }
+  } catch (err) {
+    console.error('SLA sweep failed:', err && err.stack ? err.stack : err);
+  } finally {
+    slaSweepRunning = false;
+  }
+}
 
-    const spocId = String(pin).trim();
-    if (spocId.length === 0) return res.status(401).json({ error: 'Invalid PIN / SPOC id' });
+// Expired temporary team reassignments are wound up on the same tick
+function startSlaSweeper() {
+  slaTimer = setInterval(() => {
+    sweepOverdueRequests();
+    endExpiredTeamCovers();
+  }, SLA_SWEEP_SECONDS * 1000);
+  slaTimer.unref();
+}
 
-    const token = generateSpocToken(60 * 15, spocId);
-    return res.json({ token, expiresIn: 60 * 15, method: 'spocId', spocId });
-  } catch (error) {
-    console.error('POST /api/spoc/unlock error:', error && error.stack ? error.stack : error);
-    res.status(500).json({ error: 'Server error' });
+// Rooms that may see a request: its SPOC, its team, the organizers and anyone tracking it;
+// emergencies go to all staff. io.to([...]) delivers once per socket even when it sits in several of them.
+function requestRooms(doc) {
+  const rooms = [ORGANIZER_ROOM, `request:${doc._id}`];
+  if (doc.spocId) rooms.push(`spoc:${doc.spocId}`);
+  if (doc.teamId) rooms.push(`team:${doc.teamId}`);
+  if (doc.category === EMERGENCY_CATEGORY) rooms.push(STAFF_ROOM);
+  return rooms;
+}
+
+// extraRooms: rooms that saw the request before a change (e.g. the previous SPOC on reassign)
+function emitRequestUpdated(doc, extraRooms = []) {
+  io.to([...requestRooms(doc), ...extraRooms]).emit('request:updated', doc);
+}
+
+// Several requests changed at once (bulk actions): each socket gets a single 'requests:updated'
+// carrying the ones it may see, rather than one 'request:updated' apiece.
+// extraRoomsById: { [requestId]: rooms } as extraRooms above.
+async function emitRequestsUpdated(docs, extraRoomsById = {}) {
+  const roomsOf = new Map(docs.map((d) => [String(d._id), new Set([...requestRooms(d), ...(extraRoomsById[d._id] || [])])]));
+  const sockets = await io.in([...new Set(docs.flatMap((d) => [...roomsOf.get(String(d._id))]))]).fetchSockets();
+  for (const socket of sockets) {
+    const visible = docs.filter((d) => [...socket.rooms].some((room) => roomsOf.get(String(d._id)).has(room)));
+    if (visible.length) socket.emit('requests:updated', visible);
   }
-});
+}
 
 /* -------------------------
-   Test endpoint to ping Mongo (protected by TEST_TOKEN)
-------------------------- */
-app.get('/api/_test-mongo', async (req, res) => {
-  const provided = req.header('x-test-token');
-  if (!provided || provided !== TEST_TOKEN) return res.status(403).json({ error: 'Forbidden: x-test-token required' });
+   Request listing: filters, cursor, indexes
+   ------------------------- */
+async function ensureRequestIndexes() {
+  // Requests from before priorities existed are normal and unpinned, so they sort and page with the rest
+  await requestsCollection.updateMany({ priority: { $exists: false } }, { $set: { priority: 'normal', pinned: false } });
+
+  await requestsCollection.createIndex({ pinned: -1, createdAt: -1, _id: -1 });
+  await requestsCollection.createIndex({ teamId: 1, pinned: -1, createdAt: -1, _id: -1 });
+  await requestsCollection.createIndex({ spocId: 1, pinned: -1, createdAt: -1, _id: -1 });
+  await requestsCollection.createIndex({ status: 1, pinned: -1, createdAt: -1, _id: -1 });
+  await requestsCollection.createIndex({ category: 1, pinned: -1, createdAt: -1, _id: -1 });
+  // Backs the open-request cap on create
+  await requestsCollection.createIndex({ teamId: 1, category: 1, status: 1 });
+  // Sparse: requests created without an Idempotency-Key don't collide on the missing field
+  await requestsCollection.createIndex({ idempotencyKeyHash: 1 }, { unique: true, sparse: true });
+  // Retries of a submission that was attached to another request as a +1
+  await requestsCollection.createIndex({ plusOneKeyHashes: 1 }, { sparse: true });
+}
+
+// Opaque cursor: the (pinned, createdAt, _id) of the last item on the previous page
+function encodeCursor(doc) {
+  const payload = { p: doc.pinned ? 1 : 0, t: new Date(doc.createdAt).toISOString(), id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(raw) {
   try {
-    const result = await mongoClient.db('admin').command({ ping: 1 });
-    res.json({ ok: true, result });
-  } catch (err) {
-    console.error('GET /api/_test-mongo error:', err && err.stack ? err.stack : err);
-    res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+    const { p, t, id } = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+    if (Number.isNaN(createdAt.getTime()) || !ObjectId.isValid(id)) return null;
+    return { pinned: Boolean(p), createdAt, _id: new ObjectId(id) };
+  } catch (e) {
+    return null;
   }
-});
+}
 
-/* -------------------------
-   Socket.IO behavior
-   ------------------------- */
-io.on('connection', (socket) => {
-  console.log('Socket connected:', socket.id);
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-  socket.on('disconnect', () => {
-    console.log('Socket disconnected:', socket.id);
-  });
+// The caller's staff token entry, else their requester (x-team-token) one, else null
+function requestViewer(req) {
+  const staffToken = req.header('x-spoc-token');
+  if (staffToken && isValidSpocToken(staffToken)) return spocTokens.get(staffToken);
+  return getRequesterToken(req.header('x-team-token'));
+}
 
-  socket.on('spoc:join', (spocId) => {
-    try {
-      if (typeof spocId === 'string' && spocId.length) {
-        socket.join(`spoc:${spocId}`);
-        console.log(`Socket ${socket.id} joined spoc:${spocId}`);
-      }
-    } catch (e) { console.warn(e); }
-  });
+// Teams a SPOC holds right now: their own, unless handed to a cover, and those they cover
+async function heldTeamIds(spocId) {
+  const teams = await teamsCollection.find({ $or: [{ spocId }, { coverSpocId: spocId }] }).toArray();
+  return teams.filter((t) => t.spocId === spocId || teamSpocId(t) === spocId).map((t) => t.id);
+}
 
-  socket.on('spoc:leave', (spocId) => {
-    try { socket.leave(`spoc:${spocId}`); } catch (e) {}
-  });
+// Who may see a request (list, export, history, comments): organizers everything; a SPOC the
+// requests routed to them, those of the teams they hold and every emergency, as all staff are
+// alerted to those; a requester only their team's. requestListScope is the same rule as a filter.
+async function canViewRequest(info, doc) {
+  if (!info) return false;
+  if (info.role === 'organizer') return true;
+  if (info.role === 'requester') return Boolean(doc.teamId) && doc.teamId === info.teamId;
+  if (doc.spocId === info.spocId || doc.category === EMERGENCY_CATEGORY) return true;
+  return Boolean(doc.teamId) && (await heldTeamIds(info.spocId)).includes(doc.teamId);
+}
 
-  socket.on('team:join', (teamId) => {
-    try {
-      if (typeof teamId === 'string' && teamId.length) {
-        socket.join(`team:${teamId}`);
-        console.log(`Socket ${socket.id} joined team:${teamId}`);
-      }
-    } catch (e) { console.warn(e); }
-  });
+// canViewRequest as an extra filter clause for the list and export: {} for organizers, null
+// without a token
+async function requestListScope(req) {
+  const info = requestViewer(req);
+  if (!info) return null;
+  if (info.role === 'organizer') return {};
+  if (info.role === 'requester') return { teamId: info.teamId };
+  return { $or: [{ spocId: info.spocId }, { teamId: { $in: await heldTeamIds(info.spocId) } }, { category: EMERGENCY_CATEGORY }] };
+}
 
-  socket.on('team:leave', (teamId) => {
-    try { socket.leave(`team:${teamId}`); } catch (e) {}
-  });
-});
+function buildRequestFilter(params, cursor, scope = {}) {
+  const clauses = [];
+  if (Object.keys(scope).length) clauses.push(scope);
+  if (params.teamId) clauses.push({ teamId: params.teamId });
+  if (params.spocId) clauses.push({ spocId: params.spocId });
+  if (params.statuses.length) clauses.push({ status: { $in: params.statuses } });
+  if (params.categories.length) clauses.push({ category: { $in: params.categories } });
+  if (params.priorities.length) clauses.push({ priority: { $in: params.priorities } });
+  if (params.since || params.until) {
+    const range = {};
+    if (params.since) range.$gte = params.since;
+    if (params.until) range.$lte = params.until;
+    clauses.push({ createdAt: range });
+  }
+  if (params.q) {
+    const rx = new RegExp(escapeRegex(params.q), 'i');
+    clauses.push({ $or: [{ requester: rx }, { location: rx }, { details: rx }] });
+  }
+  if (cursor) {
+    const op = params.order === 'asc' ? '$gt' : '$lt';
+    const after = {
+      $or: [
+        { createdAt: { [op]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+      ],
+    };
+    // Pinned requests come first in either order, so past a pinned cursor every unpinned one is still ahead
+    clauses.push(cursor.pinned
+      ? { $or: [{ pinned: { $ne: true } }, { $and: [{ pinned: true }, after] }] }
+      : { $and: [{ pinned: { $ne: true } }, after] });
+  }
+  if (clauses.length === 0) return {};
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
 
 /* -------------------------
-   Graceful shutdown
+   Main API routes
    ------------------------- */
-async function gracefulShutdown() {
-  console.log('Shutting down server...');
+// Filters: teamId, spocId, status, category, priority (comma lists), since/until, q, within
+// what the caller's token may see (requestListScope). Pinned (open critical) requests come first,
+// then by createdAt. Returns { items, nextCursor }; pass nextCursor back as ?cursor= for the next page.
+app.get('/api/requests', async (req, res) => {
   try {
-    if (mongoClient) {
-      await mongoClient.close();
-      console.log('MongoDB connection closed.');
+    const scope = await requestListScope(req);
+    if (!scope) return sendError(res, 401, 'UNAUTHORIZED', 'A staff or team token is required');
+    const { value: params, fields } = parseListQuery(req.query, { statuses: Object.keys(REQUEST_TRANSITIONS) });
+    let cursor = null;
+    if (params.cursor) {
+      cursor = decodeCursor(params.cursor);
+      if (!cursor) fields.cursor = 'Invalid cursor';
     }
-  } catch (err) {
-    console.warn('Error closing Mongo client:', err);
-  } finally {
-    process.exit(0);
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid query', fields);
+
+    const filter = buildRequestFilter(params, cursor, scope);
+    const dir = params.order === 'asc' ? 1 : -1;
+    const docs = await requestsCollection
+      .find(filter)
+      .sort({ pinned: -1, createdAt: dir, _id: dir })
+      .limit(params.limit + 1)
+      .toArray();
+
+    const hasMore = docs.length > params.limit;
+    const items = hasMore ? docs.slice(0, params.limit) : docs;
+    res.json({ items, nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null });
+  } catch (error) {
+    sendServerError(res, 'GET /api/requests', error);
   }
-}
+});
 
-process.on('SIGINT', gracefulShutdown);
-process.on('SIGTERM', gracefulShutdown);
+// Column order of the CSV export; JSON exports carry whole documents
+const EXPORT_COLUMNS = [
+  '_id', 'createdAt', 'teamId', 'spocId', 'requester', 'category', 'priority', 'quantity', 'location', 'zoneId', 'tableId', 'details', 'status',
+  'statusReason', 'mergedInto', 'slaDueAt', 'escalated', 'acknowledgedAt', 'startedAt', 'completedAt', 'cancelledAt', 'rejectedAt', 'updatedAt',
+];
+
+// Same filters and scope as the list route, no page size: documents are streamed straight from
+// the cursor so a full day's log never sits in memory. ?format=csv (default) or json.
+app.get('/api/requests/export', async (req, res) => {
+  try {
+    const scope = await requestListScope(req);
+    if (!scope) return sendError(res, 401, 'UNAUTHORIZED', 'A staff or team token is required');
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const { value: params, fields } = parseListQuery({ ...req.query, limit: undefined, cursor: undefined }, {
+      statuses: Object.keys(REQUEST_TRANSITIONS),
+    });
+    if (!['csv', 'json'].includes(format)) fields.format = 'Must be csv or json';
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid query', fields);
+
+    const dir = params.order === 'asc' ? 1 : -1;
+    const cursor = requestsCollection.find(buildRequestFilter(params, null, scope)).sort({ createdAt: dir, _id: dir });
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="requests-${stamp}.${format}"`);
+
+    let aborted = false;
+    res.on('close', () => { aborted = !res.writableFinished; });
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+
+    if (format === 'csv') await write(`${EXPORT_COLUMNS.join(',')}\r\n`);
+    else await write('[');
+    let first = true;
+    for await (const doc of cursor) {
+      if (aborted) break;
+      if (format === 'csv') await write(formatCsvRow(EXPORT_COLUMNS.map((c) => doc[c])));
+      else await write(`${first ? '' : ','}\n${JSON.stringify(doc)}`);
+      first = false;
+    }
+    if (aborted) return;
+    if (format === 'json') await write('\n]\n');
+    res.end();
+  } catch (error) {
+    // Once streaming has started the status line is gone; cutting the connection marks the file incomplete
+    if (res.headersSent) {
+      console.error('GET /api/requests/export error:', error && error.stack ? error.stack : error);
+      return res.destroy();
+    }
+    sendServerError(res, 'GET /api/requests/export', error);
+  }
+});
+
+// Idempotency-Key: a random client-generated key (16-100 chars of [A-Za-z0-9_-]) that makes
+// retries safe. A repeat of a key answers 200 with the request it already created, and the
+// tracking token is derived from the key so the replay can hand the same one back.
+const IDEMPOTENCY_KEY = /^[A-Za-z0-9_-]{16,100}$/;
+
+function idempotencyKeyHash(key) {
+  return crypto.createHash('sha256').update(`idempotency:${key}`).digest('hex');
+}
+
+function trackingTokenFor(idempotencyKey) {
+  return crypto.createHmac('sha256', idempotencyKey).update('tracking').digest('base64url').slice(0, 22);
+}
+
+async function replayIdempotent(res, keyHash, idempotencyKey) {
+  const existing = await requestsCollection.findOne({ $or: [{ idempotencyKeyHash: keyHash }, { plusOneKeyHashes: keyHash }] });
+  if (!existing) return false;
+  res.setHeader('Idempotent-Replayed', 'true');
+  const attached = existing.idempotencyKeyHash !== keyHash;
+  res.status(200).json({ ...existing, trackingToken: trackingTokenFor(idempotencyKey), ...(attached ? { attached } : {}) });
+  return true;
+}
+
+// The team's open requests of this category from the last DUPLICATE_WINDOW_MINUTES, newest first.
+// Emergencies are never folded into another request, only flagged.
+async function findOpenDuplicate(incoming) {
+  if (DUPLICATE_WINDOW_MINUTES <= 0) return null;
+  const candidates = await requestsCollection.find({
+    teamId: incoming.teamId,
+    category: incoming.category,
+    status: { $in: OPEN_STATUSES },
+    createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MINUTES * 60 * 1000) },
+  }).sort({ createdAt: -1 }).limit(20).toArray();
+  return findDuplicate(incoming, candidates, { allowAttach: incoming.category !== EMERGENCY_CATEGORY });
+}
+
+// A stored or submitted quantity as a whole number of items, 1 when missing or unusable
+function positiveQuantity(raw) {
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : 1;
+}
+
+// Records a repeat as a "+1" on the open request instead of creating another; its quantity is
+// added to the request's. The requester still gets a tracking token of their own, which tracks
+// that request. Null when the request closed in the meantime, so the caller creates a new one after all.
+async function attachPlusOne(req, doc, incoming, { keyHash, trackingToken }) {
+  const quantity = positiveQuantity(incoming.quantity);
+  // Older requests may hold a string or no quantity at all, which $inc refuses or counts from 0.
+  // Fix it in place first; matching on the old value leaves a concurrent fix alone.
+  if (doc.quantity !== positiveQuantity(doc.quantity)) {
+    await requestsCollection.updateOne({ _id: doc._id, quantity: doc.quantity ?? null }, { $set: { quantity: positiveQuantity(doc.quantity) } });
+  }
+  const update = {
+    $push: {
+      plusOnes: { at: new Date(), requester: incoming.requester || null, details: incoming.details || null, quantity },
+      plusOneTrackingHashes: hashTrackingToken(trackingToken),
+    },
+    $inc: { quantity },
+    $set: { updatedAt: new Date() },
+  };
+  if (keyHash) update.$push.plusOneKeyHashes = keyHash;
+  const result = await requestsCollection.updateOne({ _id: doc._id, status: { $in: OPEN_STATUSES } }, update);
+  if (result.matchedCount === 0) return null;
+
+  const updated = await requestsCollection.findOne({ _id: doc._id });
+  await recordRequestEvent('plus_one', { requestId: doc._id, actor: eventActor(req), before: doc, after: updated });
+  emitRequestUpdated(updated);
+  return updated;
+}
+
+app.post('/api/requests', async (req, res) => {
+  try {
+    const idempotencyKey = req.header('idempotency-key');
+    if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY.test(idempotencyKey)) {
+      return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid Idempotency-Key', { idempotencyKey: 'Must be 16-100 letters, digits, "-" or "_"' });
+    }
+    const keyHash = idempotencyKey ? idempotencyKeyHash(idempotencyKey) : null;
+    if (keyHash && (await replayIdempotent(res, keyHash, idempotencyKey))) return;
+
+    // Limits come after the replay check: re-sending an already-created submission costs nothing
+    const ipHit = await overLimit('createPerIp', req.ip);
+    if (ipHit) return sendRateLimited(res, ipHit.retryAfter, `Too many requests from this device. Try again in ${ipHit.retryAfter}s.`);
+
+    const staffToken = req.header('x-spoc-token');
+    const { value, fields, team, place } = await validateRequestInput(req.body, {
+      lookupTeam: findActiveTeam, lookupPlace, allowCritical: Boolean(staffToken && isValidSpocToken(staffToken)),
+    });
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid request', fields);
+
+    const teamHit = await overLimit('createPerTeam', team.id);
+    if (teamHit) return sendRateLimited(res, teamHit.retryAfter, `Your team is sending requests too quickly. Try again in ${teamHit.retryAfter}s.`);
+
+    const placed = place ? placeFields(place, value.location) : {};
+    const trackingToken = idempotencyKey ? trackingTokenFor(idempotencyKey) : crypto.randomBytes(16).toString('base64url');
+    // A repeat of an open request becomes a +1 on it (200, attached: true); a near-repeat is
+    // created but flagged so the SPOC can merge it
+    const duplicate = await findOpenDuplicate({ ...value, ...placed, teamId: team.id });
+    if (duplicate && duplicate.match === 'attach') {
+      const attachedTo = await attachPlusOne(req, duplicate.doc, value, { keyHash, trackingToken });
+      if (attachedTo) return res.status(200).json({ ...attachedTo, trackingToken, attached: true });
+    }
+    // An emergency is never held back by the cap; a flagged near-repeat still counts
+    if (OPEN_REQUEST_CAP > 0 && value.category !== EMERGENCY_CATEGORY) {
+      const open = await requestsCollection.countDocuments({ teamId: team.id, category: value.category, status: { $in: OPEN_STATUSES } });
+      if (open >= OPEN_REQUEST_CAP) {
+        const message = `Your team already has ${open} open ${value.category} requests. Wait until one is completed or cancelled.`;
+        return sendError(res, 429, 'OPEN_REQUEST_LIMIT', message, { category: `At most ${OPEN_REQUEST_CAP} open ${value.category} requests per team` });
+      }
+    }
+
+    // spocId comes from the zone's desk or the registry, never from the client
+    const newRequest = {
+      ...value,
+      ...placed,
+      teamId: team.id,
+      ...(await routeByPlace(place, value.category, teamSpocId(team))),
+      status: 'pending',
+      createdAt: new Date(),
+    };
+    newRequest.pinned = isPinned(newRequest);
+    newRequest.slaDueAt = slaDueAt(newRequest.category, newRequest.createdAt);
+    if (duplicate && duplicate.match === 'flag') newRequest.possibleDuplicateOf = String(duplicate.doc._id);
+    newRequest.trackingHash = hashTrackingToken(trackingToken);
+    if (keyHash) newRequest.idempotencyKeyHash = keyHash;
+
+    let result;
+    try {
+      result = await requestsCollection.insertOne(newRequest);
+    } catch (err) {
+      // Two retries of the same submission raced past the lookup; the unique index let one win
+      if (err && err.code === 11000 && keyHash && (await replayIdempotent(res, keyHash, idempotencyKey))) return;
+      throw err;
+    }
+    const insertedRequest = { ...newRequest, _id: result.insertedId };
+    await recordRequestEvent('created', { requestId: insertedRequest._id, actor: eventActor(req), after: newRequest });
+
+    io.to(requestRooms(insertedRequest)).emit('request:created', insertedRequest);
+    pushRequestNotice(insertedRequest, insertedRequest.category === EMERGENCY_CATEGORY ? 'emergency' : 'created');
+    dispatchWebhookEvent('request.created', insertedRequest);
+
+    // The clear token is only ever in this response; the requester shares /track/:id?t=<token>
+    res.status(201).json({ ...insertedRequest, trackingToken });
+  } catch (error) {
+    sendServerError(res, 'POST /api/requests', error);
+  }
+});
+
+// Field edits only; status changes go through the transition routes below
+app.patch('/api/requests/:id', requireSpoc, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    if (!_id) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+
+    if ('status' in (req.body || {})) {
+      return sendError(res, 400, 'VALIDATION_FAILED', 'Use the transition endpoints to change status', { status: 'Field is not editable' });
+    }
+    const { value, fields, place } = await validateRequestInput(req.body, { partial: true, editable: EDITABLE_REQUEST_FIELDS, lookupPlace });
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid request', fields);
+
+    const doc = await requestsCollection.findOne({ _id });
+    if (!doc) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    if (!canActOn(req, doc)) return sendError(res, 403, 'FORBIDDEN', 'Request belongs to another SPOC');
+    if (isTerminalStatus(doc.status)) return sendError(res, 409, 'INVALID_STATE', `Request is ${doc.status} and can no longer be edited`);
+
+    const updates = { ...value, updatedAt: new Date() };
+    const categoryChanged = Boolean(value.category) && value.category !== doc.category;
+    if (categoryChanged && !doc.escalated) {
+      updates.slaDueAt = slaDueAt(value.category, doc.createdAt);
+    }
+    if ((value.category || doc.category) === EMERGENCY_CATEGORY) updates.priority = 'critical';
+    // Leaving Emergency drops the forced 'critical' (and with it the pin) unless one was asked for
+    else if (categoryChanged && doc.category === EMERGENCY_CATEGORY) updates.priority = value.priority || 'normal';
+
+    // A new place or a retyped location replaces the venue fields create derived (a typed
+    // location matches no place), and routing is redone as on create. A request only leaves
+    // its SPOC for a zone desk, or back to the team's SPOC when it had been at a desk.
+    const placeEdited = req.body?.tableId !== undefined || req.body?.zoneId !== undefined;
+    const locationEdited = value.location !== undefined && value.location !== doc.location;
+    if (placeEdited || locationEdited) {
+      Object.assign(updates, place ? placeFields(place, value.location) : { hallId: null, zoneId: null, tableId: null });
+    }
+    if (placeEdited || locationEdited || categoryChanged) {
+      const current = placeEdited || locationEdited
+        ? place
+        : doc.zoneId && findPlace(await loadVenue(), { tableId: doc.tableId, zoneId: doc.zoneId });
+      const team = doc.routedVia === 'zone' ? await teamsCollection.findOne({ id: doc.teamId }) : null;
+      Object.assign(updates, await routeByPlace(current, value.category || doc.category, team ? teamSpocId(team) : doc.spocId));
+    }
+    updates.pinned = isPinned({ ...doc, ...updates });
+    await requestsCollection.updateOne({ _id }, { $set: updates });
+
+    const updatedRequest = await requestsCollection.findOne({ _id });
+    await recordRequestEvent('edit', { requestId: _id, actor: eventActor(req), before: doc, after: updatedRequest });
+    const moved = updatedRequest.spocId !== doc.spocId;
+    if (moved) pushRequestNotice(updatedRequest, 'reassigned');
+    emitRequestUpdated(updatedRequest, moved && doc.spocId ? [`spoc:${doc.spocId}`] : []);
+    res.json(updatedRequest);
+  } catch (error) {
+    sendServerError(res, 'PATCH /api/requests/:id', error);
+  }
+});
+
+// The per-request part of an action, shared by the single-request routes and the batch route.
+// Each resolves to { doc, before, extraRooms? } or { failure: { status, code, error, fields? } };
+// sockets are left to the caller, which emits one update or one batch.
+function actionFailure(status, code, error, fields) {
+  return { failure: { status, code, error, ...(fields ? { fields } : {}) } };
+}
+
+function sendFailure(res, { status, code, error, fields }) {
+  return sendError(res, status, code, error, fields);
+}
+
+// { reason } for an action's body, or a failure when it is missing (reject) or too long
+function parseReason(spec, body) {
+  const reason = String(body?.reason || '').trim();
+  if (spec.reasonRequired && !reason) return actionFailure(400, 'VALIDATION_FAILED', 'A reason is required', { reason: 'Required' });
+  if (reason.length > MAX_REASON_LENGTH) {
+    return actionFailure(400, 'VALIDATION_FAILED', 'Reason is too long', { reason: `Must be at most ${MAX_REASON_LENGTH} characters` });
+  }
+  return { reason };
+}
+
+async function transitionRequest(req, _id, action, reason) {
+  const spec = REQUEST_ACTIONS[action];
+  const doc = await requestsCollection.findOne({ _id });
+  if (!doc) return actionFailure(404, 'NOT_FOUND', 'Request not found');
+  if (!canActOn(req, doc)) return actionFailure(403, 'FORBIDDEN', 'Request belongs to another SPOC');
+  const allowed = spec.fromAnyOpen ? !isTerminalStatus(doc.status) : canTransition(doc.status, spec.to);
+  if (!allowed) return actionFailure(409, 'INVALID_TRANSITION', `Cannot ${action} a request that is ${doc.status}`);
+
+  const now = new Date();
+  const updates = { status: spec.to, updatedAt: now, [spec.at]: now, [spec.by]: actorOf(req) };
+  if (reason) updates.statusReason = reason;
+  updates.pinned = isPinned({ ...doc, ...updates });
+
+  // Match on the current status so two SPOCs racing on the same request can't both win
+  const result = await requestsCollection.updateOne({ _id, status: doc.status }, { $set: updates });
+  if (result.matchedCount === 0) return actionFailure(409, 'INVALID_TRANSITION', 'Request status changed concurrently');
+
+  const updatedRequest = await requestsCollection.findOne({ _id });
+  await recordRequestEvent('transition', {
+    requestId: _id, actor: eventActor(req), before: doc, after: updatedRequest, reason: reason || undefined,
+  });
+  if (spec.to === 'done') await consumeInventory(updatedRequest, eventActor(req));
+  dispatchWebhookEvent('request.status_changed', updatedRequest, { previousStatus: doc.status });
+  return { doc: updatedRequest, before: doc };
+}
+
+// Organizers move any open request; a SPOC can hand off one of their own. `spoc` is the
+// (already checked) active SPOC to move it to.
+async function reassignRequest(req, _id, spoc) {
+  const doc = await requestsCollection.findOne({ _id });
+  if (!doc) return actionFailure(404, 'NOT_FOUND', 'Request not found');
+  if (!canActOn(req, doc)) return actionFailure(403, 'FORBIDDEN', 'Request belongs to another SPOC');
+  if (isTerminalStatus(doc.status)) return actionFailure(409, 'INVALID_STATE', `Request is ${doc.status} and can no longer be reassigned`);
+  if (doc.spocId === spoc.id) return actionFailure(409, 'INVALID_STATE', 'Request is already assigned to this SPOC');
+
+  // Match on the current SPOC so two concurrent reassignments can't both win
+  const result = await requestsCollection.updateOne(
+    { _id, spocId: doc.spocId ?? null, status: { $in: OPEN_STATUSES } },
+    { $set: { spocId: spoc.id, updatedAt: new Date() } },
+  );
+  if (result.matchedCount === 0) return actionFailure(409, 'INVALID_STATE', 'Request changed concurrently');
+
+  const updatedRequest = await requestsCollection.findOne({ _id });
+  await recordRequestEvent('reassign', { requestId: _id, actor: eventActor(req), before: doc, after: updatedRequest });
+  pushRequestNotice(updatedRequest, 'reassigned');
+  return { doc: updatedRequest, before: doc, extraRooms: doc.spocId ? [`spoc:${doc.spocId}`] : [] };
+}
+
+// The reassign target from a request body: { spoc } or a failure
+async function parseReassignTarget(body) {
+  const spocId = String(body?.spocId || '').trim();
+  if (!spocId) return actionFailure(400, 'VALIDATION_FAILED', 'A SPOC is required', { spocId: 'Required' });
+  const spoc = await findActiveSpoc(spocId);
+  if (!spoc) return actionFailure(400, 'VALIDATION_FAILED', 'Unknown SPOC', { spocId: 'Unknown or inactive SPOC' });
+  return { spoc };
+}
+
+for (const [action, spec] of Object.entries(REQUEST_ACTIONS)) {
+  app.post(`/api/requests/:id/${action}`, spec.organizerOnly ? requireOrganizer : requireSpoc, async (req, res) => {
+    try {
+      const _id = toObjectId(req.params.id);
+      if (!_id) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+      const parsed = parseReason(spec, req.body);
+      if (parsed.failure) return sendFailure(res, parsed.failure);
+
+      const outcome = await transitionRequest(req, _id, action, parsed.reason);
+      if (outcome.failure) return sendFailure(res, outcome.failure);
+      emitRequestUpdated(outcome.doc);
+      res.json(outcome.doc);
+    } catch (error) {
+      sendServerError(res, `POST /api/requests/:id/${action}`, error);
+    }
+  });
+}
+
+app.post('/api/requests/:id/reassign', requireSpoc, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    if (!_id) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    const target = await parseReassignTarget(req.body);
+    if (target.failure) return sendFailure(res, target.failure);
+
+    const outcome = await reassignRequest(req, _id, target.spoc);
+    if (outcome.failure) return sendFailure(res, outcome.failure);
+    emitRequestUpdated(outcome.doc, outcome.extraRooms);
+    res.json(outcome.doc);
+  } catch (error) {
+    sendServerError(res, 'POST /api/requests/:id/reassign', error);
+  }
+});
+
+const MAX_BATCH_SIZE = 100;
+const BATCH_ACTIONS = [...Object.keys(REQUEST_ACTIONS), 'reassign'];
+
+// One action over many requests, e.g. a tea round completing six tables at once:
+// { action, ids, reason?, spocId? }. Every request is checked on its own, so some may fail
+// while the rest go through; the response lists { id, ok, request | status, code, error } in
+// the order given. Clients get one 'requests:updated' batch rather than an event per request.
+app.post('/api/requests/batch', requireSpoc, async (req, res) => {
+  try {
+    const action = String(req.body?.action || '');
+    if (!BATCH_ACTIONS.includes(action)) {
+      return sendError(res, 400, 'VALIDATION_FAILED', 'Unknown action', { action: `Must be one of: ${BATCH_ACTIONS.join(', ')}` });
+    }
+    const rawIds = req.body?.ids;
+    const ids = Array.isArray(rawIds) ? [...new Set(rawIds.map((id) => String(id)))] : [];
+    if (ids.length === 0) return sendError(res, 400, 'VALIDATION_FAILED', 'No requests selected', { ids: 'Pick at least one request' });
+    if (ids.length > MAX_BATCH_SIZE) {
+      return sendError(res, 400, 'VALIDATION_FAILED', 'Too many requests selected', { ids: `At most ${MAX_BATCH_SIZE} per batch` });
+    }
+
+    let apply;
+    if (action === 'reassign') {
+      const target = await parseReassignTarget(req.body);
+      if (target.failure) return sendFailure(res, target.failure);
+      apply = (_id) => reassignRequest(req, _id, target.spoc);
+    } else {
+      const spec = REQUEST_ACTIONS[action];
+      if (spec.organizerOnly && req.spocTokenInfo.role !== 'organizer') {
+        return sendError(res, 403, 'FORBIDDEN', 'Forbidden: organizer token required');
+      }
+      const parsed = parseReason(spec, req.body);
+      if (parsed.failure) return sendFailure(res, parsed.failure);
+      apply = (_id) => transitionRequest(req, _id, action, parsed.reason);
+    }
+
+    // One at a time, so audit events and inventory movements land in the order given
+    const results = [];
+    const changed = [];
+    const extraRooms = {};
+    for (const id of ids) {
+      const _id = toObjectId(id);
+      let outcome;
+      try {
+        outcome = _id ? await apply(_id) : actionFailure(404, 'NOT_FOUND', 'Request not found');
+      } catch (error) {
+        console.error(`POST /api/requests/batch (${action} ${id}) error:`, error && error.stack ? error.stack : error);
+        outcome = actionFailure(500, 'SERVER_ERROR', 'Server error');
+      }
+      if (outcome.failure) {
+        results.push({ id, ok: false, ...outcome.failure });
+        continue;
+      }
+      results.push({ id, ok: true, request: outcome.doc });
+      changed.push(outcome.doc);
+      if (outcome.extraRooms) extraRooms[id] = outcome.extraRooms;
+    }
+
+    if (changed.length) await emitRequestsUpdated(changed, extraRooms);
+    res.json({ action, succeeded: changed.length, failed: results.length - changed.length, results });
+  } catch (error) {
+    sendServerError(res, 'POST /api/requests/batch', error);
+  }
+});
+
+// Emergencies are broadcast to all staff and stay on each one's banner until they acknowledge
+// it here. Any SPOC may acknowledge, not just the one holding the request; organizers share
+// one acknowledgement. Repeats are a no-op.
+app.post('/api/requests/:id/emergency-ack', requireSpoc, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    const doc = _id && await requestsCollection.findOne({ _id });
+    if (!doc) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    if (doc.category !== EMERGENCY_CATEGORY) return sendError(res, 409, 'INVALID_STATE', 'Only emergencies need acknowledging');
+
+    const actor = eventActor(req);
+    const acked = (doc.emergencyAcks || []).some((a) => a.role === actor.role && a.id === actor.id);
+    if (acked) return res.json(doc);
+
+    await requestsCollection.updateOne({ _id }, { $push: { emergencyAcks: { ...actor, at: new Date() } } });
+    const updatedRequest = await requestsCollection.findOne({ _id });
+    await recordRequestEvent('emergency_ack', { requestId: _id, actor, before: doc, after: updatedRequest });
+    emitRequestUpdated(updatedRequest);
+    res.json(updatedRequest);
+  } catch (error) {
+    sendServerError(res, 'POST /api/requests/:id/emergency-ack', error);
+  }
+});
+
+const PRIORITY_RANK = { low: 0, normal: 1, high: 2, critical: 3 };
+
+// Folds a duplicate (:id) into another open request of the same team and category ({ into }).
+// The target takes the duplicate's quantity, +1s and the higher priority and earlier SLA of
+// the two; the duplicate is cancelled with mergedInto set, and its history shows up in the
+// target's. Responds { request: target, merged: duplicate }.
+app.post('/api/requests/:id/merge', requireSpoc, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    if (!_id) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    const intoId = toObjectId(req.body?.into);
+    if (!intoId) return sendError(res, 400, 'VALIDATION_FAILED', 'A request to merge into is required', { into: 'Required' });
+    if (intoId.equals(_id)) return sendError(res, 400, 'VALIDATION_FAILED', 'Cannot merge a request into itself', { into: 'Pick another request' });
+
+    const [source, target] = await Promise.all([requestsCollection.findOne({ _id }), requestsCollection.findOne({ _id: intoId })]);
+    if (!source || !target) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    if (!canActOn(req, source) || !canActOn(req, target)) return sendError(res, 403, 'FORBIDDEN', 'Request belongs to another SPOC');
+    if (isTerminalStatus(source.status) || isTerminalStatus(target.status)) {
+      return sendError(res, 409, 'INVALID_STATE', 'Only open requests can be merged');
+    }
+    if (source.teamId !== target.teamId || source.category !== target.category) {
+      return sendError(res, 409, 'INVALID_STATE', 'Only requests from the same team and category can be merged');
+    }
+
+    // Close the duplicate first, matching its status so a concurrent action on it isn't lost;
+    // it is reopened below if the target closes before it can take the duplicate in
+    const now = new Date();
+    const closed = await requestsCollection.updateOne({ _id, status: source.status }, {
+      $set: {
+        status: 'cancelled', cancelledAt: now, cancelledBy: actorOf(req), statusReason: `Merged into ${target._id}`,
+        mergedInto: String(target._id), pinned: false, updatedAt: now,
+      },
+    });
+    if (closed.matchedCount === 0) return sendError(res, 409, 'INVALID_TRANSITION', 'Request status changed concurrently');
+
+    const entry = {
+      id: String(source._id), requester: source.requester || null, quantity: source.quantity || 1,
+      location: source.location, details: source.details || null, createdAt: source.createdAt, mergedAt: now,
+    };
+    const priority = (PRIORITY_RANK[source.priority] ?? 1) > (PRIORITY_RANK[target.priority] ?? 1) ? source.priority : target.priority;
+    const updates = {
+      quantity: (target.quantity || 1) + (source.quantity || 1),
+      priority,
+      // Chains (A into B, then B into C) keep every folded request on the final one
+      mergedFrom: [...(target.mergedFrom || []), ...(source.mergedFrom || []), entry],
+      plusOnes: [...(target.plusOnes || []), ...(source.plusOnes || [])],
+      plusOneTrackingHashes: [...(target.plusOneTrackingHashes || []), ...(source.plusOneTrackingHashes || [])],
+      updatedAt: now,
+    };
+    if (source.slaDueAt && (!target.slaDueAt || new Date(source.slaDueAt) < new Date(target.slaDueAt))) updates.slaDueAt = source.slaDueAt;
+    if (target.possibleDuplicateOf === String(source._id)) updates.possibleDuplicateOf = null;
+    updates.pinned = isPinned({ ...target, ...updates });
+    const merged = await requestsCollection.updateOne({ _id: intoId, status: { $in: OPEN_STATUSES } }, { $set: updates });
+    if (merged.matchedCount === 0) {
+      // The target closed meanwhile: put the duplicate back the way it was
+      const restore = { $set: {}, $unset: {} };
+      for (const key of ['status', 'cancelledAt', 'cancelledBy', 'statusReason', 'mergedInto', 'pinned', 'updatedAt']) {
+        if (source[key] === undefined) restore.$unset[key] = '';
+        else restore.$set[key] = source[key];
+      }
+      if (Object.keys(restore.$unset).length === 0) delete restore.$unset;
+      await requestsCollection.updateOne({ _id, mergedInto: String(target._id) }, restore);
+      return sendError(res, 409, 'INVALID_STATE', 'The request to merge into was closed meanwhile');
+    }
+
+    const [mergedSource, mergedTarget] = await Promise.all([requestsCollection.findOne({ _id }), requestsCollection.findOne({ _id: intoId })]);
+    const actor = eventActor(req);
+    await recordRequestEvent('transition', { requestId: _id, actor, before: source, after: mergedSource, reason: mergedSource.statusReason });
+    await recordRequestEvent('merge', { requestId: intoId, actor, before: target, after: mergedTarget });
+    await emitRequestsUpdated([mergedSource, mergedTarget]);
+    dispatchWebhookEvent('request.status_changed', mergedSource, { previousStatus: source.status });
+    res.json({ request: mergedTarget, merged: mergedSource });
+  } catch (error) {
+    sendServerError(res, 'POST /api/requests/:id/merge', error);
+  }
+});
+
+// The SPOC checked a flagged request and it is not a repeat after all
+app.post('/api/requests/:id/not-duplicate', requireSpoc, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    const doc = _id && await requestsCollection.findOne({ _id });
+    if (!doc) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    if (!canActOn(req, doc)) return sendError(res, 403, 'FORBIDDEN', 'Request belongs to another SPOC');
+    if (!doc.possibleDuplicateOf) return res.json(doc);
+
+    await requestsCollection.updateOne({ _id }, { $set: { possibleDuplicateOf: null, updatedAt: new Date() } });
+    const updatedRequest = await requestsCollection.findOne({ _id });
+    await recordRequestEvent('duplicate_dismissed', { requestId: _id, actor: eventActor(req), before: doc, after: updatedRequest });
+    emitRequestUpdated(updatedRequest);
+    res.json(updatedRequest);
+  } catch (error) {
+    sendServerError(res, 'POST /api/requests/:id/not-duplicate', error);
+  }
+});
+
+// History outlives the request: events for deleted requests are still returned. A merge target's
+// history includes that of the requests merged into it (their events keep their own requestId).
+// Readable by whoever may see the request (canViewRequest), the same as its comment thread.
+app.get('/api/requests/:id/history', async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    if (!_id) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    const doc = await requestsCollection.findOne({ _id });
+    const requestIds = [req.params.id, ...((doc && doc.mergedFrom) || []).map((m) => m.id)];
+    const events = await eventsCollection.find({ requestId: { $in: requestIds } }).sort({ at: 1, _id: 1 }).toArray();
+    if (events.length === 0 && !doc) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    // A deleted request's fields survive as the 'from' side of the 'deleted' event's diff
+    const deleted = !doc && events.find((ev) => ev.type === 'deleted' && ev.requestId === req.params.id);
+    const owner = doc || Object.fromEntries(Object.entries(deleted?.changes || {}).map(([key, change]) => [key, change.from]));
+    if (!(await canViewRequest(requestViewer(req), owner))) return sendError(res, 403, 'FORBIDDEN', 'Not allowed to view this history');
+    res.json(events);
+  } catch (error) {
+    sendServerError(res, 'GET /api/requests/:id/history', error);
+  }
+});
+
+/* -------------------------
+   Public request tracking
+   ------------------------- */
+// Only a hash is stored, so the request documents the list/export routes return can't be used to track
+function hashTrackingToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Resolves to the request when `token` is its tracking token, otherwise null
+async function findTrackedRequest(id, token) {
+  const _id = toObjectId(id);
+  if (!_id || typeof token !== 'string' || !token) return null;
+  const doc = await requestsCollection.findOne({ _id });
+  if (!doc) return null;
+  // The request's own token, or one handed to a repeat that was attached as a +1
+  const hash = hashTrackingToken(token);
+  const hashes = [doc.trackingHash, ...(doc.plusOneTrackingHashes || [])].filter(Boolean);
+  return hashes.some((h) => safeEqual(hash, h)) ? doc : null;
+}
+
+// What a tracking page may show: the request itself, its SPOC's name and a status-level timeline
+app.get('/api/track/:id', async (req, res) => {
+  try {
+    const doc = await findTrackedRequest(req.params.id, req.query.t);
+    if (!doc) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+
+    const [team, spoc, events] = await Promise.all([
+      doc.teamId ? teamsCollection.findOne({ id: doc.teamId }) : null,
+      doc.spocId ? spocsCollection.findOne({ id: doc.spocId }) : null,
+      eventsCollection.find({ requestId: String(doc._id) }).sort({ at: 1, _id: 1 }).toArray(),
+    ]);
+    res.json({
+      _id: doc._id,
+      requester: doc.requester,
+      category: doc.category,
+      quantity: doc.quantity,
+      location: doc.location,
+      details: doc.details,
+      status: doc.status,
+      statusReason: doc.statusReason || null,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt || null,
+      slaDueAt: doc.slaDueAt || null,
+      escalated: Boolean(doc.escalated),
+      team: team ? { id: team.id, name: team.name } : null,
+      spoc: spoc ? { id: spoc.id, name: spoc.name } : null,
+      timeline: events
+        .filter((ev) => ['created', 'transition', 'reassign', 'escalated'].includes(ev.type))
+        .map((ev) => ({
+          type: ev.type,
+          at: ev.at,
+          status: ev.changes?.status?.to || null,
+          reason: ev.reason || null,
+          by: ev.actor?.role || null,
+        })),
+    });
+  } catch (error) {
+    sendServerError(res, 'GET /api/track/:id', error);
+  }
+});
+
+app.delete('/api/requests/:id', requireSpoc, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const _id = toObjectId(id);
+    const doc = _id && await requestsCollection.findOne({ _id });
+    if (!doc) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    if (!canActOn(req, doc)) return sendError(res, 403, 'FORBIDDEN', 'Request belongs to another SPOC');
+
+    const result = await requestsCollection.deleteOne({ _id });
+    if (result.deletedCount === 0) return sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    await recordRequestEvent('deleted', { requestId: _id, actor: eventActor(req), before: doc });
+    await commentsCollection.deleteMany({ requestId: id });
+
+    io.to(requestRooms(doc)).emit('request:deleted', { _id: id });
+    dispatchWebhookEvent('request.deleted', doc);
+
+    res.status(204).send();
+  } catch (error) {
+    sendServerError(res, 'DELETE /api/requests/:id', error);
+  }
+});
+
+/* -------------------------
+   Request comments
+   ------------------------- */
+// A thread per request between the requester's team and the staff handling it. Requesters
+// authenticate with their team session token (x-team-token), staff with x-spoc-token.
+// The request document keeps commentCount/lastCommentAt/lastCommentRole so lists can show
+// unread markers without loading every thread; updatedAt is left alone.
+const MAX_THREAD_LENGTH = 500;
+
+async function ensureCommentIndexes() {
+  await commentsCollection.createIndex({ requestId: 1, createdAt: 1 });
+}
+
+// Who may read and post on this request's thread (anyone who may see the request), or null
+async function commentIdentity(req, doc) {
+  const info = requestViewer(req);
+  return (await canViewRequest(info, doc)) ? info : null;
+}
+
+async function loadCommentTarget(req, res) {
+  const _id = toObjectId(req.params.id);
+  const doc = _id && await requestsCollection.findOne({ _id });
+  if (!doc) {
+    sendError(res, 404, 'NOT_FOUND', 'Request not found');
+    return {};
+  }
+  const identity = await commentIdentity(req, doc);
+  if (!identity) {
+    sendError(res, 403, 'FORBIDDEN', 'Not allowed to view this conversation');
+    return {};
+  }
+  return { doc, identity };
+}
+
+app.get('/api/requests/:id/comments', async (req, res) => {
+  try {
+    const { doc } = await loadCommentTarget(req, res);
+    if (!doc) return;
+    const comments = await commentsCollection
+      .find({ requestId: String(doc._id) })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(MAX_THREAD_LENGTH)
+      .toArray();
+    res.json(comments);
+  } catch (error) {
+    sendServerError(res, 'GET /api/requests/:id/comments', error);
+  }
+});
+
+app.post('/api/requests/:id/comments', rateLimit('commentPerIp', 'Too many messages.'), async (req, res) => {
+  try {
+    const { doc, identity } = await loadCommentTarget(req, res);
+    if (!doc) return;
+    const { value, fields } = validateComment(req.body);
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid comment', fields);
+    const requestId = String(doc._id);
+    if ((doc.commentCount || 0) >= MAX_THREAD_LENGTH) return sendError(res, 409, 'INVALID_STATE', 'This conversation is full');
+
+    let author;
+    if (identity.role === 'organizer') {
+      author = { role: 'organizer', id: null, name: 'Organizers' };
+    } else if (identity.role === 'spoc') {
+      const spoc = await spocsCollection.findOne({ id: identity.spocId });
+      author = { role: 'spoc', id: identity.spocId, name: spoc?.name || `SPOC ${identity.spocId}` };
+    } else {
+      author = { role: 'requester', id: null, name: value.requester || null };
+    }
+
+    const comment = { requestId, author, text: value.text, createdAt: new Date() };
+    const result = await commentsCollection.insertOne({ ...comment });
+    const saved = { ...comment, _id: result.insertedId };
+    const updated = await requestsCollection.findOneAndUpdate(
+      { _id: doc._id },
+      { $inc: { commentCount: 1 }, $set: { lastCommentAt: comment.createdAt, lastCommentRole: author.role } },
+      { returnDocument: 'after' },
+    );
+
+    io.to(requestRooms(doc)).emit('comment:created', {
+      requestId,
+      teamId: doc.teamId,
+      comment: saved,
+      commentCount: updated ? updated.commentCount : (doc.commentCount || 0) + 1,
+      lastCommentAt: comment.createdAt,
+      lastCommentRole: author.role,
+    });
+    res.status(201).json(saved);
+  } catch (error) {
+    sendServerError(res, 'POST /api/requests/:id/comments', error);
+  }
+});
+
+/* -------------------------
+   Web Push notifications
+   ------------------------- */
+// Staff browsers subscribe through their service worker; new, reassigned and overdue
+// requests are pushed to the SPOC holding them (overdue ones to organizers as well), so
+// they arrive with the tab in the background or closed. VAPID keys come from
+// VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY, or are generated once and kept in storage.
+let vapidKeys = null;
+
+const PUSH_NOTICES = {
+  created: { title: (doc) => `New ${doc.category} request`, urgency: 'normal' },
+  reassigned: { title: (doc) => `${doc.category} request handed to you`, urgency: 'normal' },
+  escalated: { title: (doc) => `Overdue: ${doc.category} request`, urgency: 'high' },
+  emergency: { title: () => 'EMERGENCY reported', urgency: 'high' },
+};
+
+async function ensurePushSetup() {
+  await pushSubscriptionsCollection.createIndex({ endpoint: 1 }, { unique: true });
+  await pushSubscriptionsCollection.createIndex({ spocId: 1 });
+
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    vapidKeys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    return;
+  }
+  const settings = storage.collection('settings');
+  // $setOnInsert: if two instances start together, both end up with the first one's keys
+  await settings.updateOne({ key: 'vapid' }, { $setOnInsert: generateVapidKeys() }, { upsert: true });
+  const stored = await settings.findOne({ key: 'vapid' });
+  vapidKeys = { publicKey: stored.publicKey, privateKey: stored.privateKey };
+}
+
+// Fire-and-forget: a slow or failing push service must never hold up the request flow.
+// Subscriptions the push service reports gone (404/410) are dropped. Do-not-disturb
+// subscriptions are skipped unless overrideDnd (emergencies).
+function pushToSubscribers(filter, payload, urgency, { overrideDnd = false } = {}) {
+  if (!vapidKeys) return;
+  (async () => {
+    const subs = await pushSubscriptionsCollection.find(overrideDnd ? filter : { ...filter, dnd: { $ne: true } }).toArray();
+    await Promise.all(subs.map(async (sub) => {
+      try {
+        const status = await sendNotification(sub, payload, { vapid: { ...vapidKeys, subject: VAPID_SUBJECT }, urgency });
+        if (status === 404 || status === 410) await pushSubscriptionsCollection.deleteOne({ endpoint: sub.endpoint });
+        else if (status >= 400) console.warn(`Push to ${new URL(sub.endpoint).host} rejected with ${status}`);
+      } catch (err) {
+        console.warn(`Push to ${new URL(sub.endpoint).host} failed:`, err && err.message ? err.message : err);
+      }
+    }));
+  })().catch((err) => console.error('pushToSubscribers failed:', err && err.stack ? err.stack : err));
+}
+
+function pushRequestNotice(doc, kind) {
+  const notice = PUSH_NOTICES[kind];
+  const payload = {
+    kind,
+    requestId: String(doc._id),
+    category: doc.category,
+    title: notice.title(doc),
+    body: `${doc.quantity} × ${doc.category} • ${doc.location}${doc.requester ? ` • ${doc.requester}` : ''}`,
+  };
+  // Emergencies reach every subscribed SPOC, not just the one holding the request, and
+  // get through do-not-disturb
+  const options = { overrideDnd: kind === 'emergency' };
+  if (kind === 'emergency') pushToSubscribers({ role: 'spoc' }, { ...payload, url: `/spoc?request=${doc._id}` }, notice.urgency, options);
+  else if (doc.spocId) pushToSubscribers({ spocId: doc.spocId }, { ...payload, url: `/spoc?request=${doc._id}` }, notice.urgency);
+  if (kind === 'escalated' || kind === 'emergency') pushToSubscribers({ role: 'organizer' }, { ...payload, url: '/admin' }, notice.urgency, options);
+}
+
+app.get('/api/push/public-key', (req, res) => {
+  if (!vapidKeys) return sendError(res, 503, 'UNAVAILABLE', 'Push is not ready yet');
+  res.json({ publicKey: vapidKeys.publicKey });
+});
+
+// Register (or update, e.g. to toggle do-not-disturb) this browser's subscription for the caller
+app.post('/api/push/subscriptions', requireSpoc, async (req, res) => {
+  try {
+    const { value, fields } = validatePushSubscription(req.body, { allowInsecure: PUSH_ALLOW_INSECURE });
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid subscription', fields);
+
+    const info = req.spocTokenInfo;
+    const now = new Date();
+    await pushSubscriptionsCollection.updateOne(
+      { endpoint: value.endpoint },
+      {
+        $set: { keys: value.keys, dnd: value.dnd, role: info.role, spocId: info.role === 'spoc' ? info.spocId : null, updatedAt: now },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true },
+    );
+    res.status(201).json({ ok: true, endpoint: value.endpoint, dnd: value.dnd });
+  } catch (error) {
+    sendServerError(res, 'POST /api/push/subscriptions', error);
+  }
+});
+
+app.delete('/api/push/subscriptions', requireSpoc, async (req, res) => {
+  try {
+    const endpoint = String(req.body?.endpoint || '');
+    if (!endpoint) return sendError(res, 400, 'VALIDATION_FAILED', 'An endpoint is required', { endpoint: 'Required' });
+    await pushSubscriptionsCollection.deleteOne({ endpoint });
+    res.status(204).send();
+  } catch (error) {
+    sendServerError(res, 'DELETE /api/push/subscriptions', error);
+  }
+});
+
+/* -------------------------
+   Outbound webhooks
+   ------------------------- */
+// Organizers register endpoints for request lifecycle events, optionally narrowed to some
+// categories. Each matching event becomes one delivery per endpoint, HMAC-signed with that
+// endpoint's secret (see webhooks.js for the headers). A failed attempt is retried with
+// exponential backoff until WEBHOOK_MAX_ATTEMPTS; every attempt is kept in the delivery's
+// log, and any delivery can be replayed as a new one.
+const WEBHOOK_PROJECTION = { projection: { secret: 0 } };
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const WEBHOOK_RETRY = { baseSeconds: WEBHOOK_RETRY_BASE_SECONDS, maxSeconds: WEBHOOK_RETRY_MAX_SECONDS };
+// A claimed delivery is left alone by other sweeps for this long, covering a full attempt
+const WEBHOOK_CLAIM_MS = WEBHOOK_TIMEOUT_MS + 5000;
+
+async function ensureWebhookIndexes() {
+  await webhooksCollection.createIndex({ active: 1, events: 1 });
+  await webhookDeliveriesCollection.createIndex({ webhookId: 1, createdAt: -1 });
+  await webhookDeliveriesCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+}
+
+// What receivers see of a request: the stored token hashes stay private. Round-tripped
+// through JSON so the stored payload is exactly what goes on the wire.
+function webhookPayload(event, doc, extra) {
+  const { trackingHash, idempotencyKeyHash, plusOneTrackingHashes, plusOneKeyHashes, ...request } = doc;
+  return JSON.parse(JSON.stringify({ event, occurredAt: new Date(), data: { request, ...extra } }));
+}
+
+// Makes one attempt if the delivery is due and nobody else holds it. Never throws.
+async function attemptDelivery(deliveryId) {
+  try {
+    const now = new Date();
+    const delivery = await webhookDeliveriesCollection.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_CLAIM_MS) } },
+      { returnDocument: 'after' },
+    );
+    if (!delivery) return;
+
+    // A paused or removed endpoint fails what it still has queued without being called
+    const hook = await webhooksCollection.findOne({ _id: toObjectId(delivery.webhookId) });
+    const result = hook && hook.active
+      ? await postWebhook(hook.url, {
+        secret: hook.secret,
+        deliveryId: String(delivery._id),
+        event: delivery.event,
+        body: JSON.stringify(delivery.payload),
+        timeoutMs: WEBHOOK_TIMEOUT_MS,
+      })
+      : { ok: false, statusCode: null, error: hook ? 'Webhook is paused' : 'Webhook was removed', durationMs: 0 };
+
+    const attempts = delivery.attempts + 1;
+    const at = new Date();
+    const updates = { attempts, lastStatusCode: result.statusCode, lastError: result.error, updatedAt: at };
+    if (result.ok) {
+      Object.assign(updates, { status: 'delivered', deliveredAt: at, nextAttemptAt: null });
+    } else if (!hook || !hook.active || attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      Object.assign(updates, { status: 'failed', nextAttemptAt: null });
+    } else {
+      updates.nextAttemptAt = new Date(at.getTime() + backoffSeconds(attempts, WEBHOOK_RETRY) * 1000);
+    }
+    await webhookDeliveriesCollection.updateOne(
+      { _id: delivery._id },
+      { $set: updates, $push: { log: { at, statusCode: result.statusCode, error: result.error, durationMs: result.durationMs } } },
+    );
+    if (!result.ok) console.warn(`Webhook delivery ${delivery._id} (${delivery.event}) attempt ${attempts} failed: ${result.error}`);
+  } catch (err) {
+    console.error('attemptDelivery failed:', err && err.stack ? err.stack : err);
+  }
+}
+
+async function queueDelivery(hook, event, payload, replayOf = null) {
+  const now = new Date();
+  const delivery = {
+    webhookId: String(hook._id),
+    event,
+    category: payload.data?.request?.category ?? null,
+    requestId: payload.data?.request?._id ?? null,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastStatusCode: null,
+    lastError: null,
+    log: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (replayOf) delivery.replayOf = String(replayOf);
+  const { insertedId } = await webhookDeliveriesCollection.insertOne(delivery);
+  return insertedId;
+}
+
+// Called next to the matching socket emit. Fire-and-forget, like pushToSubscribers: a slow
+// receiver must never hold up the request flow. extra lands beside `request` in the payload.
+function dispatchWebhookEvent(event, doc, extra = {}) {
+  (async () => {
+    const hooks = await webhooksCollection.find({ active: true, events: event }).toArray();
+    const matching = hooks.filter((h) => !h.categories?.length || h.categories.includes(doc.category));
+    if (matching.length === 0) return;
+    const payload = webhookPayload(event, doc, extra);
+    await Promise.all(matching.map(async (hook) => attemptDelivery(await queueDelivery(hook, event, payload))));
+  })().catch((err) => console.error(`dispatchWebhookEvent(${event}) failed:`, err && err.stack ? err.stack : err));
+}
+
+let webhookTimer = null;
+let webhookSweepRunning = false;
+
+// Retries whatever is due, including deliveries left pending by a restart
+async function retryDueDeliveries() {
+  if (webhookSweepRunning) return;
+  webhookSweepRunning = true;
+  try {
+    const due = await webhookDeliveriesCollection
+      .find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(50)
+      .toArray();
+    await Promise.all(due.map((d) => attemptDelivery(d._id)));
+  } catch (err) {
+    console.error('Webhook retry sweep failed:', err && err.stack ? err.stack : err);
+  } finally {
+    webhookSweepRunning = false;
+  }
+}
+
+function startWebhookRetries() {
+  webhookTimer = setInterval(retryDueDeliveries, WEBHOOK_SWEEP_SECONDS * 1000);
+  webhookTimer.unref();
+}
+
+async function findWebhook(id) {
+  const _id = toObjectId(id);
+  return _id ? webhooksCollection.findOne({ _id }, WEBHOOK_PROJECTION) : null;
+}
+
+app.get('/api/webhooks', requireOrganizer, async (req, res) => {
+  try {
+    res.json(await webhooksCollection.find({}, WEBHOOK_PROJECTION).sort({ createdAt: 1 }).toArray());
+  } catch (error) {
+    sendServerError(res, 'GET /api/webhooks', error);
+  }
+});
+
+// The secret is returned here and by rotate-secret only; receivers need it to verify signatures
+app.post('/api/webhooks', requireOrganizer, async (req, res) => {
+  try {
+    const { value, fields } = validateWebhook(req.body);
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid webhook', fields);
+
+    const now = new Date();
+    const hook = { ...value, secret: generateWebhookSecret(), createdAt: now, updatedAt: now };
+    const { insertedId } = await webhooksCollection.insertOne(hook);
+    res.status(201).json({ ...hook, _id: insertedId });
+  } catch (error) {
+    sendServerError(res, 'POST /api/webhooks', error);
+  }
+});
+
+app.patch('/api/webhooks/:id', requireOrganizer, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    if (!_id) return sendError(res, 404, 'NOT_FOUND', 'Webhook not found');
+    const { value, fields } = validateWebhook(req.body, { partial: true });
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid webhook', fields);
+
+    const updated = await webhooksCollection.findOneAndUpdate(
+      { _id },
+      { $set: { ...value, updatedAt: new Date() } },
+      { returnDocument: 'after', ...WEBHOOK_PROJECTION },
+    );
+    if (!updated) return sendError(res, 404, 'NOT_FOUND', 'Webhook not found');
+    res.json(updated);
+  } catch (error) {
+    sendServerError(res, 'PATCH /api/webhooks/:id', error);
+  }
+});
+
+// Deliveries already signed with the old secret are re-signed on their next attempt
+app.post('/api/webhooks/:id/rotate-secret', requireOrganizer, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    const secret = generateWebhookSecret();
+    const updated = _id && await webhooksCollection.findOneAndUpdate(
+      { _id },
+      { $set: { secret, updatedAt: new Date() } },
+      { returnDocument: 'after' },
+    );
+    if (!updated) return sendError(res, 404, 'NOT_FOUND', 'Webhook not found');
+    res.json(updated);
+  } catch (error) {
+    sendServerError(res, 'POST /api/webhooks/:id/rotate-secret', error);
+  }
+});
+
+app.delete('/api/webhooks/:id', requireOrganizer, async (req, res) => {
+  try {
+    const _id = toObjectId(req.params.id);
+    const result = _id ? await webhooksCollection.deleteOne({ _id }) : { deletedCount: 0 };
+    if (result.deletedCount === 0) return sendError(res, 404, 'NOT_FOUND', 'Webhook not found');
+    await webhookDeliveriesCollection.deleteMany({ webhookId: req.params.id });
+    res.status(204).send();
+  } catch (error) {
+    sendServerError(res, 'DELETE /api/webhooks/:id', error);
+  }
+});
+
+// Delivery log, newest first. Filters: status (pending|delivered|failed), limit (default 50, max 200)
+app.get('/api/webhooks/:id/deliveries', requireOrganizer, async (req, res) => {
+  try {
+    const fields = {};
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) fields.limit = 'Must be between 1 and 200';
+    if (req.query.status !== undefined && !WEBHOOK_DELIVERY_STATUSES.includes(req.query.status)) {
+      fields.status = `Must be one of ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`;
+    }
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid query', fields);
+    if (!(await findWebhook(req.params.id))) return sendError(res, 404, 'NOT_FOUND', 'Webhook not found');
+
+    const filter = { webhookId: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+    res.json(await webhookDeliveriesCollection.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit).toArray());
+  } catch (error) {
+    sendServerError(res, 'GET /api/webhooks/:id/deliveries', error);
+  }
+});
+
+// Sends the original payload again as a new delivery (new id, fresh attempts and signature)
+app.post('/api/webhooks/:id/deliveries/:deliveryId/replay', requireOrganizer, async (req, res) => {
+  try {
+    const hook = await findWebhook(req.params.id);
+    if (!hook) return sendError(res, 404, 'NOT_FOUND', 'Webhook not found');
+    const deliveryId = toObjectId(req.params.deliveryId);
+    const original = deliveryId && await webhookDeliveriesCollection.findOne({ _id: deliveryId, webhookId: req.params.id });
+    if (!original) return sendError(res, 404, 'NOT_FOUND', 'Delivery not found');
+    if (!hook.active) return sendError(res, 409, 'INVALID_STATE', 'Webhook is paused; resume it before replaying');
+
+    const replayId = await queueDelivery(hook, original.event, original.payload, original._id);
+    await attemptDelivery(replayId);
+    res.status(201).json(await webhookDeliveriesCollection.findOne({ _id: replayId }));
+  } catch (error) {
+    sendServerError(res, 'POST /api/webhooks/:id/deliveries/:deliveryId/replay', error);
+  }
+});
+
+/* -------------------------
+   Service analytics
+   ------------------------- */
+// Counts by category/status/team, hourly volume and median/p90 response times per SPOC
+// and per category, for requests created within ?since=&until= (ISO dates, both optional)
+app.get('/api/stats', requireOrganizer, async (req, res) => {
+  try {
+    const { value, fields } = parseStatsQuery(req.query);
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid query', fields);
+    res.json(await computeStats(requestsCollection, value));
+  } catch (error) {
+    sendServerError(res, 'GET /api/stats', error);
+  }
+});
+
+/* -------------------------
+   Consumables inventory
+   ------------------------- */
+// Items carry `usage`: units consumed per requested item, by request category. A request
+// reaching done takes usage[category] * quantity off every matching item; organizers
+// restock by hand. Every stock change is an inventory_movements entry.
+const INVENTORY_PROJECTION = { projection: { _id: 0 } };
+
+async function ensureInventoryIndexes() {
+  await inventoryCollection.createIndex({ id: 1 }, { unique: true });
+  await movementsCollection.createIndex({ at: -1 });
+  await movementsCollection.createIndex({ itemId: 1, at: -1 });
+}
+
+function emitInventoryUpdated(item, previousStock) {
+  const { _id, ...payload } = item;
+  io.to(ORGANIZER_ROOM).emit('inventory:updated', payload);
+  // Alert once per crossing: only when this change took stock from above the threshold to at/below it
+  if (item.lowStockThreshold > 0 && previousStock > item.lowStockThreshold && item.stock <= item.lowStockThreshold) {
+    io.to(ORGANIZER_ROOM).emit('inventory:low', payload);
+    console.warn(`Inventory low: ${item.name} at ${item.stock} ${item.unit} (threshold ${item.lowStockThreshold}).`);
+  }
+}
+
+async function recordMovement(item, { type, delta, requestId = null, category = null, actor, note = null }) {
+  await movementsCollection.insertOne({
+    itemId: item.id, type, delta, stockAfter: item.stock, requestId, category, actor, note, at: new Date(),
+  });
+}
+
+// Like the audit trail this never throws: a stock-keeping failure must not fail the completion
+async function consumeInventory(doc, actor) {
+  try {
+    const quantity = doc.quantity || 1;
+    const items = await inventoryCollection
+      .find({ active: { $ne: false }, [`usage.${doc.category}`]: { $gt: 0 } })
+      .toArray();
+    for (const item of items) {
+      const amount = item.usage[doc.category] * quantity;
+      const updated = await inventoryCollection.findOneAndUpdate(
+        { id: item.id },
+        { $inc: { stock: -amount }, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after' },
+      );
+      if (!updated) continue;
+      await recordMovement(updated, { type: 'consume', delta: -amount, requestId: String(doc._id), category: doc.category, actor });
+      emitInventoryUpdated(updated, updated.stock + amount);
+    }
+  } catch (err) {
+    console.error(`consumeInventory(${doc._id}) failed:`, err && err.stack ? err.stack : err);
+  }
+}
+
+app.get('/api/inventory', requireOrganizer, async (req, res) => {
+  try {
+    res.json(await inventoryCollection.find(activeFilter(req), INVENTORY_PROJECTION).sort({ name: 1 }).toArray());
+  } catch (error) {
+    sendServerError(res, 'GET /api/inventory', error);
+  }
+});
+
+// Newest first. Filters: itemId, since/until (ISO dates), limit (default 100, max 500)
+app.get('/api/inventory/movements', requireOrganizer, async (req, res) => {
+  try {
+    const { value, fields } = parseStatsQuery(req.query);
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) fields.limit = 'Must be between 1 and 500';
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid query', fields);
+
+    const filter = {};
+    if (req.query.itemId) filter.itemId = String(req.query.itemId);
+    if (value.since || value.until) {
+      filter.at = {};
+      if (value.since) filter.at.$gte = value.since;
+      if (value.until) filter.at.$lte = value.until;
+    }
+    res.json(await movementsCollection.find(filter).sort({ at: -1, _id: -1 }).limit(limit).toArray());
+  } catch (error) {
+    sendServerError(res, 'GET /api/inventory/movements', error);
+  }
+});
+
+// Units consumed per item per UTC hour, for the consumption chart
+app.get('/api/inventory/consumption', requireOrganizer, async (req, res) => {
+  try {
+    const { value, fields } = parseStatsQuery(req.query);
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid query', fields);
+
+    const match = { type: 'consume' };
+    if (value.since || value.until) {
+      match.at = {};
+      if (value.since) match.at.$gte = value.since;
+      if (value.until) match.at.$lte = value.until;
+    }
+    const rows = await movementsCollection.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { itemId: '$itemId', hour: { $dateToString: { format: '%Y-%m-%dT%H:00:00Z', date: '$at' } } },
+          used: { $sum: '$delta' },
+        },
+      },
+      { $sort: { '_id.hour': 1, '_id.itemId': 1 } },
+    ]).toArray();
+    res.json(rows.map((row) => ({ itemId: row._id.itemId, hour: row._id.hour, used: -row.used })));
+  } catch (error) {
+    sendServerError(res, 'GET /api/inventory/consumption', error);
+  }
+});
+
+app.post('/api/inventory', requireOrganizer, async (req, res) => {
+  try {
+    const { value, fields } = validateInventoryItem(req.body);
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid item', fields);
+    if (await inventoryCollection.findOne({ id: value.id })) return sendError(res, 409, 'INVALID_STATE', 'Item id already exists');
+
+    const now = new Date();
+    const item = { ...value, active: true, createdAt: now, updatedAt: now };
+    await inventoryCollection.insertOne({ ...item });
+    if (item.stock > 0) await recordMovement(item, { type: 'restock', delta: item.stock, actor: eventActor(req), note: 'Opening stock' });
+    emitInventoryUpdated(item, item.stock);
+    res.status(201).json(item);
+  } catch (error) {
+    sendServerError(res, 'POST /api/inventory', error);
+  }
+});
+
+// Stock is not editable here: it only moves through restocks and completed requests
+app.patch('/api/inventory/:id', requireOrganizer, async (req, res) => {
+  try {
+    const { value, fields } = validateInventoryItem(req.body, { partial: true });
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid item', fields);
+
+    const updated = await inventoryCollection.findOneAndUpdate(
+      { id: req.params.id },
+      { $set: { ...value, updatedAt: new Date() } },
+      { returnDocument: 'after', ...INVENTORY_PROJECTION },
+    );
+    if (!updated) return sendError(res, 404, 'NOT_FOUND', 'Item not found');
+    emitInventoryUpdated(updated, updated.stock);
+    res.json(updated);
+  } catch (error) {
+    sendServerError(res, 'PATCH /api/inventory/:id', error);
+  }
+});
+
+app.post('/api/inventory/:id/restock', requireOrganizer, async (req, res) => {
+  try {
+    const { value, fields } = validateRestock(req.body);
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid restock', fields);
+
+    const updated = await inventoryCollection.findOneAndUpdate(
+      { id: req.params.id },
+      { $inc: { stock: value.amount }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after', ...INVENTORY_PROJECTION },
+    );
+    if (!updated) return sendError(res, 404, 'NOT_FOUND', 'Item not found');
+    await recordMovement(updated, { type: 'restock', delta: value.amount, actor: eventActor(req), note: value.note });
+    emitInventoryUpdated(updated, updated.stock - value.amount);
+    res.json(updated);
+  } catch (error) {
+    sendServerError(res, 'POST /api/inventory/:id/restock', error);
+  }
+});
+
+/* -------------------------
+   Team + SPOC registry routes
+   ------------------------- */
+const REGISTRY_PROJECTION = { projection: { _id: 0, secret: 0, joinCode: 0 } };
+
+function activeFilter(req) {
+  return req.query.includeInactive === 'true' ? {} : { active: { $ne: false } };
+}
+
+async function findActiveTeam(teamId) {
+  return teamsCollection.findOne({ id: String(teamId), active: { $ne: false } });
+}
+
+async function findActiveSpoc(spocId) {
+  return spocsCollection.findOne({ id: String(spocId), active: { $ne: false } });
+}
+
+// A team can be handed to another SPOC for a while (coverSpocId, optionally until
+// coverUntil); its spocId stays the home SPOC the team returns to.
+function teamSpocId(team, now = new Date()) {
+  if (team.coverSpocId && (!team.coverUntil || new Date(team.coverUntil) > now)) return team.coverSpocId;
+  return team.spocId || null;
+}
+
+// Moves the team's open requests held by `fromSpocId`; ones already handed elsewhere stay put
+async function moveTeamRequests(teamId, fromSpocId, toSpocId, actor) {
+  const open = await requestsCollection.find({ teamId, spocId: fromSpocId, status: { $in: OPEN_STATUSES } }).toArray();
+  let moved = 0;
+  for (const doc of open) {
+    const result = await requestsCollection.updateOne(
+      { _id: doc._id, spocId: fromSpocId, status: { $in: OPEN_STATUSES } },
+      { $set: { spocId: toSpocId, updatedAt: new Date() } },
+    );
+    if (result.modifiedCount === 0) continue;
+    const updated = await requestsCollection.findOne({ _id: doc._id });
+    await recordRequestEvent('reassign', { requestId: doc._id, actor, before: doc, after: updated });
+    emitRequestUpdated(updated, fromSpocId ? [`spoc:${fromSpocId}`] : []);
+    moved += 1;
+  }
+  return moved;
+}
+
+function emitTeamReassigned(team, fromSpocId) {
+  const to = teamSpocId(team);
+  const rooms = [ORGANIZER_ROOM, `spoc:${team.spocId}`, `spoc:${to}`];
+  if (fromSpocId) rooms.push(`spoc:${fromSpocId}`);
+  io.to(rooms).emit('team:reassigned', { team, from: fromSpocId, to });
+}
+
+// Sends the team back to its home SPOC. Null when someone else already ended the cover.
+async function endTeamCover(team, actor) {
+  const result = await teamsCollection.updateOne(
+    { id: team.id, coverSpocId: team.coverSpocId },
+    { $set: { coverSpocId: null, coverUntil: null, updatedAt: new Date() } },
+  );
+  if (result.modifiedCount === 0) return null;
+  const moved = await moveTeamRequests(team.id, team.coverSpocId, team.spocId, actor);
+  const updated = await teamsCollection.findOne({ id: team.id }, REGISTRY_PROJECTION);
+  emitTeamReassigned(updated, team.coverSpocId);
+  return { team: updated, moved };
+}
+
+async function endExpiredTeamCovers() {
+  try {
+    const expired = await teamsCollection.find({ coverUntil: { $lte: new Date() } }).toArray();
+    for (const team of expired) {
+      if (team.coverSpocId) await endTeamCover(team, { role: 'system', id: null });
+    }
+  } catch (err) {
+    console.error('Team cover sweep failed:', err && err.stack ? err.stack : err);
+  }
+}
+
+// Who may hand a team on or take it back: organizers, its home SPOC and its current SPOC
+function canReassignTeam(req, team) {
+  const info = req.spocTokenInfo || {};
+  return info.role === 'organizer' || info.spocId === team.spocId || info.spocId === teamSpocId(team);
+}
+
+app.get('/api/teams', async (req, res) => {
+  try {
+    const teams = await teamsCollection.find(activeFilter(req), REGISTRY_PROJECTION).sort({ _id: 1 }).toArray();
+    res.json(teams);
+  } catch (error) {
+    sendServerError(res, 'GET /api/teams', error);
+  }
+});
+
+app.post('/api/teams', requireOrganizer, async (req, res) => {
+  try {
+    const id = String(req.body?.id || '').trim();
+    const name = String(req.body?.name || '').trim();
+    const spocId = String(req.body?.spocId || '').trim();
+    const fields = {};
+    if (!id) fields.id = 'Required';
+    if (!name) fields.name = 'Required';
+    if (!spocId) fields.spocId = 'Required';
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'id, name and spocId are required', fields);
+    if (!(await findActiveSpoc(spocId))) return sendError(res, 400, 'VALIDATION_FAILED', 'Unknown SPOC', { spocId: 'Unknown or inactive SPOC' });
+    if (await teamsCollection.findOne({ id })) return sendError(res, 409, 'INVALID_STATE', 'Team id already exists', { id: 'Already taken' });
+
+    const now = new Date();
+    const team = { id, name, spocId, active: true, createdAt: now, updatedAt: now };
+    await teamsCollection.insertOne({ ...team });
+    // The clear join code is only in this response
+    const code = generateJoinCode();
+    await setJoinCode(id, code);
+    res.status(201).json({ ...team, requiresCode: true, code });
+  } catch (error) {
+    sendServerError(res, 'POST /api/teams', error);
+  }
+});
+
+app.patch('/api/teams/:id', requireOrganizer, async (req, res) => {
+  try {
+    const updates = {};
+    if (req.body?.name !== undefined) {
+      updates.name = String(req.body.name).trim();
+      if (!updates.name) return sendError(res, 400, 'VALIDATION_FAILED', 'name cannot be empty', { name: 'Required' });
+    }
+    if (req.body?.spocId !== undefined) {
+      updates.spocId = String(req.body.spocId).trim();
+      if (!(await findActiveSpoc(updates.spocId))) return sendError(res, 400, 'VALIDATION_FAILED', 'Unknown SPOC', { spocId: 'Unknown or inactive SPOC' });
+    }
+    if (req.body?.active !== undefined) updates.active = Boolean(req.body.active);
+    // Where the team sits; it pre-fills the requester's location picker. null clears it.
+    if (req.body?.tableId !== undefined) {
+      updates.tableId = req.body.tableId === null ? null : String(req.body.tableId).trim() || null;
+      if (updates.tableId && !findPlace(await loadVenue(), { tableId: updates.tableId })) {
+        return sendError(res, 400, 'VALIDATION_FAILED', 'Unknown table', { tableId: 'Not in the venue layout' });
+      }
+    }
+    updates.updatedAt = new Date();
+
+    const result = await teamsCollection.updateOne({ id: req.params.id }, { $set: updates });
+    if (result.matchedCount === 0) return sendError(res, 404, 'NOT_FOUND', 'Team not found');
+    if (updates.active === false) revokeRequesterTokens(req.params.id);
+    res.json(await teamsCollection.findOne({ id: req.params.id }, REGISTRY_PROJECTION));
+  } catch (error) {
+    sendServerError(res, 'PATCH /api/teams/:id', error);
+  }
+});
+
+// Deactivate rather than delete: existing requests keep pointing at the team
+app.delete('/api/teams/:id', requireOrganizer, async (req, res) => {
+  try {
+    const result = await teamsCollection.updateOne(
+      { id: req.params.id },
+      { $set: { active: false, updatedAt: new Date() } },
+    );
+    if (result.matchedCount === 0) return sendError(res, 404, 'NOT_FOUND', 'Team not found');
+    revokeRequesterTokens(req.params.id);
+    res.json(await teamsCollection.findOne({ id: req.params.id }, REGISTRY_PROJECTION));
+  } catch (error) {
+    sendServerError(res, 'DELETE /api/teams/:id', error);
+  }
+});
+
+function generateJoinCode() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+// Sets (or, with null, clears) a team's join code and ends its requester sessions. False when
+// there is no such team.
+async function setJoinCode(teamId, code) {
+  const result = await teamsCollection.updateOne(
+    { id: teamId },
+    { $set: { joinCode: code ? await hashSecret(code) : null, requiresCode: Boolean(code), updatedAt: new Date() } },
+  );
+  if (result.matchedCount === 0) return false;
+  revokeRequesterTokens(teamId);
+  for (const key of loginAttempts.keys()) {
+    if (key.endsWith(`:team:${teamId}`)) loginAttempts.delete(key);
+  }
+  return true;
+}
+
+// Per-team join code (e.g. printed on the table card); a requester token needs it, so a team
+// without one can't be joined at all. Roster imports issue codes to teams that lack one.
+// { code: null } clears it, locking the team's requesters out until a new one is set.
+app.post('/api/teams/:id/code', requireOrganizer, async (req, res) => {
+  try {
+    const clear = req.body?.code === null;
+    const provided = !clear && req.body?.code !== undefined ? String(req.body.code) : null;
+    if (provided !== null && provided.length < 4) {
+      return sendError(res, 400, 'VALIDATION_FAILED', 'code must be at least 4 characters', { code: 'At least 4 characters' });
+    }
+    const code = clear ? null : provided || generateJoinCode();
+
+    if (!(await setJoinCode(req.params.id, code))) return sendError(res, 404, 'NOT_FOUND', 'Team not found');
+    res.json({ ok: true, teamId: req.params.id, requiresCode: Boolean(code), ...(code && provided === null ? { code } : {}) });
+  } catch (error) {
+    sendServerError(res, 'POST /api/teams/:id/code', error);
+  }
+});
+
+// Issue a requester token scoped to one team, in exchange for its join code; it reads the team's
+// requests and joins its Socket.IO room. Never issued for a team that has no code.
+app.post('/api/teams/:id/session', rateLimit('teamSessionPerIp', 'Too many attempts.', (req) => `team:${req.params.id}`), async (req, res) => {
+  try {
+    // Locked out per IP and team: a team code is shared by the whole table, so a wrong guess from
+    // elsewhere mustn't shut the team's own requesters out
+    const key = `${req.ip}:team:${req.params.id}`;
+    const locked = lockoutSecondsLeft(key);
+    if (locked) return lockedResponse(res, locked);
+
+    const team = await findActiveTeam(req.params.id);
+    if (!team) return sendError(res, 404, 'NOT_FOUND', 'Team not found');
+    if (!team.joinCode) {
+      return sendError(res, 403, 'NO_JOIN_CODE', 'This team has no join code yet. Ask an organizer for one.');
+    }
+    if (!(await verifySecret(req.body?.code || '', team.joinCode))) {
+      recordLoginFailure(key);
+      return sendError(res, 401, 'INVALID_JOIN_CODE', 'Invalid team code', { code: 'Invalid team code' });
+    }
+
+    loginAttempts.delete(key);
+    const token = generateRequesterToken(REQUESTER_TOKEN_TTL_SECONDS, team.id);
+    res.json({ token, expiresIn: REQUESTER_TOKEN_TTL_SECONDS, role: 'requester', teamId: team.id });
+  } catch (error) {
+    sendServerError(res, 'POST /api/teams/:id/session', error);
+  }
+});
+
+// Temporarily route a whole team (new and open requests) to another SPOC.
+// Body: { spocId, minutes? }; without minutes it lasts until ended. Naming the home SPOC ends it.
+app.post('/api/teams/:id/reassign', requireSpoc, async (req, res) => {
+  try {
+    const team = await findActiveTeam(req.params.id);
+    if (!team) return sendError(res, 404, 'NOT_FOUND', 'Team not found');
+    if (!canReassignTeam(req, team)) return sendError(res, 403, 'FORBIDDEN', 'Team belongs to another SPOC');
+
+    const spocId = String(req.body?.spocId || '').trim();
+    if (!spocId) return sendError(res, 400, 'VALIDATION_FAILED', 'A SPOC is required', { spocId: 'Required' });
+    const spoc = await findActiveSpoc(spocId);
+    if (!spoc) return sendError(res, 400, 'VALIDATION_FAILED', 'Unknown SPOC', { spocId: 'Unknown or inactive SPOC' });
+    const minutes = req.body?.minutes === undefined || req.body?.minutes === null ? null : Number(req.body.minutes);
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60)) {
+      return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid duration', { minutes: 'Must be between 1 and 1440' });
+    }
+
+    const current = teamSpocId(team);
+    if (spoc.id === current) return sendError(res, 409, 'INVALID_STATE', 'Team is already routed to this SPOC');
+    if (spoc.id === team.spocId) return res.json(await endTeamCover(team, eventActor(req)));
+
+    const cover = { coverSpocId: spoc.id, coverUntil: minutes ? new Date(Date.now() + minutes * 60 * 1000) : null };
+    // Match on the current cover so two concurrent handovers can't both win
+    const result = await teamsCollection.updateOne(
+      { id: team.id, coverSpocId: team.coverSpocId ?? null },
+      { $set: { ...cover, updatedAt: new Date() } },
+    );
+    if (result.matchedCount === 0) return sendError(res, 409, 'INVALID_STATE', 'Team changed concurrently');
+
+    const moved = await moveTeamRequests(team.id, current, spoc.id, eventActor(req));
+    const updated = await teamsCollection.findOne({ id: team.id }, REGISTRY_PROJECTION);
+    emitTeamReassigned(updated, current);
+    res.json({ team: updated, moved });
+  } catch (error) {
+    sendServerError(res, 'POST /api/teams/:id/reassign', error);
+  }
+});
+
+// End a temporary reassignment early: the team and its open requests go back to the home SPOC
+app.delete('/api/teams/:id/reassign', requireSpoc, async (req, res) => {
+  try {
+    const team = await findActiveTeam(req.params.id);
+    if (!team) return sendError(res, 404, 'NOT_FOUND', 'Team not found');
+    if (!canReassignTeam(req, team)) return sendError(res, 403, 'FORBIDDEN', 'Team belongs to another SPOC');
+    if (!team.coverSpocId) return sendError(res, 409, 'INVALID_STATE', 'Team is with its own SPOC');
+
+    const ended = await endTeamCover(team, eventActor(req));
+    if (!ended) return sendError(res, 409, 'INVALID_STATE', 'Team changed concurrently');
+    res.json(ended);
+  } catch (error) {
+    sendServerError(res, 'DELETE /api/teams/:id/reassign', error);
+  }
+});
+
+app.get('/api/spocs', async (req, res) => {
+  try {
+    const spocs = await spocsCollection.find(activeFilter(req), REGISTRY_PROJECTION).sort({ _id: 1 }).toArray();
+    res.json(spocs);
+  } catch (error) {
+    sendServerError(res, 'GET /api/spocs', error);
+  }
+});
+
+app.post('/api/spocs', requireOrganizer, async (req, res) => {
+  try {
+    const id = String(req.body?.id || '').trim();
+    const name = String(req.body?.name || '').trim();
+    const secret = req.body?.secret !== undefined ? String(req.body.secret) : null;
+    const fields = {};
+    if (!id) fields.id = 'Required';
+    if (!name) fields.name = 'Required';
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'id and name are required', fields);
+    if (secret !== null && secret.length < MIN_SECRET_LENGTH) {
+      return sendError(res, 400, 'VALIDATION_FAILED', `secret must be at least ${MIN_SECRET_LENGTH} characters`, { secret: `At least ${MIN_SECRET_LENGTH} characters` });
+    }
+    if (await spocsCollection.findOne({ id })) return sendError(res, 409, 'INVALID_STATE', 'SPOC id already exists', { id: 'Already taken' });
+
+    const now = new Date();
+    const spoc = { id, name, active: true, createdAt: now, updatedAt: now };
+    await spocsCollection.insertOne({ ...spoc, secret: secret !== null ? await hashSecret(secret) : null });
+    res.status(201).json(spoc);
+  } catch (error) {
+    sendServerError(res, 'POST /api/spocs', error);
+  }
+});
+
+app.patch('/api/spocs/:id', requireOrganizer, async (req, res) => {
+  try {
+    const updates = {};
+    if (req.body?.name !== undefined) {
+      updates.name = String(req.body.name).trim();
+      if (!updates.name) return sendError(res, 400, 'VALIDATION_FAILED', 'name cannot be empty', { name: 'Required' });
+    }
+    if (req.body?.active !== undefined) updates.active = Boolean(req.body.active);
+    updates.updatedAt = new Date();
+
+    const result = await spocsCollection.updateOne({ id: req.params.id }, { $set: updates });
+    if (result.matchedCount === 0) return sendError(res, 404, 'NOT_FOUND', 'SPOC not found');
+    if (updates.active === false) revokeSpocTokens(req.params.id);
+    res.json(await spocsCollection.findOne({ id: req.params.id }, REGISTRY_PROJECTION));
+  } catch (error) {
+    sendServerError(res, 'PATCH /api/spocs/:id', error);
+  }
+});
+
+app.delete('/api/spocs/:id', requireOrganizer, async (req, res) => {
+  try {
+    const spoc = await spocsCollection.findOne({ id: req.params.id });
+    if (!spoc) return sendError(res, 404, 'NOT_FOUND', 'SPOC not found');
+
+    // A SPOC with active teams (own or covered) would leave those teams unrouted
+    const owned = await teamsCollection.countDocuments({
+      $or: [{ spocId: spoc.id }, { coverSpocId: spoc.id }], active: { $ne: false },
+    });
+    if (owned > 0) return sendError(res, 409, 'INVALID_STATE', `SPOC still owns ${owned} active team(s); reassign them first`);
+
+    await spocsCollection.updateOne({ id: spoc.id }, { $set: { active: false, updatedAt: new Date() } });
+    revokeSpocTokens(spoc.id);
+    res.json(await spocsCollection.findOne({ id: spoc.id }, REGISTRY_PROJECTION));
+  } catch (error) {
+    sendServerError(res, 'DELETE /api/spocs/:id', error);
+  }
+});
+
+// Set (or generate) a SPOC's login secret. A generated secret is returned once and never stored in clear.
+app.post('/api/spocs/:id/secret', requireOrganizer, async (req, res) => {
+  try {
+    const provided = req.body?.secret !== undefined ? String(req.body.secret) : null;
+    if (provided !== null && provided.length < MIN_SECRET_LENGTH) {
+      return sendError(res, 400, 'VALIDATION_FAILED', `secret must be at least ${MIN_SECRET_LENGTH} characters`, { secret: `At least ${MIN_SECRET_LENGTH} characters` });
+    }
+    const secret = provided !== null ? provided : crypto.randomBytes(6).toString('base64url');
+
+    const result = await spocsCollection.updateOne(
+      { id: req.params.id },
+      { $set: { secret: await hashSecret(secret), updatedAt: new Date() } },
+    );
+    if (result.matchedCount === 0) return sendError(res, 404, 'NOT_FOUND', 'SPOC not found');
+
+    revokeSpocTokens(req.params.id);
+    loginAttempts.delete(`spoc:${req.params.id}`);
+    res.json({ ok: true, spocId: req.params.id, ...(provided === null ? { secret } : {}) });
+  } catch (error) {
+    sendServerError(res, 'POST /api/spocs/:id/secret', error);
+  }
+});
+
+// Bulk upsert of SPOCs and teams from the registration spreadsheet, sent as text/csv.
+// Columns: team_id, team_name, spoc_id, spoc_name. ?dryRun=true returns the plan without
+// writing; a real import is all-or-nothing and refused while any row has errors.
+app.post('/api/roster/import', requireOrganizer, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string') {
+      return sendError(res, 400, 'VALIDATION_FAILED', 'Send the roster as a text/csv body', { file: 'Required' });
+    }
+    const dryRun = req.query.dryRun === 'true';
+    const [spocDocs, teamDocs] = await Promise.all([spocsCollection.find({}).toArray(), teamsCollection.find({}).toArray()]);
+    const existing = {
+      spocs: new Map(spocDocs.map((s) => [s.id, s])),
+      teams: new Map(teamDocs.map((t) => [t.id, t])),
+    };
+    const plan = planRosterImport(parseCsv(req.body), existing);
+    if (Object.keys(plan.fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid roster file', plan.fields);
+
+    const count = (list, action) => list.filter((x) => x.action === action).length;
+    const report = {
+      dryRun,
+      applied: false,
+      summary: {
+        rows: plan.rows.length,
+        invalid: plan.rows.filter((r) => r.errors.length).length,
+        spocs: { create: count(plan.spocs, 'create'), update: count(plan.spocs, 'update'), unchanged: count(plan.spocs, 'unchanged') },
+        teams: { create: count(plan.teams, 'create'), update: count(plan.teams, 'update'), unchanged: count(plan.teams, 'unchanged') },
+      },
+      rows: plan.rows,
+    };
+    if (dryRun) return res.json(report);
+    if (report.summary.invalid) return res.status(400).json({ error: 'Fix the rows with errors before importing', code: 'VALIDATION_FAILED', fields: {}, ...report });
+
+    // SPOCs first so every team write points at an existing SPOC
+    const now = new Date();
+    for (const s of plan.spocs.filter((x) => x.action !== 'unchanged')) {
+      await spocsCollection.updateOne(
+        { id: s.id },
+        { $set: { ...(s.name ? { name: s.name } : {}), active: true, updatedAt: now }, $setOnInsert: { createdAt: now, secret: null } },
+        { upsert: true },
+      );
+    }
+    for (const t of plan.teams.filter((x) => x.action !== 'unchanged')) {
+      await teamsCollection.updateOne(
+        { id: t.id },
+        { $set: { ...(t.name ? { name: t.name } : {}), spocId: t.spocId, active: true, updatedAt: now }, $setOnInsert: { createdAt: now } },
+        { upsert: true },
+      );
+    }
+    // Teams in the file without a join code get one; the clear codes are only in this response
+    const joinCodes = [];
+    for (const t of plan.teams.filter((x) => !existing.teams.get(x.id)?.joinCode)) {
+      const code = generateJoinCode();
+      await setJoinCode(t.id, code);
+      joinCodes.push({ teamId: t.id, code });
+    }
+    console.log(`Roster import: ${report.summary.spocs.create + report.summary.spocs.update} SPOC(s), ${report.summary.teams.create + report.summary.teams.update} team(s) written, ${joinCodes.length} join code(s) issued.`);
+    res.json({ ...report, applied: true, joinCodes });
+  } catch (error) {
+    sendServerError(res, 'POST /api/roster/import', error);
+  }
+});
+
+/* -------------------------
+   Venue layout + zone routing
+   ------------------------- */
+// The floor plan is one settings document: { key: 'venue', halls: [{ id, name, zones: [{ id, name,
+// desks: { <category | '*'>: spocId }, tables: [{ id, label }] }] }], updatedAt }
+const VENUE_KEY = 'venue';
+
+async function loadVenue() {
+  const doc = await settingsCollection.findOne({ key: VENUE_KEY }, { projection: { _id: 0, key: 0 } });
+  return doc || { halls: [], updatedAt: null };
+}
+
+// { hall, zone, table } for a tableId (its zone and hall follow) or a bare zoneId; null when unknown
+function findPlace(venue, { tableId, zoneId }) {
+  for (const hall of venue.halls) {
+    for (const zone of hall.zones) {
+      if (tableId) {
+        const table = zone.tables.find((t) => t.id === tableId);
+        if (table) return { hall, zone, table };
+      } else if (zone.id === zoneId) {
+        return { hall, zone, table: null };
+      }
+    }
+  }
+  return null;
+}
+
+async function lookupPlace(ids) {
+  return findPlace(await loadVenue(), ids);
+}
+
+// Place ids for grouping, plus a readable location ("Hall A › Front › 12 — by the window")
+// so lists, exports and webhooks that only know `location` keep working
+function placeFields({ hall, zone, table }, note) {
+  const label = [hall.name, zone.name, table && table.label].filter(Boolean).join(' › ');
+  return {
+    location: note ? `${label} — ${note}` : label,
+    hallId: hall.id,
+    zoneId: zone.id,
+    tableId: table ? table.id : null,
+  };
+}
+
+// The volunteer desk serving this zone for the category, as long as its SPOC is still active;
+// null sends the request to the team's SPOC as before
+async function zoneDeskSpocId(zone, category) {
+  const spocId = zone.desks[category] || zone.desks[VENUE_ANY_CATEGORY];
+  if (!spocId) return null;
+  return (await findActiveSpoc(spocId)) ? spocId : null;
+}
+
+// { spocId, routedVia } for a request at `place` (or none): the zone's desk, else fallbackSpocId
+async function routeByPlace(place, category, fallbackSpocId) {
+  const deskSpocId = place ? await zoneDeskSpocId(place.zone, category) : null;
+  return deskSpocId ? { spocId: deskSpocId, routedVia: 'zone' } : { spocId: fallbackSpocId, routedVia: 'team' };
+}
+
+function venueTableIds(venue) {
+  return venue.halls.flatMap((h) => h.zones.flatMap((z) => z.tables.map((t) => t.id)));
+}
+
+app.get('/api/venue', async (req, res) => {
+  try {
+    res.json(await loadVenue());
+  } catch (error) {
+    sendServerError(res, 'GET /api/venue', error);
+  }
+});
+
+// Replaces the whole layout; the organizer page edits it as one tree
+app.put('/api/venue', requireOrganizer, async (req, res) => {
+  try {
+    const { value, fields, spocIds } = validateVenue(req.body);
+    if (!Object.keys(fields).length && spocIds.length) {
+      const known = await spocsCollection.find({ id: { $in: spocIds }, active: { $ne: false } }, { projection: { _id: 0, id: 1 } }).toArray();
+      const missing = spocIds.filter((id) => !known.some((s) => s.id === id));
+      if (missing.length) fields.desks = `Unknown or inactive SPOC: ${missing.join(', ')}`;
+    }
+    if (Object.keys(fields).length) return sendError(res, 400, 'VALIDATION_FAILED', 'Invalid venue layout', fields);
+
+    const venue = { ...value, updatedAt: new Date() };
+    await settingsCollection.updateOne({ key: VENUE_KEY }, { $set: venue }, { upsert: true });
+    // Teams seated at a table that is gone lose the assignment rather than point at nothing
+    const cleared = await teamsCollection.updateMany(
+      { tableId: { $ne: null, $nin: venueTableIds(venue) } },
+      { $set: { tableId: null, updatedAt: venue.updatedAt } },
+    );
+    io.emit('venue:updated', venue);
+    res.json({ ...venue, teamsUnseated: cleared.modifiedCount });
+  } catch (error) {
+    sendServerError(res, 'PUT /api/venue', error);
+  }
+});
+
+/* -------------------------
+   SPOC + organizer login
+   ------------------------- */
+app.post('/api/spoc/unlock', rateLimit('loginPerIp', 'Too many attempts.', (req) => `spoc:${String(req.body?.spocId || '').trim().slice(0, 64)}`), async (req, res) => {
+  try {
+    const spocId = String(req.body?.spocId || '').trim();
+    const secret = req.body?.secret;
+    if (!spocId || !secret) return res.status(400).json({ error: 'SPOC id and secret required' });
+
+    const key = `spoc:${spocId}`;
+    const locked = lockoutSecondsLeft(key);
+    if (locked) return lockedResponse(res, locked);
+
+    const spoc = await findActiveSpoc(spocId);
+    const ok = await verifySecret(secret, spoc ? spoc.secret : DUMMY_SECRET);
+    if (!spoc || !ok) {
+      recordLoginFailure(key);
+      return res.status(401).json({ error: 'Invalid SPOC id or secret' });
+    }
+
+    loginAttempts.delete(key);
+    const token = generateSpocToken(TOKEN_TTL_SECONDS, { spocId: spoc.id, role: 'spoc' });
+    return res.json({ token, expiresIn: TOKEN_TTL_SECONDS, role: 'spoc', spocId: spoc.id, name: spoc.name });
+  } catch (error) {
+    console.error('POST /api/spoc/unlock error:', error && error.stack ? error.stack : error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// There is no default PIN: a deployment without ORGANIZER_PIN (or SPOC_PIN) has no organizer login
+app.post('/api/organizer/unlock', rateLimit('loginPerIp', 'Too many attempts.', () => 'organizer'), (req, res) => {
+  try {
+    if (!ORGANIZER_PIN) return res.status(503).json({ error: 'Organizer login is disabled: ORGANIZER_PIN is not set' });
+    const { pin } = req.body || {};
+    if (!pin) return res.status(400).json({ error: 'PIN required' });
+
+    const locked = lockoutSecondsLeft('organizer');
+    if (locked) return lockedResponse(res, locked);
+
+    if (!safeEqual(pin, ORGANIZER_PIN)) {
+      recordLoginFailure('organizer');
+      return res.status(401).json({ error: 'Invalid PIN' });
+    }
+
+    loginAttempts.delete('organizer');
+    const token = generateSpocToken(TOKEN_TTL_SECONDS, { role: 'organizer' });
+    return res.json({ token, expiresIn: TOKEN_TTL_SECONDS, role: 'organizer' });
+  } catch (error) {
+    console.error('POST /api/organizer/unlock error:', error && error.stack ? error.stack : error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Used by the client to resume a session from a stored token
+app.get('/api/spoc/validate', async (req, res) => {
+  try {
+    const token = req.header('x-spoc-token');
+    if (!token || !isValidSpocToken(token)) return res.status(401).json({ ok: false, error: 'Invalid or expired token' });
+
+    const entry = spocTokens.get(token);
+    const expiresIn = Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+    if (entry.role === 'organizer') return res.json({ ok: true, role: 'organizer', spocId: null, expiresIn });
+
+    const spoc = await findActiveSpoc(entry.spocId);
+    if (!spoc) {
+      spocTokens.delete(token);
+      return res.status(401).json({ ok: false, error: 'SPOC is no longer active' });
+    }
+    return res.json({ ok: true, role: 'spoc', spocId: spoc.id, name: spoc.name, expiresIn });
+  } catch (error) {
+    console.error('GET /api/spoc/validate error:', error && error.stack ? error.stack : error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/spoc/logout', (req, res) => {
+  const token = req.header('x-spoc-token');
+  if (token) spocTokens.delete(token);
+  res.status(204).send();
+});
+
+/* -------------------------
+   Test endpoint to ping storage (protected by TEST_TOKEN)
+------------------------- */
+app.get('/api/_test-mongo', async (req, res) => {
+  const provided = req.header('x-test-token');
+  if (!provided || provided !== TEST_TOKEN) return res.status(403).json({ error: 'Forbidden: x-test-token required' });
+  try {
+    const result = await storage.ping();
+    res.json({ ok: true, result });
+  } catch (err) {
+    console.error('GET /api/_test-mongo error:', err && err.stack ? err.stack : err);
+    res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+/* -------------------------
+   Fallback error handler (malformed JSON etc.)
+   ------------------------- */
+app.use((err, req, res, next) => {
+  if (err && err.type === 'entity.parse.failed') return sendError(res, 400, 'INVALID_JSON', 'Malformed JSON body');
+  if (err && err.type === 'entity.too.large') return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  return sendServerError(res, `${req.method} ${req.path}`, err);
+});
+
+/* -------------------------
+   Socket.IO auth
+   ------------------------- */
+// Handshake auth: { token } is a SPOC/organizer token, { teamToken } a requester token
+// from POST /api/teams/:id/session. Either may be absent; an anonymous socket joins nothing.
+io.use((socket, next) => {
+  const { token, teamToken } = socket.handshake.auth || {};
+  socket.data.staffToken = typeof token === 'string' ? token : null;
+  socket.data.teamToken = typeof teamToken === 'string' ? teamToken : null;
+  next();
+});
+
+// Re-checked on every join so an expired or revoked token stops granting rooms
+function staffIdentity(socket) {
+  const token = socket.data.staffToken;
+  return token && isValidSpocToken(token) ? spocTokens.get(token) : null;
+}
+
+function requesterIdentity(socket) {
+  return getRequesterToken(socket.data.teamToken);
+}
+
+function canJoinSpocRoom(socket, spocId) {
+  const staff = staffIdentity(socket);
+  return Boolean(staff && (staff.role === 'organizer' || staff.spocId === spocId));
+}
+
+async function canJoinTeamRoom(socket, teamId) {
+  const staff = staffIdentity(socket);
+  if (staff && staff.role === 'organizer') return true;
+  const requester = requesterIdentity(socket);
+  if (requester && requester.teamId === teamId) return true;
+  if (staff && staff.role === 'spoc') {
+    const team = await findActiveTeam(teamId);
+    return Boolean(team && (team.spocId === staff.spocId || teamSpocId(team) === staff.spocId));
+  }
+  return false;
+}
+
+function ackWith(ack, payload) {
+  if (typeof ack === 'function') ack(payload);
+}
+
+/* -------------------------
+   Socket.IO behavior
+   ------------------------- */
+io.on('connection', (socket) => {
+  console.log('Socket connected:', socket.id);
+
+  // Join the rooms the handshake identity is entitled to, so reconnects resubscribe on their own
+  const staff = staffIdentity(socket);
+  if (staff) socket.join(STAFF_ROOM);
+  if (staff && staff.role === 'organizer') socket.join(ORGANIZER_ROOM);
+  if (staff && staff.role === 'spoc') socket.join(`spoc:${staff.spocId}`);
+  const requester = requesterIdentity(socket);
+  if (requester) socket.join(`team:${requester.teamId}`);
+
+  socket.on('disconnect', () => {
+    console.log('Socket disconnected:', socket.id);
+  });
+
+  socket.on('spoc:join', (spocId, ack) => {
+    try {
+      if (typeof spocId !== 'string' || !spocId.length) return ackWith(ack, { ok: false, error: 'spocId required' });
+      if (!canJoinSpocRoom(socket, spocId)) {
+        console.warn(`Socket ${socket.id} denied spoc:${spocId}`);
+        return ackWith(ack, { ok: false, error: 'Not authorized for this SPOC' });
+      }
+      socket.join(`spoc:${spocId}`);
+      console.log(`Socket ${socket.id} joined spoc:${spocId}`);
+      ackWith(ack, { ok: true });
+    } catch (e) { console.warn(e); }
+  });
+
+  socket.on('spoc:leave', (spocId) => {
+    try { socket.leave(`spoc:${spocId}`); } catch (e) {}
+  });
+
+  socket.on('team:join', async (teamId, ack) => {
+    try {
+      if (typeof teamId !== 'string' || !teamId.length) return ackWith(ack, { ok: false, error: 'teamId required' });
+      if (!(await canJoinTeamRoom(socket, teamId))) {
+        console.warn(`Socket ${socket.id} denied team:${teamId}`);
+        return ackWith(ack, { ok: false, error: 'Not authorized for this team' });
+      }
+      socket.join(`team:${teamId}`);
+      console.log(`Socket ${socket.id} joined team:${teamId}`);
+      ackWith(ack, { ok: true });
+    } catch (e) { console.warn(e); }
+  });
+
+  socket.on('team:leave', (teamId) => {
+    try { socket.leave(`team:${teamId}`); } catch (e) {}
+  });
+
+  // Tracking pages: proves the token once, then receives request:updated/deleted for that request
+  socket.on('track:join', async (payload, ack) => {
+    try {
+      const { requestId, token } = payload || {};
+      const doc = await findTrackedRequest(requestId, token);
+      if (!doc) return ackWith(ack, { ok: false, error: 'Request not found' });
+      socket.join(`request:${doc._id}`);
+      ackWith(ack, { ok: true });
+    } catch (e) { console.warn(e); }
+  });
+
+  socket.on('track:leave', (requestId) => {
+    try { socket.leave(`request:${requestId}`); } catch (e) {}
+  });
+
+  socket.on('organizer:join', (ack) => {
+    try {
+      const identity = staffIdentity(socket);
+      if (!identity || identity.role !== 'organizer') return ackWith(ack, { ok: false, error: 'Organizer token required' });
+      socket.join(ORGANIZER_ROOM);
+      console.log(`Socket ${socket.id} joined ${ORGANIZER_ROOM}`);
+      ackWith(ack, { ok: true });
+    } catch (e) { console.warn(e); }
+  });
+
+  socket.on('organizer:leave', () => {
+    try { socket.leave(ORGANIZER_ROOM); } catch (e) {}
+  });
+});
+
+/* -------------------------
+   Graceful shutdown
+   ------------------------- */
+async function gracefulShutdown() {
+  console.log('Shutting down server...');
+  if (slaTimer) clearInterval(slaTimer);
+  if (webhookTimer) clearInterval(webhookTimer);
+  try {
+    await storage.close();
+  } catch (err) {
+    console.warn('Error closing storage:', err);
+  } finally {
+    process.exit(0);
+  }
+}
+
+process.on('SIGINT', gracefulShutdown);
+process.on('SIGTERM', gracefulShutdown);
 process.on('uncaughtException', (err) => {
   console.error('Uncaught exception', err && err.stack ? err.stack : err);
   gracefulShutdown();
@@ -427,11 +2840,28 @@ process.on('uncaughtException', (err) => {
 (async function startServer() {
   try {
     await connectDBWithRetry({ attempts: 3, backoffMs: 2000 });
+    await initRegistry();
+    await warnTeamsWithoutCode();
+    await warnSpocsWithoutSecret();
+    await ensureRequestIndexes();
+    await ensureEventIndexes();
+    await ensureSlaIndexes();
+    await ensureRateLimitIndexes();
+    await ensurePushSetup();
+    await ensureCommentIndexes();
+    await ensureInventoryIndexes();
+    await ensureWebhookIndexes();
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
+      if (!ORGANIZER_PIN) console.warn('ORGANIZER_PIN is not set; organizer login is disabled.');
+      if (process.env.SPOC_PIN) {
+        console.warn(`SPOC_PIN is deprecated; rename it to ORGANIZER_PIN${process.env.ORGANIZER_PIN ? ' (it is ignored while ORGANIZER_PIN is set)' : ''}.`);
+      }
+      startSlaSweeper();
+      startWebhookRetries();
     });
   } catch (err) {
-    console.error('Failed to start server due to DB connection error:', err && err.stack ? err.stack : err);
+    console.error('Failed to start server due to storage connection error:', err && err.stack ? err.stack : err);
     process.exit(1);
   }
 })();
@@ -0,0 +1,94 @@
+// stats.js — aggregation pipelines behind GET /api/stats.
+// Pipelines stick to stages the memory adapter also runs (storage/aggregate.js); percentiles
+// are computed here from the pushed durations so they don't need Mongo's $percentile.
+
+function countBy(match, field) {
+  return [
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+}
+
+// Requests created per UTC hour, keyed "YYYY-MM-DDTHH:00:00Z"
+function hourlyVolume(match) {
+  return [
+    { $match: match },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%dT%H:00:00Z', date: '$createdAt' } }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+// Milliseconds from creation to acknowledge/complete, collected per `field` (or overall when null).
+// A $subtract with a missing timestamp yields null, which percentiles() skips.
+function durationsBy(match, field) {
+  return [
+    { $match: match },
+    {
+      $project: {
+        spocId: 1,
+        category: 1,
+        toAck: { $subtract: ['$acknowledgedAt', '$createdAt'] },
+        toComplete: { $subtract: ['$completedAt', '$createdAt'] },
+      },
+    },
+    { $group: { _id: field ? `$${field}` : null, total: { $sum: 1 }, toAck: { $push: '$toAck' }, toComplete: { $push: '$toComplete' } } },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function percentiles(values) {
+  const sorted = values.filter((v) => typeof v === 'number' && v >= 0).sort((a, b) => a - b);
+  return { count: sorted.length, medianMs: percentile(sorted, 50), p90Ms: percentile(sorted, 90) };
+}
+
+function summarizeDurations(rows) {
+  return rows.map((row) => ({
+    key: row._id ?? null,
+    total: row.total,
+    toAcknowledge: percentiles(row.toAck),
+    toComplete: percentiles(row.toComplete),
+  }));
+}
+
+const toCounts = (rows) => rows.map((row) => ({ key: row._id ?? null, count: row.count }));
+
+async function computeStats(collection, { since = null, until = null } = {}) {
+  const match = {};
+  if (since || until) {
+    match.createdAt = {};
+    if (since) match.createdAt.$gte = since;
+    if (until) match.createdAt.$lte = until;
+  }
+  const run = (pipeline) => collection.aggregate(pipeline).toArray();
+
+  const [byCategory, byStatus, byTeam, hourly, bySpoc, byCategoryTimes, overall] = await Promise.all([
+    run(countBy(match, 'category')),
+    run(countBy(match, 'status')),
+    run(countBy(match, 'teamId')),
+    run(hourlyVolume(match)),
+    run(durationsBy(match, 'spocId')),
+    run(durationsBy(match, 'category')),
+    run(durationsBy(match, null)),
+  ]);
+
+  return {
+    range: { since, until },
+    total: overall[0]?.total || 0,
+    counts: { byCategory: toCounts(byCategory), byStatus: toCounts(byStatus), byTeam: toCounts(byTeam) },
+    hourly: hourly.map((row) => ({ hour: row._id, count: row.count })),
+    responseTimes: {
+      overall: summarizeDurations(overall)[0] || { key: null, total: 0, toAcknowledge: percentiles([]), toComplete: percentiles([]) },
+      bySpoc: summarizeDurations(bySpoc),
+      byCategory: summarizeDurations(byCategoryTimes),
+    },
+  };
+}
+
+module.exports = { computeStats };
@@ -0,0 +1,146 @@
+// storage/aggregate.js — the subset of the MongoDB aggregation pipeline the memory adapter runs.
+// Stages: $match $project $addFields $group $sort $skip $limit $count.
+// Accumulators: $sum $avg $min $max $push $first $last.
+// Expressions: "$field.path", literals, $literal $add $subtract $ifNull $dateToString (UTC only).
+const { matches, sortComparator, project, getPath, compareValues, valuesEqual } = require('./query');
+
+function isOperatorObject(v) {
+  return Boolean(v) && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date)
+    && Object.keys(v).length === 1 && Object.keys(v)[0].startsWith('$');
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+function dateToString(format, date) {
+  if (!(date instanceof Date)) return null;
+  const parts = {
+    Y: date.getUTCFullYear(),
+    m: pad(date.getUTCMonth() + 1),
+    d: pad(date.getUTCDate()),
+    H: pad(date.getUTCHours()),
+    M: pad(date.getUTCMinutes()),
+    S: pad(date.getUTCSeconds()),
+    L: pad(date.getUTCMilliseconds(), 3),
+    '%': '%',
+  };
+  return format.replace(/%([YmdHMSL%])/g, (_, k) => String(parts[k]));
+}
+
+function evaluate(doc, expr) {
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    const v = getPath(doc, expr.slice(1));
+    return v === undefined ? null : v;
+  }
+  if (Array.isArray(expr)) return expr.map((e) => evaluate(doc, e));
+  if (isOperatorObject(expr)) {
+    const [op, arg] = Object.entries(expr)[0];
+    switch (op) {
+      case '$literal':
+        return arg;
+      case '$add': {
+        const values = arg.map((a) => evaluate(doc, a));
+        if (values.some((v) => v === null)) return null;
+        const date = values.find((v) => v instanceof Date);
+        const sum = values.reduce((acc, v) => acc + (v instanceof Date ? v.getTime() : v), 0);
+        return date ? new Date(sum) : sum;
+      }
+      case '$subtract': {
+        const [a, b] = arg.map((x) => evaluate(doc, x));
+        if (a === null || b === null) return null;
+        if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+        if (a instanceof Date) return new Date(a.getTime() - b);
+        return a - b;
+      }
+      case '$ifNull': {
+        for (const candidate of arg) {
+          const v = evaluate(doc, candidate);
+          if (v !== null) return v;
+        }
+        return null;
+      }
+      case '$dateToString':
+        return dateToString(arg.format || '%Y-%m-%dT%H:%M:%S.%LZ', evaluate(doc, arg.date));
+      default:
+        throw new Error(`Unsupported aggregation expression ${op}`);
+    }
+  }
+  if (expr && typeof expr === 'object' && !(expr instanceof Date) && !(expr instanceof RegExp) && expr._bsontype === undefined) {
+    const out = {};
+    for (const [key, sub] of Object.entries(expr)) out[key] = evaluate(doc, sub);
+    return out;
+  }
+  return expr;
+}
+
+// $project with computed fields; plain 1/0 entries fall through to the find() projection rules
+function projectStage(doc, spec) {
+  const plain = {};
+  const computed = {};
+  for (const [key, v] of Object.entries(spec)) {
+    if (v === 0 || v === 1 || v === true || v === false) plain[key] = v;
+    else computed[key] = v;
+  }
+  const excluding = Object.keys(computed).length === 0 && !Object.entries(plain).some(([k, v]) => k !== '_id' && v);
+  const out = excluding ? project(doc, plain) : project(doc, { ...plain, _id: plain._id ?? 1 });
+  for (const [key, expr] of Object.entries(computed)) out[key] = evaluate(doc, expr);
+  return out;
+}
+
+const ACCUMULATORS = {
+  $sum: { init: () => 0, add: (acc, v) => acc + (typeof v === 'number' ? v : 0), done: (acc) => acc },
+  $avg: {
+    init: () => ({ total: 0, n: 0 }),
+    add: (acc, v) => (typeof v === 'number' ? { total: acc.total + v, n: acc.n + 1 } : acc),
+    done: (acc) => (acc.n ? acc.total / acc.n : null),
+  },
+  $min: { init: () => null, add: (acc, v) => (v === null ? acc : acc === null || compareValues(v, acc) < 0 ? v : acc), done: (acc) => acc },
+  $max: { init: () => null, add: (acc, v) => (v === null ? acc : acc === null || compareValues(v, acc) > 0 ? v : acc), done: (acc) => acc },
+  $push: { init: () => [], add: (acc, v) => [...acc, v], done: (acc) => acc },
+  $first: { init: () => undefined, add: (acc, v) => (acc === undefined ? v : acc), done: (acc) => acc ?? null },
+  $last: { init: () => undefined, add: (acc, v) => v, done: (acc) => acc ?? null },
+};
+
+function groupStage(docs, spec) {
+  const { _id: idExpr, ...fields } = spec;
+  const groups = [];
+  for (const doc of docs) {
+    const key = evaluate(doc, idExpr);
+    let group = groups.find((g) => valuesEqual(g.key, key));
+    if (!group) {
+      group = { key, acc: {} };
+      for (const [name, accSpec] of Object.entries(fields)) group.acc[name] = ACCUMULATORS[Object.keys(accSpec)[0]].init();
+      groups.push(group);
+    }
+    for (const [name, accSpec] of Object.entries(fields)) {
+      const [op, expr] = Object.entries(accSpec)[0];
+      if (!ACCUMULATORS[op]) throw new Error(`Unsupported accumulator ${op}`);
+      group.acc[name] = ACCUMULATORS[op].add(group.acc[name], evaluate(doc, expr));
+    }
+  }
+  return groups.map(({ key, acc }) => {
+    const out = { _id: key };
+    for (const [name, accSpec] of Object.entries(fields)) out[name] = ACCUMULATORS[Object.keys(accSpec)[0]].done(acc[name]);
+    return out;
+  });
+}
+
+function runPipeline(input, pipeline = []) {
+  let docs = input;
+  for (const stage of pipeline) {
+    const [op, spec] = Object.entries(stage)[0];
+    switch (op) {
+      case '$match': docs = docs.filter((d) => matches(d, spec)); break;
+      case '$project': docs = docs.map((d) => projectStage(d, spec)); break;
+      case '$addFields': docs = docs.map((d) => ({ ...d, ...evaluate(d, spec) })); break;
+      case '$group': docs = groupStage(docs, spec); break;
+      case '$sort': docs = [...docs].sort(sortComparator(spec)); break;
+      case '$skip': docs = docs.slice(spec); break;
+      case '$limit': docs = docs.slice(0, spec); break;
+      case '$count': docs = docs.length ? [{ [spec]: docs.length }] : []; break;
+      default: throw new Error(`Unsupported aggregation stage ${op}`);
+    }
+  }
+  return docs;
+}
+
+module.exports = { runPipeline };
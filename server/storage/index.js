@@ -0,0 +1,27 @@
+// storage/index.js — picks the storage adapter from config.
+//
+// Every adapter exposes: driver, connect(), collection(name), ping(), close().
+// collection(name) returns an object with the MongoDB driver's collection methods
+// the server uses (find/findOne/insertOne/updateOne/deleteOne/countDocuments/
+// createIndex/aggregate/...); see storage/query.js and storage/aggregate.js for the
+// query, update and pipeline operators the memory adapter understands.
+const { createMongoStorage, sanitizeUri } = require('./mongo');
+const { createMemoryStorage } = require('./memory');
+
+const DRIVERS = ['mongo', 'memory', 'file'];
+
+// driver: 'mongo' | 'memory' | 'file'. Without one, Mongo is used when a URI is configured
+// and in-memory storage otherwise, so a bare checkout still starts.
+function createStorage({ driver, mongoUri, debugTls, file } = {}) {
+  const chosen = (driver || (sanitizeUri(mongoUri) ? 'mongo' : 'memory')).toLowerCase();
+  if (!DRIVERS.includes(chosen)) throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${DRIVERS.join(', ')}.`);
+
+  if (chosen === 'mongo') return createMongoStorage({ uri: mongoUri, debugTls });
+  if (chosen === 'file') {
+    if (!file) throw new Error('STORAGE_DRIVER=file needs STORAGE_FILE (path to the JSON data file).');
+    return createMemoryStorage({ file });
+  }
+  return createMemoryStorage();
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,263 @@
+// storage/memory.js — in-process adapter with optional JSON-file persistence.
+// Collections expose the same driver methods the routes use, so the API and socket
+// flow run unchanged without a Mongo instance (local demos, automated tests).
+const fs = require('fs');
+const path = require('path');
+const { ObjectId, BSON } = require('mongodb');
+const { matches, applyUpdate, upsertSeed, sortComparator, project, getPath, valuesEqual } = require('./query');
+const { runPipeline } = require('./aggregate');
+
+const { EJSON } = BSON;
+const SAVE_DEBOUNCE_MS = 200;
+
+// Deep copy that keeps ObjectId and Date instances intact
+function clone(doc) {
+  return EJSON.deserialize(EJSON.serialize(doc));
+}
+
+function duplicateKeyError(collectionName, keys) {
+  const err = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${keys.join('_')}`);
+  err.code = 11000;
+  return err;
+}
+
+function createCursor(load) {
+  let sortSpec = null;
+  let skipN = 0;
+  let limitN = 0;
+  let projection = null;
+
+  const cursor = {
+    sort(spec) { sortSpec = spec; return cursor; },
+    skip(n) { skipN = n; return cursor; },
+    limit(n) { limitN = n; return cursor; },
+    project(spec) { projection = spec; return cursor; },
+    async toArray() {
+      let docs = load();
+      if (sortSpec) docs = docs.sort(sortComparator(sortSpec));
+      if (skipN) docs = docs.slice(skipN);
+      if (limitN) docs = docs.slice(0, limitN);
+      return docs.map((d) => project(clone(d), projection));
+    },
+    async *[Symbol.asyncIterator]() {
+      for (const doc of await cursor.toArray()) yield doc;
+    },
+  };
+  return cursor;
+}
+
+function createMemoryCollection(name, onChange) {
+  let docs = [];
+  const uniqueIndexes = [];
+
+  function assertUnique(candidate, ignore = null) {
+    for (const { keys, sparse } of uniqueIndexes) {
+      // Sparse indexes skip documents missing the indexed field
+      if (sparse && keys.some((k) => getPath(candidate, k) === undefined)) continue;
+      const clash = docs.some((d) => d !== ignore && keys.every((k) => valuesEqual(getPath(d, k), getPath(candidate, k))));
+      if (clash) throw duplicateKeyError(name, keys);
+    }
+  }
+
+  function insert(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    assertUnique(stored);
+    docs.push(stored);
+    if (doc && typeof doc === 'object' && doc._id === undefined) doc._id = stored._id; // mirror the driver
+    return stored._id;
+  }
+
+  function update(target, updateSpec, options = {}) {
+    const next = applyUpdate(clone(target), updateSpec, options);
+    next._id = target._id;
+    assertUnique(next, target);
+    const changed = EJSON.stringify(next) !== EJSON.stringify(target);
+    docs[docs.indexOf(target)] = next;
+    return { next, changed };
+  }
+
+  function upsert(filter, updateSpec) {
+    const doc = applyUpdate(upsertSeed(filter), updateSpec, { inserting: true });
+    return insert(doc);
+  }
+
+  const collection = {
+    collectionName: name,
+
+    find(filter = {}, options = {}) {
+      const cursor = createCursor(() => docs.filter((d) => matches(d, filter)));
+      if (options.projection) cursor.project(options.projection);
+      if (options.sort) cursor.sort(options.sort);
+      if (options.limit) cursor.limit(options.limit);
+      return cursor;
+    },
+
+    async findOne(filter = {}, options = {}) {
+      let candidates = docs.filter((d) => matches(d, filter));
+      if (options.sort) candidates = candidates.sort(sortComparator(options.sort));
+      return candidates.length ? project(clone(candidates[0]), options.projection) : null;
+    },
+
+    async countDocuments(filter = {}) {
+      return docs.filter((d) => matches(d, filter)).length;
+    },
+
+    async distinct(key, filter = {}) {
+      const out = [];
+      for (const d of docs.filter((doc) => matches(doc, filter))) {
+        const v = getPath(d, key);
+        for (const item of Array.isArray(v) ? v : [v]) {
+          if (item !== undefined && !out.some((o) => valuesEqual(o, item))) out.push(item);
+        }
+      }
+      return out;
+    },
+
+    // Pipeline subset only: see storage/aggregate.js
+    aggregate(pipeline = []) {
+      return createCursor(() => runPipeline(docs, pipeline));
+    },
+
+    async insertOne(doc) {
+      const insertedId = insert(doc);
+      onChange();
+      return { acknowledged: true, insertedId };
+    },
+
+    async insertMany(list) {
+      const insertedIds = {};
+      list.forEach((doc, i) => { insertedIds[i] = insert(doc); });
+      onChange();
+      return { acknowledged: true, insertedCount: list.length, insertedIds };
+    },
+
+    async updateOne(filter, updateSpec, options = {}) {
+      const target = docs.find((d) => matches(d, filter));
+      if (!target) {
+        if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: null };
+        const upsertedId = upsert(filter, updateSpec);
+        onChange();
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+      }
+      const { changed } = update(target, updateSpec);
+      if (changed) onChange();
+      return { acknowledged: true, matchedCount: 1, modifiedCount: changed ? 1 : 0, upsertedId: null };
+    },
+
+    async updateMany(filter, updateSpec) {
+      const targets = docs.filter((d) => matches(d, filter));
+      let modifiedCount = 0;
+      for (const target of targets) {
+        if (update(target, updateSpec).changed) modifiedCount += 1;
+      }
+      if (modifiedCount) onChange();
+      return { acknowledged: true, matchedCount: targets.length, modifiedCount };
+    },
+
+    // Driver 6+ semantics: resolves to the document itself (or null)
+    async findOneAndUpdate(filter, updateSpec, options = {}) {
+      let target = docs.find((d) => matches(d, filter));
+      if (options.sort) target = docs.filter((d) => matches(d, filter)).sort(sortComparator(options.sort))[0];
+      if (!target) {
+        if (!options.upsert) return null;
+        const upsertedId = upsert(filter, updateSpec);
+        onChange();
+        return options.returnDocument === 'after' ? clone(docs.find((d) => d._id.equals(upsertedId))) : null;
+      }
+      const before = clone(target);
+      const { next, changed } = update(target, updateSpec);
+      if (changed) onChange();
+      return project(options.returnDocument === 'after' ? clone(next) : before, options.projection);
+    },
+
+    async deleteOne(filter) {
+      const idx = docs.findIndex((d) => matches(d, filter));
+      if (idx === -1) return { acknowledged: true, deletedCount: 0 };
+      docs.splice(idx, 1);
+      onChange();
+      return { acknowledged: true, deletedCount: 1 };
+    },
+
+    async deleteMany(filter = {}) {
+      const before = docs.length;
+      docs = docs.filter((d) => !matches(d, filter));
+      if (docs.length !== before) onChange();
+      return { acknowledged: true, deletedCount: before - docs.length };
+    },
+
+    // Only unique (optionally sparse) indexes change behaviour here; the rest are accepted for parity with Mongo
+    async createIndex(keys, options = {}) {
+      const fields = Object.keys(keys);
+      if (options.unique && !uniqueIndexes.some((idx) => idx.keys.join() === fields.join())) {
+        uniqueIndexes.push({ keys: fields, sparse: Boolean(options.sparse) });
+      }
+      return fields.map((f) => `${f}_${keys[f]}`).join('_');
+    },
+
+    _dump() { return docs; },
+    _load(list) { docs = list; },
+  };
+  return collection;
+}
+
+function createMemoryStorage({ file = null } = {}) {
+  const collections = new Map();
+  let saveTimer = null;
+
+  function save() {
+    saveTimer = null;
+    if (!file) return;
+    const data = {};
+    for (const [name, coll] of collections) data[name] = coll._dump();
+    const tmp = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, EJSON.stringify(data, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error('Memory storage: failed to write', file, err && err.message ? err.message : err);
+    }
+  }
+
+  function scheduleSave() {
+    if (file && !saveTimer) {
+      saveTimer = setTimeout(save, SAVE_DEBOUNCE_MS);
+      saveTimer.unref();
+    }
+  }
+
+  function collection(name) {
+    if (!collections.has(name)) collections.set(name, createMemoryCollection(name, scheduleSave));
+    return collections.get(name);
+  }
+
+  return {
+    driver: file ? 'file' : 'memory',
+    async connect() {
+      if (!file) {
+        console.warn('Using in-memory storage: data is lost when the server stops.');
+        return;
+      }
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      if (fs.existsSync(file)) {
+        const data = EJSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const [name, list] of Object.entries(data)) collection(name)._load(list);
+        console.log(`Loaded storage file ${file}.`);
+      } else {
+        console.log(`Storage file ${file} will be created on first write.`);
+      }
+    },
+    collection,
+    async ping() {
+      return { ok: 1, driver: file ? 'file' : 'memory' };
+    },
+    async close() {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        save();
+      }
+    },
+  };
+}
+
+module.exports = { createMemoryStorage };
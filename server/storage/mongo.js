@@ -0,0 +1,105 @@
+// storage/mongo.js — MongoDB adapter: the driver's collections are the storage interface
+const { MongoClient } = require('mongodb');
+
+const DB_NAME = 'team-service-request';
+
+function maskUri(uri = '') {
+  try {
+    return uri.replace(/\/\/.*@/, '//<hidden>@');
+  } catch (e) {
+    return '<invalid-uri>';
+  }
+}
+
+// Strips the quotes and whitespace that copy-pasted .env values tend to carry
+function sanitizeUri(raw) {
+  if (typeof raw !== 'string') return '';
+  return raw.replace(/^\s*["']?/, '').replace(/["']?\s*$/, '').trim();
+}
+
+function createMongoStorage({ uri, debugTls = false }) {
+  const mongoUri = sanitizeUri(uri);
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI is empty. Add it to your .env or Render environment variables, or set STORAGE_DRIVER=memory.');
+  }
+  if (!mongoUri.startsWith('mongodb://') && !mongoUri.startsWith('mongodb+srv://')) {
+    throw new Error('MONGODB_URI must start with "mongodb://" or "mongodb+srv://".');
+  }
+  console.log('Mongo URI:', maskUri(mongoUri).slice(0, 160));
+
+  let mongoClient = null;
+  let db = null;
+
+  async function tryConnect(options = {}) {
+    const client = new MongoClient(mongoUri, options);
+    try {
+      await client.connect();
+      await client.db('admin').command({ ping: 1 });
+      return client;
+    } catch (err) {
+      try { await client.close(); } catch (e) {}
+      throw err;
+    }
+  }
+
+  async function connect() {
+    const baseOptions = {
+      connectTimeoutMS: 10000,
+      serverSelectionTimeoutMS: 10000,
+    };
+    const fallbackOptions = {
+      ...baseOptions,
+      tls: true,
+      tlsAllowInvalidCertificates: true,
+      tlsAllowInvalidHostnames: true,
+    };
+
+    if (debugTls) {
+      console.warn('DEBUG_MONGO_TLS=true — using relaxed TLS validation (development only).');
+      mongoClient = await tryConnect(fallbackOptions);
+      console.warn('Connected to MongoDB (insecure debug mode).');
+      db = mongoClient.db(DB_NAME);
+      return;
+    }
+
+    try {
+      mongoClient = await tryConnect(baseOptions);
+      console.log('Connected to MongoDB (secure).');
+    } catch (err) {
+      const msg = err && err.message ? err.message : String(err);
+      const isTLSError = /TLS|tls|SSL|ssl|tlsv1 alert|ERR_SSL|ssl3_read_bytes/i.test(msg);
+      if (!isTLSError) throw err;
+
+      console.warn('TLS handshake issue detected. Retrying with relaxed TLS validation (development-only).');
+      try {
+        mongoClient = await tryConnect(fallbackOptions);
+        console.warn('Connected to MongoDB using insecure TLS fallback. WARNING: certificate validation disabled.');
+      } catch (err2) {
+        console.error('TLS fallback also failed:', err2 && err2.message ? err2.message : err2);
+        throw err2;
+      }
+    }
+
+    db = mongoClient.db(DB_NAME);
+  }
+
+  return {
+    driver: 'mongo',
+    connect,
+    collection(name) {
+      if (!db) throw new Error('Storage not connected');
+      return db.collection(name);
+    },
+    async ping() {
+      return mongoClient.db('admin').command({ ping: 1 });
+    },
+    async close() {
+      if (mongoClient) {
+        await mongoClient.close();
+        console.log('MongoDB connection closed.');
+      }
+    },
+  };
+}
+
+module.exports = { createMongoStorage, sanitizeUri };
@@ -0,0 +1,212 @@
+// storage/query.js — the subset of MongoDB query/update/sort semantics the memory adapter implements.
+// Supported: equality (incl. array membership and null-matches-missing), RegExp values,
+// $eq $ne $in $nin $lt $lte $gt $gte $exists $regex, $and $or $nor; updates with
+// $set $unset $inc $push (with $each) $addToSet $setOnInsert; dotted paths throughout.
+
+function isObjectId(v) {
+  return Boolean(v) && typeof v === 'object' && v._bsontype === 'ObjectId';
+}
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) && !(v instanceof RegExp) && !isObjectId(v);
+}
+
+function getPath(doc, path) {
+  let cur = doc;
+  for (const part of path.split('.')) {
+    if (cur === null || cur === undefined) return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  let cur = doc;
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (!isPlainObject(cur[parts[i]]) && !Array.isArray(cur[parts[i]])) cur[parts[i]] = {};
+    cur = cur[parts[i]];
+  }
+  cur[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const parts = path.split('.');
+  const parent = parts.length > 1 ? getPath(doc, parts.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+}
+
+// BSON-ish type order used when sorting mixed values
+function typeRank(v) {
+  if (v === null || v === undefined) return 0;
+  if (typeof v === 'number') return 1;
+  if (typeof v === 'string') return 2;
+  if (Array.isArray(v)) return 4;
+  if (isObjectId(v)) return 7;
+  if (typeof v === 'boolean') return 8;
+  if (v instanceof Date) return 9;
+  return 3;
+}
+
+function compareValues(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 0) return 0;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (isObjectId(a)) return a.toHexString() < b.toHexString() ? -1 : a.toHexString() > b.toHexString() ? 1 : 0;
+  if (typeof a === 'object') {
+    const sa = JSON.stringify(a);
+    const sb = JSON.stringify(b);
+    return sa < sb ? -1 : sa > sb ? 1 : 0;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function valuesEqual(a, b) {
+  if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+  if (typeRank(a) !== typeRank(b)) return false;
+  return compareValues(a, b) === 0;
+}
+
+// Equality against a field that may hold an array: any element (or the array itself) may match
+function fieldEquals(fieldValue, expected) {
+  if (Array.isArray(fieldValue) && !Array.isArray(expected)) return fieldValue.some((v) => valuesEqual(v, expected));
+  return valuesEqual(fieldValue, expected);
+}
+
+function comparable(fieldValue, expected, test) {
+  const values = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+  return values.some((v) => typeRank(v) === typeRank(expected) && typeRank(v) !== 0 && test(compareValues(v, expected)));
+}
+
+function regexMatches(fieldValue, rx) {
+  const values = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+  return values.some((v) => typeof v === 'string' && rx.test(v));
+}
+
+function matchOperators(fieldValue, ops) {
+  for (const [op, expected] of Object.entries(ops)) {
+    switch (op) {
+      case '$eq': if (!fieldEquals(fieldValue, expected)) return false; break;
+      case '$ne': if (fieldEquals(fieldValue, expected)) return false; break;
+      case '$in': if (!expected.some((e) => (e instanceof RegExp ? regexMatches(fieldValue, e) : fieldEquals(fieldValue, e)))) return false; break;
+      case '$nin': if (expected.some((e) => fieldEquals(fieldValue, e))) return false; break;
+      case '$lt': if (!comparable(fieldValue, expected, (c) => c < 0)) return false; break;
+      case '$lte': if (!comparable(fieldValue, expected, (c) => c <= 0)) return false; break;
+      case '$gt': if (!comparable(fieldValue, expected, (c) => c > 0)) return false; break;
+      case '$gte': if (!comparable(fieldValue, expected, (c) => c >= 0)) return false; break;
+      case '$exists': if ((fieldValue !== undefined) !== Boolean(expected)) return false; break;
+      case '$regex': {
+        const rx = expected instanceof RegExp ? expected : new RegExp(expected, ops.$options || '');
+        if (!regexMatches(fieldValue, rx)) return false;
+        break;
+      }
+      case '$options': break;
+      default: throw new Error(`Unsupported query operator ${op}`);
+    }
+  }
+  return true;
+}
+
+function matches(doc, filter = {}) {
+  for (const [key, cond] of Object.entries(filter || {})) {
+    if (key === '$and') {
+      if (!cond.every((f) => matches(doc, f))) return false;
+    } else if (key === '$or') {
+      if (!cond.some((f) => matches(doc, f))) return false;
+    } else if (key === '$nor') {
+      if (cond.some((f) => matches(doc, f))) return false;
+    } else {
+      const value = getPath(doc, key);
+      if (cond instanceof RegExp) {
+        if (!regexMatches(value, cond)) return false;
+      } else if (isPlainObject(cond) && Object.keys(cond).some((k) => k.startsWith('$'))) {
+        if (!matchOperators(value, cond)) return false;
+      } else if (!fieldEquals(value, cond)) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$set':
+          setPath(doc, path, value);
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, value);
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (Number(getPath(doc, path)) || 0) + value);
+          break;
+        case '$push': {
+          const arr = Array.isArray(getPath(doc, path)) ? getPath(doc, path) : [];
+          const items = isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+          setPath(doc, path, [...arr, ...items]);
+          break;
+        }
+        case '$addToSet': {
+          const arr = Array.isArray(getPath(doc, path)) ? getPath(doc, path) : [];
+          const items = isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+          const next = [...arr];
+          for (const item of items) if (!next.some((v) => valuesEqual(v, item))) next.push(item);
+          setPath(doc, path, next);
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${op}`);
+      }
+    }
+  }
+  return doc;
+}
+
+// Plain equality fields of a filter: the seed document for an upsert
+function upsertSeed(filter) {
+  const seed = {};
+  for (const [key, cond] of Object.entries(filter || {})) {
+    if (key.startsWith('$') || cond instanceof RegExp) continue;
+    if (isPlainObject(cond) && Object.keys(cond).some((k) => k.startsWith('$'))) continue;
+    setPath(seed, key, cond);
+  }
+  return seed;
+}
+
+function sortComparator(sort = {}) {
+  const keys = Object.entries(sort);
+  return (a, b) => {
+    for (const [key, dir] of keys) {
+      const c = compareValues(getPath(a, key), getPath(b, key));
+      if (c !== 0) return dir < 0 ? -c : c;
+    }
+    return 0;
+  };
+}
+
+// Top-level inclusion ({ a: 1 }) or exclusion ({ a: 0 }) projections; _id may be excluded from either
+function project(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+  const entries = Object.entries(projection);
+  const including = entries.some(([key, v]) => key !== '_id' && v);
+  if (!including) {
+    const out = { ...doc };
+    for (const [key] of entries) delete out[key];
+    return out;
+  }
+  const out = {};
+  if (projection._id !== 0 && projection._id !== false && doc._id !== undefined) out._id = doc._id;
+  for (const [key, v] of entries) {
+    if (key !== '_id' && v && doc[key] !== undefined) out[key] = doc[key];
+  }
+  return out;
+}
+
+module.exports = { matches, applyUpdate, upsertSeed, sortComparator, project, getPath, compareValues, valuesEqual };
@@ -0,0 +1,59 @@
+// Who sees which request: the list, history and comments must all give the same answer
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+test('list, history and comments agree on who may see a request', async (t) => {
+  const api = await startServer({ DUPLICATE_WINDOW_MINUTES: '0' });
+  t.after(() => api.stop());
+  const organizer = await api.organizerHeaders();
+
+  // Seed roster: team-1 belongs to SPOC 01, team-3 to SPOC 02
+  const create = async (body, headers = {}) => (await api.request('POST', '/api/requests', { body, headers })).body;
+  const handedOn = await create({ teamId: 'team-1', category: 'Tea', location: 'A' });
+  const other = await create({ teamId: 'team-3', category: 'Tea', location: 'B' });
+  const emergency = await create({ teamId: 'team-3', category: 'Emergency', location: 'C' }, organizer);
+  // Routed to SPOC 03 now, but team-1 is still SPOC 01's
+  const moved = await api.request('POST', `/api/requests/${handedOn._id}/reassign`, { body: { spocId: '03' }, headers: organizer });
+  assert.equal(moved.status, 200);
+
+  const viewers = {
+    'SPOC 01': [await api.spocHeaders('01'), [handedOn, emergency]],
+    'SPOC 02': [await api.spocHeaders('02'), [other, emergency]],
+    'SPOC 03': [await api.spocHeaders('03'), [handedOn, emergency]],
+    'team-1': [await api.teamHeaders('team-1'), [handedOn]],
+    'team-3': [await api.teamHeaders('team-3'), [other, emergency]],
+  };
+  const all = [handedOn, other, emergency];
+
+  for (const [name, [headers, expected]] of Object.entries(viewers)) {
+    const list = await api.request('GET', '/api/requests?limit=100', { headers });
+    assert.equal(list.status, 200, name);
+    const listed = list.body.items.map((r) => r._id).sort();
+    assert.deepEqual(listed, expected.map((r) => r._id).sort(), `${name} list`);
+
+    for (const doc of all) {
+      const visible = listed.includes(doc._id);
+      const history = await api.request('GET', `/api/requests/${doc._id}/history`, { headers });
+      assert.equal(history.status, visible ? 200 : 403, `${name} history of ${doc.location}`);
+      const comments = await api.request('GET', `/api/requests/${doc._id}/comments`, { headers });
+      assert.equal(comments.status, visible ? 200 : 403, `${name} comments of ${doc.location}`);
+    }
+  }
+});
+
+test('a deleted request keeps its history visible to the same people', async (t) => {
+  const api = await startServer();
+  t.after(() => api.stop());
+  const organizer = await api.organizerHeaders();
+
+  const doc = (await api.request('POST', '/api/requests', { body: { teamId: 'team-3', category: 'Tea', location: 'B' } })).body;
+  const deleted = await api.request('DELETE', `/api/requests/${doc._id}`, { headers: organizer });
+  assert.equal(deleted.status, 204);
+
+  const historyFor = async (headers) => (await api.request('GET', `/api/requests/${doc._id}/history`, { headers })).status;
+  assert.equal(await historyFor(await api.spocHeaders('02')), 200);
+  assert.equal(await historyFor(await api.teamHeaders('team-3')), 200);
+  assert.equal(await historyFor(await api.spocHeaders('01')), 403);
+  assert.equal(await historyFor({}), 403);
+});
@@ -0,0 +1,92 @@
+// server/test/helpers.js — boots server.js on a free port with in-memory storage for the API tests
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const ORGANIZER_PIN = 'test-organizer-pin';
+const SERVER_DIR = path.join(__dirname, '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the server is listening; `env` is added to (and overrides) the test defaults.
+// Call stop() when done, e.g. from t.after().
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: SERVER_DIR,
+    env: { ...process.env, PORT: String(port), STORAGE_DRIVER: 'memory', ORGANIZER_PIN, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 15000);
+    const onOutput = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onOutput);
+    child.stderr.on('data', onOutput);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+  async function request(method, urlPath, { body, headers = {} } = {}) {
+    const res = await fetch(base + urlPath, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  let organizer = null;
+  async function organizerHeaders() {
+    if (!organizer) {
+      const res = await request('POST', '/api/organizer/unlock', { body: { pin: ORGANIZER_PIN } });
+      organizer = { 'x-spoc-token': res.body.token };
+    }
+    return organizer;
+  }
+
+  return {
+    request,
+    organizerHeaders,
+    // Gives the SPOC a fresh secret and signs in with it
+    async spocHeaders(spocId) {
+      const issued = await request('POST', `/api/spocs/${spocId}/secret`, { headers: await organizerHeaders() });
+      const res = await request('POST', '/api/spoc/unlock', { body: { spocId, secret: issued.body.secret } });
+      return { 'x-spoc-token': res.body.token };
+    },
+    // Issues the team a join code and starts a requester session with it
+    async teamHeaders(teamId) {
+      const issued = await request('POST', `/api/teams/${teamId}/code`, { headers: await organizerHeaders() });
+      const res = await request('POST', `/api/teams/${teamId}/session`, { body: { code: issued.body.code } });
+      return { 'x-team-token': res.body.token };
+    },
+    stop() {
+      if (child.exitCode !== null) return Promise.resolve();
+      return new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+      });
+    },
+  };
+}
+
+module.exports = { startServer, ORGANIZER_PIN };
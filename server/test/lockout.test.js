@@ -0,0 +1,35 @@
+// Team join codes lock out per IP and team, so one client's wrong guesses can't shut a team out
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+test('wrong team codes lock out the guessing IP only', async (t) => {
+  const api = await startServer({ TRUST_PROXY: 'true', LOGIN_MAX_FAILURES: '3' });
+  t.after(() => api.stop());
+  const issued = await api.request('POST', '/api/teams/team-1/code', { headers: await api.organizerHeaders() });
+  const join = (ip, code) => api.request('POST', '/api/teams/team-1/session', { body: { code }, headers: { 'x-forwarded-for': ip } });
+
+  for (let i = 0; i < 3; i++) assert.equal((await join('10.0.0.1', 'wrong')).status, 401);
+  const locked = await join('10.0.0.1', issued.body.code);
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, 'LOCKED_OUT');
+
+  const elsewhere = await join('10.0.0.2', issued.body.code);
+  assert.equal(elsewhere.status, 200);
+  assert.ok(elsewhere.body.token);
+});
+
+test('a new join code lifts the lockout', async (t) => {
+  const api = await startServer({ TRUST_PROXY: 'true', LOGIN_MAX_FAILURES: '2' });
+  t.after(() => api.stop());
+  const organizer = await api.organizerHeaders();
+  const join = (code) => api.request('POST', '/api/teams/team-1/session', { body: { code }, headers: { 'x-forwarded-for': '10.0.0.1' } });
+
+  await api.request('POST', '/api/teams/team-1/code', { headers: organizer });
+  await join('wrong');
+  await join('wrong');
+  assert.equal((await join('wrong')).status, 429);
+
+  const reissued = await api.request('POST', '/api/teams/team-1/code', { headers: organizer });
+  assert.equal((await join(reissued.body.code)).status, 200);
+});
@@ -0,0 +1,50 @@
+// A +1 adds its quantity to the open request it joins, including requests stored before quantity was a number
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BSON: { EJSON } } = require('mongodb');
+const { startServer } = require('./helpers');
+
+const tea = (quantity) => ({ teamId: 'team-1', category: 'Tea', location: 'Table 4', quantity });
+
+test('a +1 adds its quantity to the request it joins', async (t) => {
+  const api = await startServer();
+  t.after(() => api.stop());
+
+  const first = await api.request('POST', '/api/requests', { body: tea(2) });
+  assert.equal(first.status, 201);
+  const again = await api.request('POST', '/api/requests', { body: tea(3) });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.attached, true);
+  assert.equal(again.body._id, first.body._id);
+  assert.equal(again.body.quantity, 5);
+});
+
+test('a +1 on a legacy request counts from its stored quantity', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plusone-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const env = { STORAGE_DRIVER: 'file', STORAGE_FILE: path.join(dir, 'data.json') };
+
+  // Create through the API, then rewrite the stored documents the way older versions left them
+  let api = await startServer(env);
+  const asString = (await api.request('POST', '/api/requests', { body: tea(1) })).body;
+  const missing = (await api.request('POST', '/api/requests', { body: { ...tea(1), category: 'Coffee' } })).body;
+  await api.stop();
+  const data = EJSON.parse(fs.readFileSync(env.STORAGE_FILE, 'utf8'));
+  for (const doc of data.requests) {
+    if (String(doc._id) === asString._id) doc.quantity = '4';
+    if (String(doc._id) === missing._id) delete doc.quantity;
+  }
+  fs.writeFileSync(env.STORAGE_FILE, EJSON.stringify(data));
+
+  api = await startServer(env);
+  t.after(() => api.stop());
+  const teaAgain = await api.request('POST', '/api/requests', { body: tea(2) });
+  assert.equal(teaAgain.body._id, asString._id);
+  assert.equal(teaAgain.body.quantity, 6);
+  const coffeeAgain = await api.request('POST', '/api/requests', { body: { ...tea(2), category: 'Coffee' } });
+  assert.equal(coffeeAgain.body._id, missing._id);
+  assert.equal(coffeeAgain.body.quantity, 3);
+});
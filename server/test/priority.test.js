@@ -0,0 +1,37 @@
+// An emergency is forced critical and pinned; moving it to another category must undo both
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+test('leaving Emergency resets priority and unpins the request', async (t) => {
+  const api = await startServer({ DUPLICATE_WINDOW_MINUTES: '0' });
+  t.after(() => api.stop());
+  const organizer = await api.organizerHeaders();
+  const create = async () => (await api.request('POST', '/api/requests', {
+    body: { teamId: 'team-1', category: 'Emergency', location: 'A' }, headers: organizer,
+  })).body;
+  const edit = (doc, body) => api.request('PATCH', `/api/requests/${doc._id}`, { body, headers: organizer });
+
+  const emergency = await create();
+  assert.equal(emergency.priority, 'critical');
+  assert.equal(emergency.pinned, true);
+
+  const reset = await edit(emergency, { category: 'Tea' });
+  assert.equal(reset.status, 200);
+  assert.equal(reset.body.priority, 'normal');
+  assert.equal(reset.body.pinned, false);
+
+  const asked = await edit(await create(), { category: 'WiFi', priority: 'high' });
+  assert.equal(asked.status, 200);
+  assert.equal(asked.body.priority, 'high');
+  assert.equal(asked.body.pinned, false);
+
+  const kept = await edit(await create(), { category: 'Other', priority: 'critical' });
+  assert.equal(kept.body.priority, 'critical');
+  assert.equal(kept.body.pinned, true);
+
+  // Back to Emergency is critical again, whatever was asked for
+  const again = await edit(reset.body, { category: 'Emergency', priority: 'low' });
+  assert.equal(again.body.priority, 'critical');
+  assert.equal(again.body.pinned, true);
+});
@@ -0,0 +1,513 @@
+// validation.js — request payload, comment, push subscription, webhook, venue layout, list/stats query, roster import and inventory validation
+
+const CATEGORIES = ['Tea', 'Coffee', 'WiFi', 'Other', 'Emergency'];
+const EMERGENCY_CATEGORY = 'Emergency';
+const PRIORITIES = ['low', 'normal', 'high', 'critical'];
+const MAX_QUANTITY = 50;
+
+const LIMITS = {
+  requester: 60,
+  location: 120,
+  details: 500,
+  text: 1000,
+};
+
+function trimmedString(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim();
+}
+
+function checkLength(fields, key, value, { required = false } = {}) {
+  if (required && !value) {
+    fields[key] = 'Required';
+  } else if (value.length > LIMITS[key]) {
+    fields[key] = `Must be at most ${LIMITS[key]} characters`;
+  }
+}
+
+function parseQuantity(raw) {
+  // Blank means a single item so quick "one tea please" requests stay one click
+  if (raw === undefined || raw === null || String(raw).trim() === '') return { value: 1 };
+  const str = String(raw).trim();
+  if (!/^\d+$/.test(str)) return { error: 'Must be a whole number' };
+  const n = Number(str);
+  if (n < 1 || n > MAX_QUANTITY) return { error: `Must be between 1 and ${MAX_QUANTITY}` };
+  return { value: n };
+}
+
+// Resolves to { value, fields, team, place }; `fields` maps field name -> message and is empty when valid.
+// partial: true (updates) checks only the keys present and rejects keys outside `editable`.
+// lookupTeam(id) resolves a teamId to an active team document, or null.
+// lookupPlace({ tableId, zoneId }) resolves a venue place to { hall, zone, table }, or null;
+// a place picked from the venue makes the free-text location optional. Updates resolve one
+// only when they carry tableId or zoneId (both blank clears the place).
+// allowCritical: false (requesters) refuses priority 'critical', which pins the request above
+// everyone else's; an emergency is still made critical.
+async function validateRequestInput(body, {
+  partial = false, editable = null, lookupTeam = null, lookupPlace = null, allowCritical = true,
+} = {}) {
+  const input = body && typeof body === 'object' ? body : {};
+  const fields = {};
+  const value = {};
+  let team = null;
+  let place = null;
+
+  if (partial && editable) {
+    for (const key of Object.keys(input)) {
+      if (!editable.includes(key)) fields[key] = 'Field is not editable';
+    }
+  }
+
+  const has = (key) => !partial || input[key] !== undefined;
+
+  if (has('requester')) {
+    value.requester = trimmedString(input.requester);
+    checkLength(fields, 'requester', value.requester);
+  }
+
+  if (has('category')) {
+    value.category = trimmedString(input.category);
+    if (!CATEGORIES.includes(value.category)) fields.category = `Must be one of: ${CATEGORIES.join(', ')}`;
+  }
+
+  if (lookupPlace && (!partial || input.tableId !== undefined || input.zoneId !== undefined)) {
+    const tableId = trimmedString(input.tableId);
+    const zoneId = trimmedString(input.zoneId);
+    if (tableId || zoneId) {
+      place = await lookupPlace({ tableId, zoneId });
+      if (!place) fields[tableId ? 'tableId' : 'zoneId'] = 'Unknown place';
+    }
+  }
+
+  if (has('location')) {
+    value.location = trimmedString(input.location);
+    checkLength(fields, 'location', value.location, { required: !place });
+  }
+
+  if (has('details')) {
+    value.details = trimmedString(input.details);
+    checkLength(fields, 'details', value.details);
+  }
+
+  if (has('quantity')) {
+    const q = parseQuantity(input.quantity);
+    if (q.error) fields.quantity = q.error;
+    else value.quantity = q.value;
+  }
+
+  if (has('priority')) {
+    value.priority = trimmedString(input.priority) || 'normal';
+    if (!PRIORITIES.includes(value.priority)) fields.priority = `Must be one of: ${PRIORITIES.join(', ')}`;
+    else if (value.priority === 'critical' && !allowCritical) fields.priority = 'Only staff can mark a request critical; use the Emergency category for emergencies';
+  }
+  // Emergencies are always critical, whatever was asked for
+  if (value.category === EMERGENCY_CATEGORY) value.priority = 'critical';
+
+  if (!partial) {
+    const teamId = trimmedString(input.teamId);
+    if (!teamId) {
+      fields.teamId = 'Required';
+    } else if (lookupTeam) {
+      team = await lookupTeam(teamId);
+      if (!team) fields.teamId = 'Unknown team';
+    }
+  }
+
+  return { value, fields, team, place };
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_QUERY_LENGTH = 100;
+
+function listParam(raw) {
+  if (raw === undefined || raw === null || raw === '') return [];
+  return (Array.isArray(raw) ? raw : String(raw).split(',')).map((v) => String(v).trim()).filter(Boolean);
+}
+
+function dateParam(fields, key, raw) {
+  if (raw === undefined || raw === '') return null;
+  const d = new Date(String(raw));
+  if (Number.isNaN(d.getTime())) {
+    fields[key] = 'Must be an ISO date';
+    return null;
+  }
+  return d;
+}
+
+// Parses GET /api/requests query params. `statuses` is the list of known request statuses.
+function parseListQuery(query, { statuses = [] } = {}) {
+  const input = query || {};
+  const fields = {};
+  const value = {
+    teamId: trimmedString(input.teamId) || null,
+    spocId: trimmedString(input.spocId) || null,
+    statuses: listParam(input.status),
+    categories: listParam(input.category),
+    priorities: listParam(input.priority),
+    q: trimmedString(input.q),
+    cursor: trimmedString(input.cursor) || null,
+    order: 'desc',
+    limit: DEFAULT_PAGE_SIZE,
+  };
+
+  const badStatus = value.statuses.filter((s) => !statuses.includes(s));
+  if (badStatus.length) fields.status = `Unknown status: ${badStatus.join(', ')}`;
+  const badCategory = value.categories.filter((c) => !CATEGORIES.includes(c));
+  if (badCategory.length) fields.category = `Unknown category: ${badCategory.join(', ')}`;
+  const badPriority = value.priorities.filter((p) => !PRIORITIES.includes(p));
+  if (badPriority.length) fields.priority = `Unknown priority: ${badPriority.join(', ')}`;
+
+  value.since = dateParam(fields, 'since', input.since);
+  value.until = dateParam(fields, 'until', input.until);
+  if (value.since && value.until && value.since > value.until) fields.until = 'Must be after since';
+
+  if (value.q.length > MAX_QUERY_LENGTH) fields.q = `Must be at most ${MAX_QUERY_LENGTH} characters`;
+
+  if (input.limit !== undefined && input.limit !== '') {
+    const n = Number(input.limit);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_PAGE_SIZE) fields.limit = `Must be between 1 and ${MAX_PAGE_SIZE}`;
+    else value.limit = n;
+  }
+
+  // Only createdAt is sortable: it is what the cursor encodes
+  const sort = trimmedString(input.sort) || '-createdAt';
+  if (sort === 'createdAt') value.order = 'asc';
+  else if (sort !== '-createdAt') fields.sort = 'Must be createdAt or -createdAt';
+
+  return { value, fields };
+}
+
+// Parses GET /api/stats query params: an optional since/until window on createdAt
+function parseStatsQuery(query) {
+  const input = query || {};
+  const fields = {};
+  const value = {
+    since: dateParam(fields, 'since', input.since),
+    until: dateParam(fields, 'until', input.until),
+  };
+  if (value.since && value.until && value.since > value.until) fields.until = 'Must be after since';
+  return { value, fields };
+}
+
+const ROSTER_COLUMNS = ['teamid', 'teamname', 'spocid', 'spocname'];
+const MAX_ROSTER_ROWS = 2000;
+const REGISTRY_ID = /^[A-Za-z0-9_-]{1,40}$/;
+const MAX_REGISTRY_NAME = 80;
+
+// "Team ID", "team_id" and "teamId" all name the same column
+function normalizeHeader(cell) {
+  return String(cell).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Plans a roster import from parsed CSV rows (header first). Each row upserts a SPOC and,
+// when team columns are filled, a team routed to that SPOC. `existing` holds the current
+// registry as { spocs: Map(id -> doc), teams: Map(id -> doc) }.
+// Returns { fields, rows, spocs, teams }: `fields` is set for file-level problems,
+// rows[i].errors for per-row ones; spocs/teams are the writes to apply when there are none.
+function planRosterImport(csvRows, existing) {
+  const fields = {};
+  if (csvRows.length < 2) {
+    fields.file = 'Expected a header row and at least one data row';
+    return { fields, rows: [], spocs: [], teams: [] };
+  }
+  if (csvRows.length - 1 > MAX_ROSTER_ROWS) {
+    fields.file = `At most ${MAX_ROSTER_ROWS} rows per import`;
+    return { fields, rows: [], spocs: [], teams: [] };
+  }
+
+  const header = csvRows[0].map(normalizeHeader);
+  const col = Object.fromEntries(ROSTER_COLUMNS.map((c) => [c, header.indexOf(c)]));
+  if (col.spocid === -1) {
+    fields.file = `Missing column spoc_id (expected: ${ROSTER_COLUMNS.join(', ')})`;
+    return { fields, rows: [], spocs: [], teams: [] };
+  }
+
+  const spocs = new Map();
+  const teams = new Map();
+  const rows = csvRows.slice(1).map((cells, i) => {
+    const get = (key) => (col[key] === -1 ? '' : trimmedString(cells[col[key]]));
+    const line = i + 2; // 1-based, counting the header
+    const entry = { row: line, teamId: get('teamid') || null, spocId: get('spocid') || null, errors: [] };
+    const spocName = get('spocname');
+    const teamName = get('teamname');
+
+    if (!entry.spocId) entry.errors.push('spoc_id is required');
+    else if (!REGISTRY_ID.test(entry.spocId)) entry.errors.push('spoc_id may only contain letters, digits, "-" and "_" (max 40)');
+    if (spocName.length > MAX_REGISTRY_NAME) entry.errors.push(`spoc_name must be at most ${MAX_REGISTRY_NAME} characters`);
+    if (entry.teamId && !REGISTRY_ID.test(entry.teamId)) entry.errors.push('team_id may only contain letters, digits, "-" and "_" (max 40)');
+    if (teamName.length > MAX_REGISTRY_NAME) entry.errors.push(`team_name must be at most ${MAX_REGISTRY_NAME} characters`);
+    if (!entry.teamId && teamName) entry.errors.push('team_name given without team_id');
+
+    if (entry.spocId && !entry.errors.length) {
+      const planned = spocs.get(entry.spocId);
+      const current = existing.spocs.get(entry.spocId);
+      if (planned && spocName && planned.name && planned.name !== spocName) {
+        entry.errors.push(`spoc_id ${entry.spocId} has a different spoc_name on row ${planned.row}`);
+      } else if (!planned && !spocName && !current) {
+        entry.errors.push(`spoc_name is required for new SPOC ${entry.spocId}`);
+      }
+    }
+    if (entry.teamId && !entry.errors.length) {
+      const planned = teams.get(entry.teamId);
+      if (planned) entry.errors.push(`team_id ${entry.teamId} already appears on row ${planned.row}`);
+      else if (!teamName && !existing.teams.has(entry.teamId)) entry.errors.push(`team_name is required for new team ${entry.teamId}`);
+    }
+    if (entry.errors.length) return entry;
+
+    if (!spocs.has(entry.spocId) || (spocName && !spocs.get(entry.spocId).name)) {
+      spocs.set(entry.spocId, { id: entry.spocId, name: spocName || spocs.get(entry.spocId)?.name || null, row: line });
+    }
+    if (entry.teamId) teams.set(entry.teamId, { id: entry.teamId, name: teamName || null, spocId: entry.spocId, row: line });
+    return entry;
+  });
+
+  // create | update | unchanged, judged against the stored registry
+  const describe = (planned, current, keys) => {
+    if (!current) return 'create';
+    const changed = current.active === false || keys.some((k) => planned[k] !== null && planned[k] !== current[k]);
+    return changed ? 'update' : 'unchanged';
+  };
+  for (const s of spocs.values()) s.action = describe(s, existing.spocs.get(s.id), ['name']);
+  for (const t of teams.values()) t.action = describe(t, existing.teams.get(t.id), ['name', 'spocId']);
+  for (const entry of rows) {
+    if (entry.errors.length) continue;
+    entry.spocAction = spocs.get(entry.spocId).action;
+    entry.teamAction = entry.teamId ? teams.get(entry.teamId).action : null;
+  }
+
+  return { fields, rows, spocs: [...spocs.values()], teams: [...teams.values()] };
+}
+
+const MAX_STOCK = 1000000;
+
+function nonNegativeNumber(fields, key, raw, { integer = false, min = 0 } = {}) {
+  const n = Number(raw);
+  if (raw === '' || raw === null || !Number.isFinite(n) || n < min || n > MAX_STOCK || (integer && !Number.isInteger(n))) {
+    fields[key] = `Must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${MAX_STOCK}`;
+    return undefined;
+  }
+  return n;
+}
+
+// Inventory item create (full) or PATCH (partial: only keys present). `usage` maps request
+// categories to how many units one requested item consumes, e.g. { Tea: 1 } for tea bags.
+function validateInventoryItem(body, { partial = false } = {}) {
+  const input = body && typeof body === 'object' ? body : {};
+  const fields = {};
+  const value = {};
+  const has = (key) => !partial || input[key] !== undefined;
+
+  if (!partial) {
+    value.id = trimmedString(input.id);
+    if (!REGISTRY_ID.test(value.id)) fields.id = 'Letters, digits, "-" and "_" only (max 40)';
+  }
+  if (has('name')) {
+    value.name = trimmedString(input.name);
+    if (!value.name) fields.name = 'Required';
+    else if (value.name.length > MAX_REGISTRY_NAME) fields.name = `Must be at most ${MAX_REGISTRY_NAME} characters`;
+  }
+  if (has('unit')) {
+    value.unit = trimmedString(input.unit) || 'units';
+    if (value.unit.length > 20) fields.unit = 'Must be at most 20 characters';
+  }
+  if (!partial) value.stock = nonNegativeNumber(fields, 'stock', input.stock ?? 0);
+  if (has('lowStockThreshold')) value.lowStockThreshold = nonNegativeNumber(fields, 'lowStockThreshold', input.lowStockThreshold ?? 0);
+  if (has('usage')) {
+    const raw = input.usage === undefined ? {} : input.usage;
+    const usage = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : null;
+    if (!usage) {
+      fields.usage = 'Must map categories to units per item';
+    } else {
+      value.usage = {};
+      for (const [category, perItem] of Object.entries(usage)) {
+        if (!CATEGORIES.includes(category)) {
+          fields.usage = `Unknown category: ${category}`;
+          break;
+        }
+        const n = Number(perItem);
+        if (!Number.isFinite(n) || n <= 0 || n > 100) {
+          fields.usage = `${category}: units per item must be between 0 and 100`;
+          break;
+        }
+        value.usage[category] = n;
+      }
+    }
+  }
+  if (partial && input.active !== undefined) value.active = Boolean(input.active);
+  if (partial) {
+    for (const key of Object.keys(input)) {
+      if (!['name', 'unit', 'lowStockThreshold', 'usage', 'active'].includes(key)) fields[key] = 'Field is not editable';
+    }
+  }
+  return { value, fields };
+}
+
+// Restock entry: a positive amount (in the item's unit) and an optional note
+function validateRestock(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const fields = {};
+  const amount = nonNegativeNumber(fields, 'amount', input.amount, { min: 0.001 });
+  const note = trimmedString(input.note);
+  if (note.length > 200) fields.note = 'Must be at most 200 characters';
+  return { value: { amount, note: note || null }, fields };
+}
+
+// Comment on a request thread. `requester` is the display name a requester signs with;
+// staff comments are attributed from their token instead.
+function validateComment(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const fields = {};
+  const value = { text: trimmedString(input.text), requester: trimmedString(input.requester) };
+  checkLength(fields, 'text', value.text, { required: true });
+  checkLength(fields, 'requester', value.requester);
+  return { value, fields };
+}
+
+const MAX_ENDPOINT_LENGTH = 1000;
+
+function base64urlBytes(raw) {
+  if (typeof raw !== 'string' || !/^[A-Za-z0-9_-]+={0,2}$/.test(raw)) return null;
+  return Buffer.from(raw, 'base64url');
+}
+
+// A browser PushSubscription (its toJSON() shape) plus the do-not-disturb flag.
+// allowInsecure admits http:// endpoints, for a local push service stand-in.
+function validatePushSubscription(body, { allowInsecure = false } = {}) {
+  const input = body && typeof body === 'object' ? body : {};
+  const sub = input.subscription && typeof input.subscription === 'object' ? input.subscription : {};
+  const fields = {};
+  const endpoint = trimmedString(sub.endpoint);
+  let url = null;
+  try {
+    url = new URL(endpoint);
+  } catch (e) {
+    url = null;
+  }
+  if (!url || endpoint.length > MAX_ENDPOINT_LENGTH || !(url.protocol === 'https:' || (allowInsecure && url.protocol === 'http:'))) {
+    fields.endpoint = allowInsecure ? 'Must be an http(s) URL' : 'Must be an https URL';
+  }
+  const keys = sub.keys && typeof sub.keys === 'object' ? sub.keys : {};
+  const p256dh = base64urlBytes(keys.p256dh);
+  if (!p256dh || p256dh.length !== 65 || p256dh[0] !== 4) fields.p256dh = 'Must be an uncompressed P-256 public key';
+  const auth = base64urlBytes(keys.auth);
+  if (!auth || auth.length !== 16) fields.auth = 'Must be a 16-byte secret';
+  return { value: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, dnd: Boolean(input.dnd) }, fields };
+}
+
+const WEBHOOK_EVENTS = ['request.created', 'request.status_changed', 'request.escalated', 'request.deleted'];
+const MAX_WEBHOOK_DESCRIPTION = 200;
+
+// A list drawn from `allowed`; an empty list is kept (for categories it means "all")
+function subsetOf(fields, key, raw, allowed) {
+  if (!Array.isArray(raw)) {
+    fields[key] = 'Must be a list';
+    return [];
+  }
+  const unknown = raw.filter((v) => !allowed.includes(v));
+  if (unknown.length) fields[key] = `Unknown: ${unknown.join(', ')}`;
+  return [...new Set(raw)];
+}
+
+// Organizer-registered endpoint: { url, events, categories, description, active }
+function validateWebhook(body, { partial = false } = {}) {
+  const input = body && typeof body === 'object' ? body : {};
+  const fields = {};
+  const value = {};
+  const has = (key) => !partial || input[key] !== undefined;
+
+  if (has('url')) {
+    value.url = trimmedString(input.url);
+    let url = null;
+    try {
+      url = new URL(value.url);
+    } catch (e) {
+      url = null;
+    }
+    if (!url || value.url.length > MAX_ENDPOINT_LENGTH || !['http:', 'https:'].includes(url.protocol)) fields.url = 'Must be an http(s) URL';
+  }
+  if (has('events')) {
+    value.events = subsetOf(fields, 'events', input.events, WEBHOOK_EVENTS);
+    if (!fields.events && value.events.length === 0) fields.events = 'Pick at least one event';
+  }
+  if (has('categories')) value.categories = subsetOf(fields, 'categories', input.categories ?? [], CATEGORIES);
+  if (has('description')) {
+    value.description = trimmedString(input.description);
+    if (value.description.length > MAX_WEBHOOK_DESCRIPTION) fields.description = `Must be at most ${MAX_WEBHOOK_DESCRIPTION} characters`;
+  }
+  if (has('active')) value.active = input.active === undefined ? true : Boolean(input.active);
+  if (partial) {
+    for (const key of Object.keys(input)) {
+      if (!['url', 'events', 'categories', 'description', 'active'].includes(key)) fields[key] = 'Field is not editable';
+    }
+  }
+  return { value, fields };
+}
+
+const MAX_VENUE_TABLES = 2000;
+const VENUE_ANY_CATEGORY = '*';
+
+// Organizer-managed floor plan: halls > zones > tables. Ids are unique venue-wide, so a
+// tableId or zoneId alone names a place. zone.desks maps a category (or "*" for the rest)
+// to the SPOC id of the volunteer desk serving that zone; whether those SPOCs exist is
+// checked by the caller. Returns { value: { halls }, fields, spocIds }.
+function validateVenue(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const fields = {};
+  const spocIds = new Set();
+  const seen = { hall: new Set(), zone: new Set(), table: new Set() };
+  let tableCount = 0;
+
+  const asObject = (raw) => (raw && typeof raw === 'object' ? raw : {});
+  // { id, <labelKey> } of one hall/zone/table, recording problems under `path`
+  const node = (item, path, kind, labelKey) => {
+    const id = trimmedString(item.id);
+    const label = trimmedString(item[labelKey]);
+    if (!REGISTRY_ID.test(id)) fields[`${path}.id`] = 'Letters, digits, "-" and "_" only (max 40)';
+    else if (seen[kind].has(id)) fields[`${path}.id`] = `Duplicate ${kind} id ${id}`;
+    seen[kind].add(id);
+    if (!label) fields[`${path}.${labelKey}`] = 'Required';
+    else if (label.length > MAX_REGISTRY_NAME) fields[`${path}.${labelKey}`] = `Must be at most ${MAX_REGISTRY_NAME} characters`;
+    return { id, [labelKey]: label };
+  };
+  const list = (raw, path) => {
+    if (raw === undefined || raw === null) return [];
+    if (Array.isArray(raw)) return raw;
+    fields[path] = 'Must be a list';
+    return [];
+  };
+
+  const halls = list(input.halls, 'halls').map((rawHall, h) => {
+    const hallItem = asObject(rawHall);
+    const hall = node(hallItem, `halls[${h}]`, 'hall', 'name');
+    hall.zones = list(hallItem.zones, `halls[${h}].zones`).map((rawZone, z) => {
+      const path = `halls[${h}].zones[${z}]`;
+      const zoneItem = asObject(rawZone);
+      const zone = node(zoneItem, path, 'zone', 'name');
+      zone.desks = {};
+      for (const [category, rawSpoc] of Object.entries(asObject(zoneItem.desks))) {
+        const spocId = trimmedString(rawSpoc);
+        if (!spocId) continue; // blank = no desk, the team's SPOC handles it
+        if (category !== VENUE_ANY_CATEGORY && !CATEGORIES.includes(category)) fields[`${path}.desks.${category}`] = 'Unknown category';
+        else if (!REGISTRY_ID.test(spocId)) fields[`${path}.desks.${category}`] = 'Not a SPOC id';
+        else {
+          zone.desks[category] = spocId;
+          spocIds.add(spocId);
+        }
+      }
+      zone.tables = list(zoneItem.tables, `${path}.tables`).map((rawTable, t) => {
+        tableCount += 1;
+        return node(asObject(rawTable), `${path}.tables[${t}]`, 'table', 'label');
+      });
+      return zone;
+    });
+    return hall;
+  });
+  if (tableCount > MAX_VENUE_TABLES) fields.halls = `At most ${MAX_VENUE_TABLES} tables`;
+  return { value: { halls }, fields, spocIds: [...spocIds] };
+}
+
+module.exports = {
+  CATEGORIES, EMERGENCY_CATEGORY, PRIORITIES, MAX_QUANTITY, LIMITS, WEBHOOK_EVENTS, validateRequestInput, validateComment, validatePushSubscription, validateWebhook,
+  validateVenue, VENUE_ANY_CATEGORY, parseListQuery, parseStatsQuery, planRosterImport, validateInventoryItem, validateRestock,
+};
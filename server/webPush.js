@@ -0,0 +1,85 @@
+// webPush.js — dependency-free Web Push sender
+//
+// Messages are encrypted for the subscribing browser (aes128gcm, RFC 8291) and signed with
+// the server's VAPID key (RFC 8292), then POSTed to the subscription's endpoint. Any HTTP
+// server can stand in for the browser vendor's push service: it receives the same request.
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+const VAPID_TTL_SECONDS = 12 * 60 * 60;
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// { publicKey, privateKey } as base64url: the uncompressed P-256 point and the raw scalar.
+// The public key is what browsers take as applicationServerKey.
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(ecdh.getPrivateKey()) };
+}
+
+// Authorization header value for one push service origin
+function vapidAuthorization(endpoint, { publicKey, privateKey, subject }) {
+  const point = Buffer.from(publicKey, 'base64url');
+  const key = crypto.createPrivateKey({
+    key: { kty: 'EC', crv: 'P-256', x: b64url(point.subarray(1, 33)), y: b64url(point.subarray(33, 65)), d: privateKey },
+    format: 'jwk',
+  });
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TTL_SECONDS,
+    sub: subject,
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${publicKey}`;
+}
+
+// Single-record aes128gcm body for a subscription's keys { p256dh, auth }
+function encryptPayload(plaintext, keys) {
+  const receiverKey = Buffer.from(keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(keys.auth, 'base64url');
+  const ecdh = crypto.createECDH('prime256v1');
+  const senderKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(receiverKey);
+  const salt = crypto.randomBytes(16);
+
+  const ikm = hkdf(authSecret, sharedSecret, Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]), 32);
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  // 0x02 marks the last (and only) record
+  const record = Buffer.concat([Buffer.from(plaintext), Buffer.from([2])]);
+  if (record.length + 16 > RECORD_SIZE) throw new Error('Push payload too large');
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const body = Buffer.concat([cipher.update(record), cipher.final(), cipher.getAuthTag()]);
+
+  const recordSize = Buffer.alloc(4);
+  recordSize.writeUInt32BE(RECORD_SIZE);
+  return Buffer.concat([salt, recordSize, Buffer.from([senderKey.length]), senderKey, body]);
+}
+
+// Resolves to the push service's HTTP status. 404/410 mean the subscription is gone for good.
+async function sendNotification(subscription, payload, { vapid, ttlSeconds = 60, urgency = 'normal' }) {
+  const res = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      TTL: String(ttlSeconds),
+      Urgency: urgency,
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      Authorization: vapidAuthorization(subscription.endpoint, vapid),
+    },
+    body: encryptPayload(JSON.stringify(payload), subscription.keys),
+    signal: AbortSignal.timeout(10000),
+  });
+  return res.status;
+}
+
+module.exports = { generateVapidKeys, vapidAuthorization, encryptPayload, sendNotification };
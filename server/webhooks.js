@@ -0,0 +1,57 @@
+// webhooks.js — signing and single-attempt delivery for outbound webhooks
+//
+// Every delivery is a JSON POST carrying:
+//   X-Webhook-Id         delivery id (stable across retries, so receivers can dedupe)
+//   X-Webhook-Event      e.g. request.created
+//   X-Webhook-Timestamp  unix seconds at the time of this attempt
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256(secret, `${timestamp}.${raw body}`)>
+// The timestamp is signed too, so receivers can reject stale captures of a genuine delivery.
+const crypto = require('crypto');
+
+const USER_AGENT = 'innovex-service-webhooks/1';
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Seconds to wait before retry number `attempt` (1-based): base, 2×base, 4×base… up to max,
+// with ±20% jitter so a receiver coming back up isn't hit by every queued delivery at once
+function backoffSeconds(attempt, { baseSeconds, maxSeconds }) {
+  const delay = Math.min(maxSeconds, baseSeconds * 2 ** (attempt - 1));
+  return delay * (0.8 + Math.random() * 0.4);
+}
+
+// One attempt. Resolves to { ok, statusCode, error, durationMs } and never rejects:
+// only a 2xx counts as delivered, redirects are not followed.
+async function postWebhook(url, { secret, deliveryId, event, body, timeoutMs = 10000 }) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': deliveryId,
+        'X-Webhook-Event': event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signWebhook(secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    await res.arrayBuffer().catch(() => {}); // release the connection; the body is not kept
+    const ok = res.status >= 200 && res.status < 300;
+    return { ok, statusCode: res.status, error: ok ? null : `HTTP ${res.status}`, durationMs: Date.now() - started };
+  } catch (err) {
+    const error = err && err.name === 'TimeoutError' ? 'Timed out' : String((err && err.cause && err.cause.code) || (err && err.message) || err);
+    return { ok: false, statusCode: null, error, durationMs: Date.now() - started };
+  }
+}
+
+module.exports = { generateWebhookSecret, signWebhook, backoffSeconds, postWebhook };